@@ -0,0 +1,349 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const path = require('path');
+const { canViewMessage } = require('./messages');
+const { processImage, isProcessableImage, THUMBNAIL_SIZES } = require('../storage/images');
+
+const router = express.Router();
+
+// JWT Secret (should match the one in auth routes)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+
+// Rate limiting for uploads
+const uploadLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 uploads per windowMs
+    message: {
+        error: 'Too many uploads, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Upload limits
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024;
+
+// Files people can share. SVG and HTML are left out since browsers run scripts in them.
+const ALLOWED_MIME_TYPES = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/zip': '.zip',
+    'application/json': '.json',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'audio/mpeg': '.mp3',
+    'video/mp4': '.mp4'
+};
+
+// Only these are shown inline; everything else is downloaded
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// An upload must be attached to a message within this time
+const UPLOAD_TOKEN_EXPIRES_IN = '1h';
+
+// Models and storage backend will be initialized from server.js
+let Message;
+let ChatRoom;
+let storage;
+
+// Initialize models
+const initializeAttachmentRoutes = (messageModel, chatRoomModel, storageBackend) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    storage = storageBackend;
+};
+
+// Files are held in memory just long enough to hand them to the storage backend
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_ATTACHMENT_BYTES,
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_MIME_TYPES[file.mimetype]) {
+            return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'));
+        }
+        callback(null, true);
+    }
+});
+
+// Turn multer errors into the usual JSON error responses
+const receiveFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `Files can be at most ${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`
+            });
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(415).json({ error: 'This file type is not supported' });
+        }
+        console.error('Error receiving upload:', error);
+        res.status(400).json({ error: 'Invalid upload' });
+    });
+};
+
+// Keep display names printable and reasonably short
+const sanitizeFilename = (filename = '') => {
+    const cleaned = filename.replace(/[\u0000-\u001f\u007f/\\]/g, '').trim();
+    return (cleaned || 'file').slice(-255);
+};
+
+// Storage keys never include user input
+const createStorageKey = (mimeType) => {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return path.posix.join(
+        'attachments',
+        String(now.getUTCFullYear()),
+        month,
+        `${crypto.randomUUID()}${ALLOWED_MIME_TYPES[mimeType]}`
+    );
+};
+
+// Thumbnails are stored next to the original
+const thumbnailKey = (key, name) => key.replace(/\.[^./]+$/, `-${name}.webp`);
+
+// Send a stored file, or a 404 if the storage backend no longer has it
+const sendStoredFile = async (res, key, { mimeType, size, filename, disposition }) => {
+    let stream;
+    try {
+        stream = await storage.createReadStream(key);
+    } catch (error) {
+        console.error('Attachment missing from storage:', key, error.message);
+        return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set({
+        'Content-Type': mimeType,
+        'Content-Length': size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        'Cache-Control': 'private, max-age=3600'
+    });
+
+    stream.on('error', (error) => {
+        console.error('Error streaming attachment:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+// Load a message's attachment if the user can see it; sends the error response otherwise
+const findViewableAttachment = async (req, res) => {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        res.status(400).json({ error: 'Invalid message ID' });
+        return null;
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted || !message.attachment) {
+        res.status(404).json({ error: 'Attachment not found' });
+        return null;
+    }
+
+    if (!(await canViewMessage(message, req.user))) {
+        res.status(403).json({ error: 'You must be a member of the room to download this file' });
+        return null;
+    }
+
+    return message.attachment;
+};
+
+// Delete an attachment's file and thumbnails from storage
+const removeAttachmentFiles = async (attachment) => {
+    const keys = [attachment.key, ...(attachment.thumbnails || []).map(thumbnail => thumbnail.key)];
+    await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+// Check an upload token from sendMessage and return the attachment sub-document
+const resolveAttachment = (uploadToken, user, room) => {
+    if (typeof uploadToken !== 'string') {
+        return { status: 400, error: 'Invalid attachment' };
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(uploadToken, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { status: 400, error: 'The upload expired, please attach the file again' };
+        }
+        return { status: 400, error: 'Invalid attachment' };
+    }
+
+    if (payload.purpose !== 'attachment' || payload.uploadedBy !== user._id.toString()) {
+        return { status: 403, error: 'Invalid attachment' };
+    }
+    if (payload.room !== room) {
+        return { status: 400, error: 'This file was uploaded to another room' };
+    }
+
+    return {
+        attachment: {
+            key: payload.key,
+            filename: payload.filename,
+            mimeType: payload.mimeType,
+            size: payload.size,
+            width: payload.width || null,
+            height: payload.height || null,
+            placeholder: payload.placeholder || null,
+            thumbnails: payload.thumbnails || [],
+            uploadedBy: user._id
+        }
+    };
+};
+
+// POST /api/attachments - Upload a file to attach to a message in a room
+// Multipart fields: file, room. Returns an upload token for sendMessage.
+router.post('/', uploadLimiter, receiveFile, async (req, res) => {
+    try {
+        const { room } = req.body || {};
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A file is required' });
+        }
+        if (!room || typeof room !== 'string') {
+            return res.status(400).json({ error: 'Room is required' });
+        }
+
+        // Private rooms only accept files from members
+        const chatRoom = await ChatRoom.findOne({ name: room, isActive: true });
+        if (chatRoom && chatRoom.isPrivate && !chatRoom.members.includes(req.user._id)) {
+            return res.status(403).json({ error: 'You must be a member of the room to upload files' });
+        }
+
+        const attachment = {
+            key: createStorageKey(req.file.mimetype),
+            filename: sanitizeFilename(req.file.originalname),
+            mimeType: req.file.mimetype,
+            size: req.file.size
+        };
+
+        let fileBuffer = req.file.buffer;
+
+        // Images are stored without their metadata, along with thumbnails for the chat view
+        if (isProcessableImage(attachment.mimeType)) {
+            let image;
+            try {
+                image = await processImage(fileBuffer, attachment.mimeType);
+            } catch (error) {
+                console.error('Error processing image:', error.message);
+                return res.status(400).json({ error: 'This image could not be read' });
+            }
+
+            fileBuffer = image.buffer;
+            attachment.size = image.buffer.length;
+            attachment.width = image.width;
+            attachment.height = image.height;
+            attachment.placeholder = image.placeholder;
+            attachment.thumbnails = image.thumbnails.map(({ name, width, height, size }) => ({
+                name,
+                key: thumbnailKey(attachment.key, name),
+                width,
+                height,
+                size
+            }));
+
+            await Promise.all(image.thumbnails.map(thumbnail => (
+                storage.save(thumbnailKey(attachment.key, thumbnail.name), thumbnail.buffer, { contentType: 'image/webp' })
+            )));
+        }
+
+        await storage.save(attachment.key, fileBuffer, { contentType: attachment.mimeType });
+
+        const uploadToken = jwt.sign(
+            { purpose: 'attachment', uploadedBy: req.user._id.toString(), room, ...attachment },
+            JWT_SECRET,
+            { expiresIn: UPLOAD_TOKEN_EXPIRES_IN }
+        );
+
+        res.status(201).json({
+            success: true,
+            attachment: {
+                filename: attachment.filename,
+                mimeType: attachment.mimeType,
+                size: attachment.size,
+                width: attachment.width || null,
+                height: attachment.height || null,
+                placeholder: attachment.placeholder || null
+            },
+            uploadToken
+        });
+    } catch (error) {
+        console.error('Error uploading attachment:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+// GET /api/attachments/:messageId - Download the file attached to a message
+router.get('/:messageId', async (req, res) => {
+    try {
+        const attachment = await findViewableAttachment(req, res);
+        if (!attachment) return;
+
+        const { key, filename, mimeType, size } = attachment;
+        await sendStoredFile(res, key, {
+            mimeType,
+            size,
+            filename,
+            disposition: INLINE_MIME_TYPES.includes(mimeType) ? 'inline' : 'attachment'
+        });
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+// GET /api/attachments/:messageId/thumbnails/:size - Download a resized copy of an image
+// Sizes: small, medium
+router.get('/:messageId/thumbnails/:size', async (req, res) => {
+    try {
+        if (!THUMBNAIL_SIZES[req.params.size]) {
+            return res.status(400).json({ error: 'Invalid thumbnail size' });
+        }
+
+        const attachment = await findViewableAttachment(req, res);
+        if (!attachment) return;
+
+        const thumbnail = (attachment.thumbnails || []).find(item => item.name === req.params.size);
+        if (!thumbnail) {
+            return res.status(404).json({ error: 'Thumbnail not found' });
+        }
+
+        await sendStoredFile(res, thumbnail.key, {
+            mimeType: 'image/webp',
+            size: thumbnail.size,
+            filename: attachment.filename.replace(/\.[^.]+$/, '') + `-${thumbnail.name}.webp`,
+            disposition: 'inline'
+        });
+    } catch (error) {
+        console.error('Error downloading thumbnail:', error);
+        res.status(500).json({ error: 'Failed to download thumbnail' });
+    }
+});
+
+module.exports = {
+    router,
+    initializeAttachmentRoutes,
+    resolveAttachment,
+    removeAttachmentFiles,
+    MAX_ATTACHMENT_BYTES
+};
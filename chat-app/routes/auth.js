@@ -3,6 +3,7 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
+const { serializeSessions } = require('./presence');
 
 const router = express.Router();
 
@@ -169,9 +170,8 @@ router.post('/login', authLimiter, async (req, res) => {
             });
         }
 
-        // Update user status
+        // Online status follows the user's socket connections
         await User.findByIdAndUpdate(user._id, {
-            isOnline: true,
             lastSeen: new Date()
         });
 
@@ -206,10 +206,10 @@ router.post('/logout', async (req, res) => {
         if (token) {
             try {
                 const decoded = jwt.verify(token, JWT_SECRET);
+                // The client closes its socket, which takes this connection offline;
+                // the user's other tabs and devices stay connected
                 await User.findByIdAndUpdate(decoded.userId, {
-                    isOnline: false,
-                    lastSeen: new Date(),
-                    socketId: null
+                    lastSeen: new Date()
                 });
             } catch (jwtError) {
                 // Token invalid, but still return success for logout
@@ -281,6 +281,51 @@ router.get('/profile', async (req, res) => {
     }
 });
 
+// Get the current user's active sessions, one per open tab or device
+router.get('/sessions', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.split(' ')[1];
+
+        if (!token) {
+            return res.status(401).json({
+                error: 'No token provided'
+            });
+        }
+
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const user = await User.findById(decoded.userId).select('connections');
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            sessions: serializeSessions(user.connections)
+        });
+
+    } catch (error) {
+        console.error('Sessions error:', error);
+
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                error: 'Invalid token'
+            });
+        }
+
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                error: 'Token expired'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
 // Verify token route
 router.get('/verify', async (req, res) => {
     try {
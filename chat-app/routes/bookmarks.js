@@ -0,0 +1,264 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const { serializeMessage } = require('./messages');
+const { userChannel } = require('./mentions');
+const { isRoomMember, historyStartFor, getHistoryStart } = require('./chatRooms');
+
+const router = express.Router();
+
+// Rate limiting for bookmark changes
+const bookmarkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 120, // limit each IP to 120 bookmark changes per windowMs
+    message: {
+        error: 'Too many bookmark changes, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const MAX_BOOKMARKS_PER_USER = 500;
+const MAX_NOTE_LENGTH = 500;
+
+// Models and Socket.IO server will be initialized from server.js
+let Bookmark;
+let Message;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializeBookmarkRoutes = (bookmarkModel, messageModel, chatRoomModel, socketServer) => {
+    Bookmark = bookmarkModel;
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// A bookmark with its message. status is 'available', 'deleted' (the message
+// was deleted), 'left' (the user is no longer in the room) or 'unavailable'
+// (the message is from before the user could see the room's history); only
+// available bookmarks carry the message.
+const serializeBookmark = (bookmark, message, status) => ({
+    _id: bookmark._id,
+    messageId: bookmark.messageId,
+    room: bookmark.room,
+    note: bookmark.note,
+    status,
+    message: status === 'available' ? serializeMessage(message) : null,
+    createdAt: bookmark.createdAt,
+    updatedAt: bookmark.updatedAt
+});
+
+// Work out what each bookmark can still show, with one query for messages and one for rooms
+const serializeBookmarks = async (userId, bookmarks) => {
+    const messages = await Message.find({ _id: { $in: bookmarks.map(bookmark => bookmark.messageId) } });
+    const messagesById = new Map(messages.map(message => [String(message._id), message]));
+
+    // Rooms from the room list the user is no longer in, including rooms that were closed
+    const rooms = await ChatRoom.find({ name: { $in: [...new Set(bookmarks.map(bookmark => bookmark.room))] } })
+        .select('name members isActive visibleSince');
+    const leftRooms = new Set(rooms
+        .filter(room => !room.isActive || !room.members.some(memberId => memberId.equals(userId)))
+        .map(room => room.name));
+    const historyStarts = new Map(rooms
+        .map(room => [room.name, historyStartFor(room, userId)])
+        .filter(([, since]) => since));
+
+    return bookmarks.map(bookmark => {
+        const message = messagesById.get(String(bookmark.messageId));
+        if (!message || message.isDeleted) {
+            return serializeBookmark(bookmark, null, 'deleted');
+        }
+        if (leftRooms.has(bookmark.room)) {
+            return serializeBookmark(bookmark, null, 'left');
+        }
+        const since = historyStarts.get(bookmark.room);
+        if (since && message.timestamp < since) {
+            return serializeBookmark(bookmark, null, 'unavailable');
+        }
+        return serializeBookmark(bookmark, message, 'available');
+    });
+};
+
+// Keep the user's open tabs in sync
+const notifyBookmarkUpdated = (userId, bookmark) => {
+    io.to(userChannel(userId)).emit('bookmarkUpdated', bookmark);
+};
+
+const notifyBookmarkRemoved = (bookmark) => {
+    io.to(userChannel(bookmark.userId)).emit('bookmarkRemoved', {
+        _id: bookmark._id,
+        messageId: bookmark.messageId
+    });
+};
+
+const validateNote = (note) => {
+    if (typeof note !== 'string') {
+        return 'Note must be text';
+    }
+    if (note.trim().length > MAX_NOTE_LENGTH) {
+        return `Notes can be at most ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Drop bookmarks of messages that are gone for good (used by the expiry sweeper)
+const removeMessageBookmarks = async (messageIds) => {
+    const bookmarks = await Bookmark.find({ messageId: { $in: messageIds } });
+    if (bookmarks.length === 0) {
+        return;
+    }
+
+    await Bookmark.deleteMany({ _id: { $in: bookmarks.map(bookmark => bookmark._id) } });
+    bookmarks.forEach(notifyBookmarkRemoved);
+};
+
+// GET /api/bookmarks - Get the current user's saved messages, newest first
+router.get('/', async (req, res) => {
+    try {
+        const bookmarks = await Bookmark.find({ userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(MAX_BOOKMARKS_PER_USER);
+
+        res.json({
+            success: true,
+            bookmarks: await serializeBookmarks(req.user._id, bookmarks)
+        });
+    } catch (error) {
+        console.error('Error fetching bookmarks:', error);
+        res.status(500).json({ error: 'Failed to fetch bookmarks' });
+    }
+});
+
+// POST /api/bookmarks - Save a message
+// Body: { messageId, note? }. Saving a message again updates its note.
+router.post('/', bookmarkLimiter, async (req, res) => {
+    try {
+        const { messageId, note = '' } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const noteError = validateNote(note);
+        if (noteError) {
+            return res.status(400).json({ error: noteError });
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message || message.isDeleted) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (!(await isRoomMember(message.room, req.user._id))) {
+            return res.status(403).json({ error: 'You must be a member of the room to save its messages' });
+        }
+
+        // Earlier messages in a group conversation stay hidden from people added without its history
+        const since = await getHistoryStart(message.room, req.user._id);
+        if (since && message.timestamp < since) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        let bookmark = await Bookmark.findOne({ userId: req.user._id, messageId });
+        const created = !bookmark;
+
+        if (bookmark) {
+            bookmark.note = note.trim();
+            await bookmark.save();
+        } else {
+            const count = await Bookmark.countDocuments({ userId: req.user._id });
+            if (count >= MAX_BOOKMARKS_PER_USER) {
+                return res.status(400).json({ error: `You can save at most ${MAX_BOOKMARKS_PER_USER} messages` });
+            }
+
+            bookmark = await Bookmark.create({
+                userId: req.user._id,
+                messageId,
+                room: message.room,
+                note: note.trim()
+            });
+        }
+
+        const serialized = serializeBookmark(bookmark, message, 'available');
+        notifyBookmarkUpdated(req.user._id, serialized);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            bookmark: serialized
+        });
+    } catch (error) {
+        // Saved twice at once; the other request created it
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'This message is already saved' });
+        }
+        console.error('Error saving bookmark:', error);
+        res.status(500).json({ error: 'Failed to save message' });
+    }
+});
+
+// PUT /api/bookmarks/:bookmarkId - Change a bookmark's note
+// Body: { note }
+router.put('/:bookmarkId', bookmarkLimiter, async (req, res) => {
+    try {
+        const { note } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.bookmarkId)) {
+            return res.status(400).json({ error: 'Invalid bookmark ID' });
+        }
+
+        const noteError = validateNote(note);
+        if (noteError) {
+            return res.status(400).json({ error: noteError });
+        }
+
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { _id: req.params.bookmarkId, userId: req.user._id },
+            { note: note.trim() },
+            { new: true }
+        );
+
+        if (!bookmark) {
+            return res.status(404).json({ error: 'Bookmark not found' });
+        }
+
+        const [serialized] = await serializeBookmarks(req.user._id, [bookmark]);
+        notifyBookmarkUpdated(req.user._id, serialized);
+
+        res.json({
+            success: true,
+            bookmark: serialized
+        });
+    } catch (error) {
+        console.error('Error updating bookmark:', error);
+        res.status(500).json({ error: 'Failed to update bookmark' });
+    }
+});
+
+// DELETE /api/bookmarks/:bookmarkId - Remove a message from the saved list
+router.delete('/:bookmarkId', bookmarkLimiter, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.bookmarkId)) {
+            return res.status(400).json({ error: 'Invalid bookmark ID' });
+        }
+
+        const bookmark = await Bookmark.findOneAndDelete({ _id: req.params.bookmarkId, userId: req.user._id });
+
+        if (!bookmark) {
+            return res.status(404).json({ error: 'Bookmark not found' });
+        }
+
+        notifyBookmarkRemoved(bookmark);
+
+        res.json({
+            success: true,
+            message: 'Bookmark removed'
+        });
+    } catch (error) {
+        console.error('Error removing bookmark:', error);
+        res.status(500).json({ error: 'Failed to remove bookmark' });
+    }
+});
+
+module.exports = { router, initializeBookmarkRoutes, removeMessageBookmarks };
@@ -1,6 +1,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
+const { getUnreadCounts } = require('./readMarkers');
 
 const router = express.Router();
 
@@ -15,14 +16,24 @@ const roomLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// Models will be initialized from server.js
+// Disappearing message timers, in seconds
+const MIN_MESSAGE_TTL_SECONDS = 10;
+const MAX_MESSAGE_TTL_SECONDS = 7 * 24 * 60 * 60; // 1 week
+
+// Room types that only exist for the people in them. They stay out of the
+// room list and cannot be joined, left or shared with an invitation.
+const CONVERSATION_TYPES = ['direct', 'group'];
+
+// Models and socket server will be initialized from server.js
 let ChatRoom;
 let User;
+let io;
 
 // Initialize models
-const initializeChatRoomRoutes = (chatRoomModel, userModel) => {
+const initializeChatRoomRoutes = (chatRoomModel, userModel, socketServer) => {
     ChatRoom = chatRoomModel;
     User = userModel;
+    io = socketServer;
 };
 
 // Validation helpers
@@ -46,15 +57,98 @@ const validateRoomDescription = (description) => {
     return null;
 };
 
+// Message timers are whole seconds within the allowed range; null turns them off
+const validateMessageTtl = (ttlSeconds) => {
+    if (ttlSeconds === null) {
+        return null;
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < MIN_MESSAGE_TTL_SECONDS || ttlSeconds > MAX_MESSAGE_TTL_SECONDS) {
+        return `Message timer must be between ${MIN_MESSAGE_TTL_SECONDS} seconds and 1 week`;
+    }
+    return null;
+};
+
+// Take a user out of a room and send them back to general.
+// Rooms other than general are closed once their last member leaves.
+const removeMember = async (room, userId) => {
+    room.members = room.members.filter(memberId => !memberId.equals(userId));
+    room.lastActivity = new Date();
+
+    if (room.members.length === 0 && room.name !== 'general') {
+        room.isActive = false;
+    }
+
+    await room.save();
+    await User.findByIdAndUpdate(userId, { room: 'general' });
+};
+
+// Rooms from the room list only let their members in; other rooms, like general, are open to everyone
+const isRoomMember = async (roomName, userId) => {
+    const room = await ChatRoom.findOne({ name: roomName, isActive: true }).select('members');
+    return !room || room.members.some(memberId => memberId.equals(userId));
+};
+
+const isConversation = (room) => CONVERSATION_TYPES.includes(room.type);
+
+// Conversations can only be read by their participants; other rooms stay open to anyone who opens them
+const canViewRoom = async (roomName, userId) => {
+    const room = await ChatRoom.findOne({ name: roomName, isActive: true }).select('type members');
+    return !room || !isConversation(room) || room.members.some(memberId => memberId.equals(userId));
+};
+
+// Conversations are hidden from everyone but their participants, even by id.
+// Expects room.members to be populated.
+const isHiddenConversation = (room, userId) => (
+    isConversation(room) && !room.members.some(member => member._id.equals(userId))
+);
+
+// When a member's view of the room's history starts; null means they see all of it.
+// People added to a group conversation without its history only see what came after.
+const historyStartFor = (room, userId) => {
+    const entry = (room.visibleSince || []).find(item => item.userId.equals(userId));
+    return entry ? entry.since : null;
+};
+
+const getHistoryStart = async (roomName, userId) => {
+    const room = await ChatRoom.findOne({ name: roomName, isActive: true }).select('visibleSince');
+    return room ? historyStartFor(room, userId) : null;
+};
+
+// Room creators and appointed moderators can manage other members' content.
+// Nobody moderates a one-to-one conversation, so neither side can touch the other's messages.
+const canModerateRoom = (room, userId) => {
+    if (room.type === 'direct') {
+        return false;
+    }
+    if (room.createdBy && room.createdBy.equals(userId)) {
+        return true;
+    }
+    return room.moderators.some(moderatorId => moderatorId.equals(userId));
+};
+
+// Pins and room settings are for moderators, or for both people in a one-to-one conversation
+const canManageRoom = (room, userId) => (
+    room.type === 'direct'
+        ? room.members.some(memberId => memberId.equals(userId))
+        : canModerateRoom(room, userId)
+);
+
 // GET /api/rooms - Get all chat rooms
 router.get('/', async (req, res) => {
     try {
-        const rooms = await ChatRoom.find({ isActive: true })
+        const rooms = await ChatRoom.find({ isActive: true, type: { $nin: CONVERSATION_TYPES } })
             .populate('createdBy', 'username')
             .populate('members', 'username isOnline')
             .sort({ createdAt: -1 })
             .exec();
 
+        // Unread counts are only tracked for rooms the user belongs to
+        const isMember = (room) => room.members.some(member => member._id.equals(req.user._id));
+        const unreadCounts = await getUnreadCounts(
+            req.user._id,
+            rooms.filter(isMember).map(room => room.name)
+        );
+
         const roomsWithStats = rooms.map(room => ({
             _id: room._id,
             name: room.name,
@@ -62,6 +156,10 @@ router.get('/', async (req, res) => {
             isPrivate: room.isPrivate,
             memberCount: room.members.length,
             onlineCount: room.members.filter(member => member.isOnline).length,
+            isMember: isMember(room),
+            messageTtlSeconds: room.messageTtlSeconds || null,
+            unreadCount: unreadCounts.get(room.name)?.unreadCount || 0,
+            mentionCount: unreadCounts.get(room.name)?.mentionCount || 0,
             createdBy: room.createdBy,
             createdAt: room.createdAt,
             lastActivity: room.lastActivity
@@ -82,7 +180,7 @@ router.get('/', async (req, res) => {
 // POST /api/rooms - Create a new chat room
 router.post('/', roomLimiter, async (req, res) => {
     try {
-        const { name, description, isPrivate = false } = req.body;
+        const { name, description, isPrivate = false, messageTtlSeconds = null } = req.body;
         const userId = req.user.id;
 
         // Validate input
@@ -96,6 +194,11 @@ router.post('/', roomLimiter, async (req, res) => {
             return res.status(400).json({ error: descError });
         }
 
+        const ttlError = validateMessageTtl(messageTtlSeconds);
+        if (ttlError) {
+            return res.status(400).json({ error: ttlError });
+        }
+
         // Check if room name already exists
         const existingRoom = await ChatRoom.findOne({ 
             name: { $regex: new RegExp(`^${name}$`, 'i') },
@@ -113,6 +216,7 @@ router.post('/', roomLimiter, async (req, res) => {
             name: name.trim(),
             description: description ? description.trim() : '',
             isPrivate,
+            messageTtlSeconds,
             createdBy: userId,
             members: [userId],
             lastActivity: new Date()
@@ -134,6 +238,10 @@ router.post('/', roomLimiter, async (req, res) => {
                 isPrivate: newRoom.isPrivate,
                 memberCount: newRoom.members.length,
                 onlineCount: newRoom.members.filter(member => member.isOnline).length,
+                isMember: true,
+                messageTtlSeconds: newRoom.messageTtlSeconds,
+                unreadCount: 0,
+                mentionCount: 0,
                 createdBy: newRoom.createdBy,
                 createdAt: newRoom.createdAt,
                 lastActivity: newRoom.lastActivity
@@ -158,8 +266,8 @@ router.post('/:roomId/join', roomLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Invalid room ID' });
         }
 
-        // Find the room
-        const room = await ChatRoom.findOne({ _id: roomId, isActive: true });
+        // Find the room; conversations are only for the people already in them
+        const room = await ChatRoom.findOne({ _id: roomId, isActive: true, type: { $nin: CONVERSATION_TYPES } });
         if (!room) {
             return res.status(404).json({ error: 'Chat room not found' });
         }
@@ -220,19 +328,11 @@ router.post('/:roomId/leave', roomLimiter, async (req, res) => {
             return res.status(409).json({ error: 'You are not a member of this room' });
         }
 
-        // Remove user from room
-        room.members = room.members.filter(memberId => !memberId.equals(userId));
-        room.lastActivity = new Date();
-
-        // If room is empty and not the default room, deactivate it
-        if (room.members.length === 0 && room.name !== 'general') {
-            room.isActive = false;
+        if (isConversation(room)) {
+            return res.status(400).json({ error: 'Direct messages cannot be left' });
         }
 
-        await room.save();
-
-        // Update user's current room to general
-        await User.findByIdAndUpdate(userId, { room: 'general' });
+        await removeMember(room, userId);
 
         res.json({
             success: true,
@@ -261,7 +361,7 @@ router.get('/:roomId', async (req, res) => {
             .populate('members', 'username isOnline lastSeen')
             .exec();
 
-        if (!room) {
+        if (!room || isHiddenConversation(room, req.user._id)) {
             return res.status(404).json({ error: 'Chat room not found' });
         }
 
@@ -272,6 +372,7 @@ router.get('/:roomId', async (req, res) => {
                 name: room.name,
                 description: room.description,
                 isPrivate: room.isPrivate,
+                messageTtlSeconds: room.messageTtlSeconds || null,
                 createdBy: room.createdBy,
                 members: room.members,
                 memberCount: room.members.length,
@@ -288,6 +389,56 @@ router.get('/:roomId', async (req, res) => {
     }
 });
 
+// PUT /api/rooms/:roomId/settings - Update room settings (moderators, or either person in a direct conversation)
+// Body: { messageTtlSeconds } - default disappearing-message timer, or null for off
+router.put('/:roomId/settings', roomLimiter, async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { messageTtlSeconds } = req.body;
+
+        // Validate roomId
+        if (!mongoose.Types.ObjectId.isValid(roomId)) {
+            return res.status(400).json({ error: 'Invalid room ID' });
+        }
+
+        if (messageTtlSeconds === undefined) {
+            return res.status(400).json({ error: 'No settings to update' });
+        }
+
+        const ttlError = validateMessageTtl(messageTtlSeconds);
+        if (ttlError) {
+            return res.status(400).json({ error: ttlError });
+        }
+
+        const room = await ChatRoom.findOne({ _id: roomId, isActive: true });
+        if (!room) {
+            return res.status(404).json({ error: 'Chat room not found' });
+        }
+
+        if (!canManageRoom(room, req.user._id)) {
+            return res.status(403).json({ error: 'Only room moderators can change room settings' });
+        }
+
+        room.messageTtlSeconds = messageTtlSeconds;
+        await room.save();
+
+        const settings = { messageTtlSeconds: room.messageTtlSeconds };
+
+        // Everyone in the room sees the new timer right away
+        io.to(room.name).emit('roomSettingsUpdated', { room: room.name, ...settings });
+
+        res.json({
+            success: true,
+            settings
+        });
+    } catch (error) {
+        console.error('Error updating room settings:', error);
+        res.status(500).json({
+            error: 'Failed to update room settings'
+        });
+    }
+});
+
 // GET /api/rooms/:roomId/members - Get room members
 router.get('/:roomId/members', async (req, res) => {
     try {
@@ -302,7 +453,7 @@ router.get('/:roomId/members', async (req, res) => {
             .populate('members', 'username isOnline lastSeen joinedAt')
             .exec();
 
-        if (!room) {
+        if (!room || isHiddenConversation(room, req.user._id)) {
             return res.status(404).json({ error: 'Chat room not found' });
         }
 
@@ -362,4 +513,18 @@ router.get('/:roomId/invitations', async (req, res) => {
     }
 });
 
-module.exports = { router, initializeChatRoomRoutes };
+module.exports = {
+    router,
+    initializeChatRoomRoutes,
+    canModerateRoom,
+    canManageRoom,
+    validateMessageTtl,
+    validateRoomDescription,
+    removeMember,
+    isRoomMember,
+    canViewRoom,
+    isConversation,
+    historyStartFor,
+    getHistoryStart,
+    CONVERSATION_TYPES
+};
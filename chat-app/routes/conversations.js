@@ -0,0 +1,292 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getUnreadCounts } = require('./readMarkers');
+const { userChannel } = require('./mentions');
+const { CONVERSATION_TYPES, historyStartFor } = require('./chatRooms');
+const { serializePresence, PRESENCE_FIELDS } = require('./presence');
+
+const router = express.Router();
+
+// Rate limiting for starting conversations
+const conversationLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 requests per windowMs
+    message: {
+        error: 'Too many conversations started, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Group conversations are for a small, fixed set of people
+const MAX_GROUP_SIZE = 8;
+
+// Models and Socket.IO server will be initialized from server.js
+let ChatRoom;
+let User;
+let io;
+
+// Initialize models
+const initializeConversationRoutes = (chatRoomModel, userModel, socketServer) => {
+    ChatRoom = chatRoomModel;
+    User = userModel;
+    io = socketServer;
+};
+
+// A pair of users always maps to the same key, whoever starts the conversation
+const directKeyFor = (userIds) => userIds.map(String).sort().join(':');
+
+// Room names must stay short and can never clash with named rooms, which cannot contain ":"
+const directRoomName = (directKey) => `dm:${crypto.createHash('sha256').update(directKey).digest('hex').slice(0, 24)}`;
+
+// Group conversations get random names; they are told apart by who is in them
+const groupRoomName = () => `gdm:${crypto.randomBytes(12).toString('hex')}`;
+
+// "bob", "bob and carol", "bob, carol and dave", "bob, carol and 3 others"
+const conversationTitle = (usernames) => {
+    if (usernames.length === 0) {
+        return 'Just you';
+    }
+    if (usernames.length <= 3) {
+        return usernames.length === 1
+            ? usernames[0]
+            : `${usernames.slice(0, -1).join(', ')} and ${usernames[usernames.length - 1]}`;
+    }
+    return `${usernames.slice(0, 2).join(', ')} and ${usernames.length - 2} others`;
+};
+
+// A conversation as one participant sees it; the title names everyone else.
+// Expects members populated with PRESENCE_FIELDS.
+const serializeConversation = (room, userId, counts = null) => {
+    const others = room.members.filter(member => !member._id.equals(userId));
+
+    return {
+        _id: room._id,
+        name: room.name,
+        type: room.type,
+        title: conversationTitle(others.map(member => member.username)),
+        participants: room.members.map(member => ({
+            _id: member._id,
+            username: member.username,
+            isOnline: member.isOnline,
+            presence: serializePresence(member)
+        })),
+        messageTtlSeconds: room.messageTtlSeconds || null,
+        unreadCount: counts ? counts.unreadCount : 0,
+        mentionCount: counts ? counts.mentionCount : 0,
+        createdAt: room.createdAt,
+        lastActivity: room.lastActivity
+    };
+};
+
+// Tell every participant how the conversation now looks to them
+const notifyConversationUpdated = (room) => {
+    room.members.forEach(member => {
+        io.to(userChannel(member._id)).emit('conversationUpdated', serializeConversation(room, member._id));
+    });
+};
+
+// Look up the people picked for a group conversation, leaving out the user picking them
+const findParticipants = async (usernames, user) => {
+    if (!Array.isArray(usernames) || usernames.length === 0 || !usernames.every(name => typeof name === 'string')) {
+        return { status: 400, error: 'Pick at least one person' };
+    }
+
+    const names = [...new Set(usernames.map(name => name.trim().replace(/^@/, '')).filter(Boolean))]
+        .filter(name => name !== user.username);
+    if (names.length >= MAX_GROUP_SIZE) {
+        return { status: 400, error: `Group conversations can have at most ${MAX_GROUP_SIZE} people` };
+    }
+
+    const users = await User.find({ username: { $in: names } }).select('_id username');
+    const missing = names.filter(name => !users.some(found => found.username === name));
+    if (missing.length > 0) {
+        return { status: 404, error: `User not found: ${missing.join(', ')}` };
+    }
+
+    return { users };
+};
+
+// GET /api/conversations - Get the current user's direct and group conversations, most recent first
+router.get('/', async (req, res) => {
+    try {
+        const rooms = await ChatRoom.find({ members: req.user._id, type: { $in: CONVERSATION_TYPES }, isActive: true })
+            .populate('members', PRESENCE_FIELDS)
+            .sort({ lastActivity: -1 })
+            .exec();
+
+        const historyStarts = new Map(rooms
+            .map(room => [room.name, historyStartFor(room, req.user._id)])
+            .filter(([, since]) => since));
+        const unreadCounts = await getUnreadCounts(req.user._id, rooms.map(room => room.name), historyStarts);
+
+        res.json({
+            success: true,
+            conversations: rooms.map(room => serializeConversation(room, req.user._id, unreadCounts.get(room.name)))
+        });
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// POST /api/conversations/direct - Open a one-to-one conversation, starting it the first time
+// Body: { username }
+router.post('/direct', conversationLimiter, async (req, res) => {
+    try {
+        const { username } = req.body || {};
+
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+
+        const otherUser = await User.findOne({ username: username.trim() }).select('_id username');
+        if (!otherUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (otherUser._id.equals(req.user._id)) {
+            return res.status(400).json({ error: 'You cannot start a conversation with yourself' });
+        }
+
+        const participants = [req.user._id, otherUser._id];
+        const directKey = directKeyFor(participants);
+
+        let room = await ChatRoom.findOne({ directKey });
+        let created = !room;
+
+        if (!room) {
+            try {
+                room = await ChatRoom.create({
+                    name: directRoomName(directKey),
+                    type: 'direct',
+                    directKey,
+                    isPrivate: true,
+                    createdBy: req.user._id,
+                    members: participants,
+                    // Neither side of a one-to-one conversation outranks the other;
+                    // both can pin and change settings as participants (see canManageRoom)
+                    moderators: [],
+                    lastActivity: new Date()
+                });
+            } catch (error) {
+                // Both people started it at once; use the one that was saved
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                room = await ChatRoom.findOne({ directKey });
+                created = false;
+            }
+        }
+
+        await room.populate('members', PRESENCE_FIELDS);
+
+        // Both sidebars list the new conversation right away
+        if (created) {
+            notifyConversationUpdated(room);
+        }
+
+        const unreadCounts = await getUnreadCounts(req.user._id, [room.name]);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            conversation: serializeConversation(room, req.user._id, unreadCounts.get(room.name))
+        });
+    } catch (error) {
+        console.error('Error opening direct conversation:', error);
+        res.status(500).json({ error: 'Failed to open conversation' });
+    }
+});
+
+// POST /api/conversations/group - Start a conversation with a few people
+// Body: { usernames } - everyone else in it, up to 7
+router.post('/group', conversationLimiter, async (req, res) => {
+    try {
+        const result = await findParticipants(req.body && req.body.usernames, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        if (result.users.length < 2) {
+            return res.status(400).json({ error: 'Pick at least two people, or send a direct message instead' });
+        }
+
+        const room = await ChatRoom.create({
+            name: groupRoomName(),
+            type: 'group',
+            isPrivate: true,
+            createdBy: req.user._id,
+            members: [req.user._id, ...result.users.map(participant => participant._id)],
+            lastActivity: new Date()
+        });
+
+        await room.populate('members', PRESENCE_FIELDS);
+        notifyConversationUpdated(room);
+
+        res.status(201).json({
+            success: true,
+            conversation: serializeConversation(room, req.user._id)
+        });
+    } catch (error) {
+        console.error('Error starting group conversation:', error);
+        res.status(500).json({ error: 'Failed to start conversation' });
+    }
+});
+
+// POST /api/conversations/:conversationId/members - Add people to a group conversation
+// Body: { usernames, includeHistory } - without includeHistory they only see messages from now on
+router.post('/:conversationId/members', conversationLimiter, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { usernames, includeHistory = false } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        const room = await ChatRoom.findOne({ _id: conversationId, members: req.user._id, type: 'group', isActive: true });
+        if (!room) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const result = await findParticipants(usernames, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const newcomers = result.users.filter(participant => !room.members.some(memberId => memberId.equals(participant._id)));
+        if (newcomers.length === 0) {
+            return res.status(409).json({ error: 'Everyone you picked is already in this conversation' });
+        }
+
+        if (room.members.length + newcomers.length > MAX_GROUP_SIZE) {
+            return res.status(400).json({ error: `Group conversations can have at most ${MAX_GROUP_SIZE} people` });
+        }
+
+        const now = new Date();
+        newcomers.forEach(participant => {
+            room.members.push(participant._id);
+            if (includeHistory !== true) {
+                room.visibleSince.push({ userId: participant._id, since: now });
+            }
+        });
+        room.lastActivity = now;
+        await room.save();
+
+        await room.populate('members', PRESENCE_FIELDS);
+        notifyConversationUpdated(room);
+
+        res.json({
+            success: true,
+            added: newcomers.map(participant => participant.username),
+            conversation: serializeConversation(room, req.user._id)
+        });
+    } catch (error) {
+        console.error('Error adding people to conversation:', error);
+        res.status(500).json({ error: 'Failed to add people to the conversation' });
+    }
+});
+
+module.exports = { router, initializeConversationRoutes };
@@ -0,0 +1,133 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { userChannel } = require('./mentions');
+
+const router = express.Router();
+
+// Rate limiting for draft saves. Clients save after each pause in typing,
+// so this allows a steady trickle rather than a burst.
+const draftLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // limit each IP to 60 draft saves per windowMs
+    message: {
+        error: 'Too many draft saves, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const MAX_DRAFTS_PER_USER = 100;
+const MAX_DRAFT_LENGTH = 10000;
+
+// Models and Socket.IO server will be initialized from server.js
+let Draft;
+let io;
+
+// Initialize models
+const initializeDraftRoutes = (draftModel, socketServer) => {
+    Draft = draftModel;
+    io = socketServer;
+};
+
+const serializeDraft = (draft) => ({
+    room: draft.room,
+    message: draft.message,
+    updatedAt: draft.updatedAt
+});
+
+// Keep the user's other devices in sync. A removed draft is sent with an empty message.
+const notifyDraftUpdated = (userId, draft) => {
+    io.to(userChannel(userId)).emit('draftUpdated', draft);
+};
+
+// GET /api/drafts - Get the current user's unsent drafts
+router.get('/', async (req, res) => {
+    try {
+        const drafts = await Draft.find({ userId: req.user._id })
+            .sort({ updatedAt: -1 })
+            .limit(MAX_DRAFTS_PER_USER);
+
+        res.json({
+            success: true,
+            drafts: drafts.map(serializeDraft)
+        });
+    } catch (error) {
+        console.error('Error fetching drafts:', error);
+        res.status(500).json({ error: 'Failed to fetch drafts' });
+    }
+});
+
+// PUT /api/drafts/:room - Save the draft for a room
+// Body: { message }. Blank text removes the draft.
+router.put('/:room', draftLimiter, async (req, res) => {
+    try {
+        const { room } = req.params;
+        const { message } = req.body || {};
+
+        if (typeof message !== 'string') {
+            return res.status(400).json({ error: 'Draft must be text' });
+        }
+        if (message.length > MAX_DRAFT_LENGTH) {
+            return res.status(400).json({ error: `Drafts can be at most ${MAX_DRAFT_LENGTH} characters` });
+        }
+
+        if (!message.trim()) {
+            await Draft.deleteOne({ userId: req.user._id, room });
+            notifyDraftUpdated(req.user._id, { room, message: '', updatedAt: new Date() });
+
+            return res.json({
+                success: true,
+                draft: null
+            });
+        }
+
+        const exists = await Draft.exists({ userId: req.user._id, room });
+        if (!exists) {
+            const count = await Draft.countDocuments({ userId: req.user._id });
+            if (count >= MAX_DRAFTS_PER_USER) {
+                return res.status(400).json({ error: `You can keep drafts in at most ${MAX_DRAFTS_PER_USER} rooms` });
+            }
+        }
+
+        const draft = await Draft.findOneAndUpdate(
+            { userId: req.user._id, room },
+            { message },
+            { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+        );
+
+        const serialized = serializeDraft(draft);
+        notifyDraftUpdated(req.user._id, serialized);
+
+        res.json({
+            success: true,
+            draft: serialized
+        });
+    } catch (error) {
+        // Two saves for a new draft raced; the other one created it
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Draft was saved at the same time elsewhere, please try again' });
+        }
+        console.error('Error saving draft:', error);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+// DELETE /api/drafts/:room - Discard the draft for a room
+router.delete('/:room', draftLimiter, async (req, res) => {
+    try {
+        const { room } = req.params;
+
+        await Draft.deleteOne({ userId: req.user._id, room });
+        notifyDraftUpdated(req.user._id, { room, message: '', updatedAt: new Date() });
+
+        res.json({
+            success: true,
+            message: 'Draft discarded'
+        });
+    } catch (error) {
+        console.error('Error discarding draft:', error);
+        res.status(500).json({ error: 'Failed to discard draft' });
+    }
+});
+
+module.exports = { router, initializeDraftRoutes };
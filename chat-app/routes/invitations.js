@@ -2,6 +2,7 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { isConversation, CONVERSATION_TYPES } = require('./chatRooms');
 
 const router = express.Router();
 
@@ -33,6 +34,61 @@ const generateInviteCode = () => {
     return crypto.randomBytes(16).toString('hex');
 };
 
+// Find a user who can be invited to the room directly
+const findInvitableUser = async (room, invitedUsername) => {
+    const invitedUser = await User.findOne({ username: invitedUsername });
+    if (!invitedUser) {
+        return { status: 404, error: 'User not found' };
+    }
+
+    // Check if user is already a member
+    if (room.members.includes(invitedUser._id)) {
+        return { status: 409, error: 'User is already a member of this room' };
+    }
+
+    // Check for existing pending invitation
+    const existingInvite = await Invitation.findOne({
+        roomId: room._id,
+        invitedUser: invitedUser._id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (existingInvite) {
+        return { status: 409, error: 'User already has a pending invitation to this room' };
+    }
+
+    return { user: invitedUser };
+};
+
+// Invite a user to a room by username, for a day (used by /invite)
+const inviteUser = async (room, invitedBy, invitedUsername) => {
+    if (isConversation(room)) {
+        return { status: 400, error: 'Direct messages are only for the people already in them' };
+    }
+
+    if (!room.members.includes(invitedBy._id)) {
+        return { status: 403, error: 'You must be a member of the room to invite others' };
+    }
+
+    const result = await findInvitableUser(room, invitedUsername);
+    if (result.error) {
+        return result;
+    }
+
+    const invitation = new Invitation({
+        roomId: room._id,
+        invitedBy: invitedBy._id,
+        invitedUser: result.user._id,
+        inviteCode: generateInviteCode(),
+        type: 'direct',
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+    await invitation.save();
+
+    return { invitation, user: result.user };
+};
+
 // POST /api/invitations/create - Create invitation for a room
 router.post('/create', inviteLimiter, async (req, res) => {
     try {
@@ -44,8 +100,8 @@ router.post('/create', inviteLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Invalid room ID' });
         }
 
-        // Find the room
-        const room = await ChatRoom.findOne({ _id: roomId, isActive: true });
+        // Find the room; conversations cannot be shared
+        const room = await ChatRoom.findOne({ _id: roomId, isActive: true, type: { $nin: CONVERSATION_TYPES } });
         if (!room) {
             return res.status(404).json({ error: 'Room not found' });
         }
@@ -65,27 +121,11 @@ router.post('/create', inviteLimiter, async (req, res) => {
 
         // Handle direct user invitation
         if (type === 'direct' && invitedUsername) {
-            invitedUser = await User.findOne({ username: invitedUsername });
-            if (!invitedUser) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-
-            // Check if user is already a member
-            if (room.members.includes(invitedUser._id)) {
-                return res.status(409).json({ error: 'User is already a member of this room' });
-            }
-
-            // Check for existing pending invitation
-            const existingInvite = await Invitation.findOne({
-                roomId,
-                invitedUser: invitedUser._id,
-                status: 'pending',
-                expiresAt: { $gt: new Date() }
-            });
-
-            if (existingInvite) {
-                return res.status(409).json({ error: 'User already has a pending invitation to this room' });
+            const result = await findInvitableUser(room, invitedUsername);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
             }
+            invitedUser = result.user;
         }
 
         // Create invitation
@@ -321,4 +361,4 @@ router.get('/code/:inviteCode', async (req, res) => {
     }
 });
 
-module.exports = { router, initializeInvitationRoutes };
+module.exports = { router, initializeInvitationRoutes, inviteUser };
@@ -0,0 +1,163 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { serializeMessage } = require('./messages');
+
+const router = express.Router();
+
+// Group mentions that notify several people at once
+const GROUP_MENTIONS = ['room', 'here'];
+
+// Models and Socket.IO server will be initialized from server.js
+let Mention;
+let User;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializeMentionRoutes = (mentionModel, userModel, chatRoomModel, socketServer) => {
+    Mention = mentionModel;
+    User = userModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Socket.IO room that reaches every connection of a user
+const userChannel = (userId) => `user:${userId}`;
+
+// Pull `@name` tokens out of message text (emails like a@b.c are ignored)
+const parseMentions = (text = '') => {
+    const names = new Set();
+    const mentionPattern = /(^|[^\w@.])@([\w.-]{1,20})/g;
+    let match;
+
+    while ((match = mentionPattern.exec(text)) !== null) {
+        names.add(match[2].replace(/[.-]+$/, ''));
+    }
+
+    return Array.from(names).filter(Boolean);
+};
+
+// Resolve the mentions in a message to user ids.
+// Rooms with a ChatRoom document only notify their members;
+// @here is everyone online in the room, @room is every member.
+const resolveMentions = async (text, roomName, author) => {
+    const names = parseMentions(text);
+    if (names.length === 0) {
+        return { userIds: [], groupMention: null };
+    }
+
+    const groupMention = GROUP_MENTIONS.find(group => names.includes(group)) || null;
+    const usernames = names.filter(name => !GROUP_MENTIONS.includes(name));
+    const room = await ChatRoom.findOne({ name: roomName, isActive: true });
+
+    const conditions = [];
+    if (usernames.length > 0) {
+        conditions.push({ username: { $in: usernames } });
+    }
+    if (groupMention === 'room') {
+        conditions.push(room ? { _id: { $in: room.members } } : { room: roomName });
+    }
+    if (groupMention === 'here') {
+        conditions.push(room
+            ? { _id: { $in: room.members }, isOnline: true }
+            : { 'connections.room': roomName });
+    }
+
+    const users = await User.find({ $or: conditions }).select('_id').exec();
+
+    const userIds = users
+        .map(user => user._id)
+        .filter(userId => !userId.equals(author._id))
+        .filter(userId => !room || room.members.some(memberId => memberId.equals(userId)));
+
+    return { userIds, groupMention };
+};
+
+// Store unread mentions for a saved message and notify the mentioned users
+// wherever they are connected. Users who muted the room only get the unread entry.
+const notifyMentions = async (message) => {
+    if (!message.mentions || message.mentions.length === 0) {
+        return;
+    }
+
+    await Mention.insertMany(message.mentions.map(userId => ({
+        userId,
+        messageId: message._id,
+        room: message.room,
+        mentionedBy: message.userId
+    })));
+
+    const mutedUsers = await User.find({ _id: { $in: message.mentions }, mutedRooms: message.room }).select('_id');
+    const mutedUserIds = new Set(mutedUsers.map(user => String(user._id)));
+
+    const payload = serializeMessage(message);
+    message.mentions.filter(userId => !mutedUserIds.has(String(userId))).forEach(userId => {
+        io.to(userChannel(userId)).emit('mentioned', {
+            message: payload,
+            room: message.room,
+            mentionedBy: message.username
+        });
+    });
+};
+
+// GET /api/mentions - Get the current user's unread mentions
+router.get('/', async (req, res) => {
+    try {
+        const mentions = await Mention.find({ userId: req.user._id, isRead: false })
+            .populate('messageId')
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .exec();
+
+        res.json({
+            success: true,
+            mentions: mentions
+                .filter(mention => mention.messageId && !mention.messageId.isDeleted)
+                .map(mention => ({
+                    _id: mention._id,
+                    room: mention.room,
+                    createdAt: mention.createdAt,
+                    message: serializeMessage(mention.messageId)
+                }))
+        });
+    } catch (error) {
+        console.error('Error fetching mentions:', error);
+        res.status(500).json({ error: 'Failed to fetch mentions' });
+    }
+});
+
+// POST /api/mentions/read - Mark mentions as read
+// Body: { mentionIds } or { room }; with neither, all mentions are marked read
+router.post('/read', async (req, res) => {
+    try {
+        const { mentionIds, room } = req.body || {};
+        const filter = { userId: req.user._id, isRead: false };
+
+        if (Array.isArray(mentionIds)) {
+            if (!mentionIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({ error: 'Invalid mention ID' });
+            }
+            filter._id = { $in: mentionIds };
+        } else if (room) {
+            filter.room = room;
+        }
+
+        const result = await Mention.updateMany(filter, { isRead: true, readAt: new Date() });
+
+        res.json({
+            success: true,
+            updated: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Error marking mentions read:', error);
+        res.status(500).json({ error: 'Failed to mark mentions as read' });
+    }
+});
+
+module.exports = {
+    router,
+    initializeMentionRoutes,
+    resolveMentions,
+    notifyMentions,
+    userChannel
+};
@@ -0,0 +1,129 @@
+const { threadChannel } = require('./messages');
+const { removeAttachmentFiles } = require('./attachments');
+const { removeMessageBookmarks } = require('./bookmarks');
+
+// How often disappearing messages are checked. Well under the minute MongoDB's
+// TTL monitor takes, so clients hear about expiries before the backstop deletes them.
+const SWEEP_INTERVAL_MS = 5 * 1000;
+
+// Messages removed per pass; a backlog is worked through on the following passes
+const SWEEP_BATCH_SIZE = 500;
+
+// Models and socket server will be initialized from server.js
+let Message;
+let ChatRoom;
+let Mention;
+let io;
+
+// Initialize models
+const initializeMessageExpiry = (messageModel, chatRoomModel, mentionModel, socketServer) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    Mention = mentionModel;
+    io = socketServer;
+};
+
+// When a message with this timer posted to a room with this default should expire.
+// Senders may pick a shorter timer than the room's, never a longer one.
+const resolveExpiry = (ttlSeconds, roomTtlSeconds, now = new Date()) => {
+    const timers = [ttlSeconds, roomTtlSeconds].filter(Boolean);
+    if (timers.length === 0) {
+        return null;
+    }
+    return new Date(now.getTime() + Math.min(...timers) * 1000);
+};
+
+// Remove expired messages (and replies in their threads) and tell clients
+const sweepExpiredMessages = async () => {
+    const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+        .select('_id room parentId attachment')
+        .limit(SWEEP_BATCH_SIZE);
+
+    if (expired.length === 0) {
+        return 0;
+    }
+
+    // A thread disappears with its parent
+    const expiredIds = expired.map(message => message._id);
+    const replies = await Message.find({ parentId: { $in: expiredIds }, _id: { $nin: expiredIds } })
+        .select('_id room parentId attachment');
+
+    const removed = [...expired, ...replies];
+    const removedIds = removed.map(message => message._id);
+
+    await Message.deleteMany({ _id: { $in: removedIds } });
+    await Mention.deleteMany({ messageId: { $in: removedIds } });
+    await removeMessageBookmarks(removedIds);
+    await ChatRoom.updateMany(
+        { 'pins.messageId': { $in: removedIds } },
+        { $pull: { pins: { messageId: { $in: removedIds } } } }
+    );
+
+    // Forwarded copies share files, so keep any file another message still shows
+    const withFiles = removed.filter(message => message.attachment);
+    const stillShown = await Message.find({ 'attachment.key': { $in: withFiles.map(message => message.attachment.key) } })
+        .select('attachment.key');
+    const keysInUse = new Set(stillShown.map(message => message.attachment.key));
+
+    await Promise.all(withFiles
+        .filter(message => !keysInUse.has(message.attachment.key))
+        .map(message => removeAttachmentFiles(message.attachment).catch(error => (
+            console.error('Error removing expired attachment:', message._id, error.message)
+        ))));
+
+    // Replies that expired on their own leave their thread one shorter
+    const removedIdSet = new Set(removedIds.map(String));
+    const shortenedThreads = expired.filter(message => (
+        message.parentId && !removedIdSet.has(String(message.parentId))
+    ));
+
+    for (const reply of shortenedThreads) {
+        const parent = await Message.findByIdAndUpdate(
+            reply.parentId,
+            { $inc: { replyCount: -1 } },
+            { new: true }
+        );
+        if (parent) {
+            io.to(parent.room).emit('threadUpdated', {
+                _id: parent._id,
+                room: parent.room,
+                replyCount: Math.max(0, parent.replyCount),
+                lastReplyAt: parent.lastReplyAt
+            });
+        }
+    }
+
+    removed.forEach(message => {
+        const payload = { _id: message._id, room: message.room, parentId: message.parentId };
+        io.to(message.parentId ? threadChannel(message.parentId) : message.room).emit('messageExpired', payload);
+    });
+
+    return removed.length;
+};
+
+let sweeping = false;
+
+const runSweeper = async () => {
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+        while ((await sweepExpiredMessages()) >= SWEEP_BATCH_SIZE) {
+            // Keep going until the backlog is cleared
+        }
+    } catch (error) {
+        console.error('Error sweeping expired messages:', error);
+    } finally {
+        sweeping = false;
+    }
+};
+
+// Start removing disappearing messages, including any that expired while the server was down
+const startExpirySweeper = () => {
+    runSweeper();
+    const timer = setInterval(runSweeper, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { initializeMessageExpiry, resolveExpiry, startExpirySweeper };
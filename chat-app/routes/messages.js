@@ -0,0 +1,590 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { canModerateRoom, historyStartFor } = require('./chatRooms');
+
+const router = express.Router();
+
+// Rate limiting for message edits and deletions
+const messageLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many message operations, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Reactions per message are capped to keep messages small
+const MAX_DISTINCT_REACTIONS = 20;
+
+// History page sizes
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Models and Socket.IO server will be initialized from server.js
+let Message;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializeMessageRoutes = (messageModel, chatRoomModel, socketServer) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Socket.IO room for people viewing a thread
+const threadChannel = (messageId) => `thread:${messageId}`;
+
+// Replies are broadcast to their thread, top-level messages to their room
+const messageChannel = (message) => (
+    message.parentId ? threadChannel(message.parentId) : message.room
+);
+
+// Group raw reactions by emoji, in the order each emoji was first used
+const summarizeReactions = (reactions = []) => {
+    const summary = new Map();
+
+    reactions.forEach(reaction => {
+        if (!summary.has(reaction.emoji)) {
+            summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [], userIds: [] });
+        }
+        const entry = summary.get(reaction.emoji);
+        entry.count += 1;
+        entry.users.push(reaction.username);
+        entry.userIds.push(reaction.userId);
+    });
+
+    return Array.from(summary.values());
+};
+
+// Polls stop taking votes when closed early or once their closing time passes
+const isPollClosed = (poll, now = new Date()) => (
+    !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= now)
+);
+
+// Count votes per option. Anonymous polls leave out who voted for what.
+const serializePoll = (poll) => ({
+    options: poll.options.map(option => {
+        const votes = poll.votes.filter(vote => vote.optionId.equals(option._id));
+        return {
+            _id: option._id,
+            text: option.text,
+            count: votes.length,
+            voters: poll.anonymous ? null : votes.map(vote => ({ userId: vote.userId, username: vote.username }))
+        };
+    }),
+    totalVoters: new Set(poll.votes.map(vote => String(vote.userId))).size,
+    multipleChoice: poll.multipleChoice,
+    anonymous: poll.anonymous,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    isClosed: isPollClosed(poll)
+});
+
+// Validation helpers
+const validateEmoji = (emoji) => {
+    if (!emoji || typeof emoji !== 'string') {
+        return 'Emoji is required';
+    }
+    if (emoji.length > 32 || /\s/.test(emoji) || !/\p{Extended_Pictographic}/u.test(emoji)) {
+        return 'Invalid emoji';
+    }
+    return null;
+};
+
+// Client message ids are opaque tokens such as UUIDs
+const isValidClientMessageId = (clientMessageId) => (
+    typeof clientMessageId === 'string' && /^[\w-]{8,64}$/.test(clientMessageId)
+);
+
+// Query condition that leaves out disappearing messages past their expiry,
+// for the few seconds before the expiry sweeper removes them
+const notExpired = () => ({ $nor: [{ expiresAt: { $lte: new Date() } }] });
+
+// Shape a message for clients. Deleted messages are sent as tombstones without content.
+const serializeMessage = (message) => ({
+    _id: message._id,
+    userId: message.userId,
+    username: message.username,
+    message: message.isDeleted ? '' : message.message,
+    timestamp: message.timestamp,
+    room: message.room,
+    parentId: message.parentId,
+    replyCount: message.replyCount,
+    lastReplyAt: message.lastReplyAt,
+    reactions: message.isDeleted ? [] : summarizeReactions(message.reactions),
+    mentions: message.mentions || [],
+    groupMention: message.groupMention || null,
+    editedAt: message.editedAt,
+    editCount: message.isDeleted ? 0 : message.editHistory.length,
+    isDeleted: message.isDeleted,
+    deletedAt: message.deletedAt,
+    clientMessageId: message.clientMessageId || null,
+    expiresAt: message.expiresAt || null,
+    poll: message.poll && !message.isDeleted ? serializePoll(message.poll) : null,
+    isAction: !!message.isAction,
+    forwardedFrom: message.forwardedFrom ? {
+        messageId: message.forwardedFrom.messageId,
+        room: message.forwardedFrom.room,
+        userId: message.forwardedFrom.userId,
+        username: message.forwardedFrom.username,
+        timestamp: message.forwardedFrom.timestamp
+    } : null,
+    quote: message.quote && !message.isDeleted ? {
+        messageId: message.quote.messageId,
+        room: message.quote.room,
+        parentId: message.quote.parentId,
+        userId: message.quote.userId,
+        username: message.quote.username,
+        message: message.quote.isDeleted ? '' : message.quote.message,
+        timestamp: message.quote.timestamp,
+        isDeleted: !!message.quote.isDeleted
+    } : null,
+    attachment: message.attachment && !message.isDeleted ? {
+        filename: message.attachment.filename,
+        mimeType: message.attachment.mimeType,
+        size: message.attachment.size,
+        width: message.attachment.width || null,
+        height: message.attachment.height || null,
+        placeholder: message.attachment.placeholder || null,
+        url: `/api/attachments/${message._id}`,
+        thumbnails: Object.fromEntries((message.attachment.thumbnails || []).map(thumbnail => [
+            thumbnail.name,
+            {
+                url: `/api/attachments/${message._id}/thumbnails/${thumbnail.name}`,
+                width: thumbnail.width,
+                height: thumbnail.height
+            }
+        ]))
+    } : null
+});
+
+// A notice only one user sees ("only you can see this"), such as a command reply.
+// It is never saved; room is null for notices that belong to no particular room.
+const createEphemeralMessage = (room, text) => ({
+    ephemeralId: crypto.randomUUID(),
+    room,
+    message: text,
+    timestamp: new Date(),
+    isEphemeral: true
+});
+
+// Private rooms only share their messages with members, and only from when each member could see them
+const canViewMessage = async (message, user) => {
+    const room = await ChatRoom.findOne({ name: message.room, isActive: true });
+    if (!room || !room.isPrivate) {
+        return true;
+    }
+    if (!room.members.includes(user._id)) {
+        return false;
+    }
+    const since = historyStartFor(room, user._id);
+    return !since || message.timestamp >= since;
+};
+
+// Check if a user wrote the message (older messages only carry the username)
+const isMessageAuthor = (message, user) => {
+    if (message.userId) {
+        return message.userId.equals(user._id);
+    }
+    return message.username === user.username;
+};
+
+// Find a message the user is allowed to change (author or room moderator)
+const findEditableMessage = async (user, messageId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'Invalid message ID' };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    if (!isMessageAuthor(message, user)) {
+        const room = await ChatRoom.findOne({ name: message.room, isActive: true });
+        if (!room || !canModerateRoom(room, user._id)) {
+            return { status: 403, error: 'You can only change your own messages' };
+        }
+    }
+
+    return { message };
+};
+
+// Edit a message, keeping the previous version in its edit history
+const editMessage = async (user, messageId, content) => {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+        return { status: 400, error: 'Message content is required' };
+    }
+
+    const result = await findEditableMessage(user, messageId);
+    if (result.error) {
+        return result;
+    }
+
+    const { message } = result;
+    if (message.poll) {
+        return { status: 400, error: 'Polls cannot be edited' };
+    }
+    if (message.message === text) {
+        return { message };
+    }
+
+    const editedAt = new Date();
+    message.editHistory.push({
+        message: message.message,
+        editedAt,
+        editedBy: user._id
+    });
+    message.message = text;
+    message.editedAt = editedAt;
+    await message.save();
+
+    io.to(messageChannel(message)).emit('messageEdited', serializeMessage(message));
+
+    return { message };
+};
+
+// Delete a message, leaving a tombstone in the room history
+const deleteMessage = async (user, messageId) => {
+    const result = await findEditableMessage(user, messageId);
+    if (result.error) {
+        return result;
+    }
+
+    const { message } = result;
+    const deletedAt = new Date();
+
+    // Keep the last version with the rest of the history
+    message.editHistory.push({
+        message: message.message,
+        editedAt: deletedAt,
+        editedBy: user._id
+    });
+    message.message = '';
+    message.isDeleted = true;
+    message.deletedAt = deletedAt;
+    message.deletedBy = user._id;
+    await message.save();
+
+    io.to(messageChannel(message)).emit('messageDeleted', {
+        _id: message._id,
+        room: message.room,
+        parentId: message.parentId,
+        deletedAt
+    });
+
+    // Quote replies stop showing the deleted text
+    await Message.updateMany(
+        { 'quote.messageId': message._id },
+        { $set: { 'quote.message': '', 'quote.isDeleted': true } }
+    );
+
+    // A deleted message no longer belongs in the room's pins
+    const unpinned = await ChatRoom.updateOne(
+        { name: message.room, 'pins.messageId': message._id },
+        { $pull: { pins: { messageId: message._id } } }
+    );
+    if (unpinned.modifiedCount > 0) {
+        io.to(message.room).emit('messageUnpinned', {
+            room: message.room,
+            messageId: message._id
+        });
+    }
+
+    return { message };
+};
+
+// Find a message the user can react to
+const findReactableMessage = async (user, messageId, emoji) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'Invalid message ID' };
+    }
+
+    const emojiError = validateEmoji(emoji);
+    if (emojiError) {
+        return { status: 400, error: emojiError };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    if (!(await canViewMessage(message, user))) {
+        return { status: 403, error: 'You must be a member of the room to react' };
+    }
+
+    return { message };
+};
+
+// Send the aggregated reactions of a message to its room
+const broadcastReactions = (message) => {
+    io.to(message.room).emit('reactionsUpdated', {
+        _id: message._id,
+        room: message.room,
+        parentId: message.parentId,
+        reactions: summarizeReactions(message.reactions)
+    });
+};
+
+// Add a reaction, once per emoji per user
+const addReaction = async (user, messageId, emoji) => {
+    const result = await findReactableMessage(user, messageId, emoji);
+    if (result.error) {
+        return result;
+    }
+
+    const isNewEmoji = !result.message.reactions.some(reaction => reaction.emoji === emoji);
+    const distinctEmojis = new Set(result.message.reactions.map(reaction => reaction.emoji));
+    if (isNewEmoji && distinctEmojis.size >= MAX_DISTINCT_REACTIONS) {
+        return { status: 400, error: 'This message has too many different reactions' };
+    }
+
+    // The filter makes the push a no-op if the user already used this emoji
+    const message = await Message.findOneAndUpdate(
+        {
+            _id: messageId,
+            reactions: { $not: { $elemMatch: { emoji, userId: user._id } } }
+        },
+        {
+            $push: { reactions: { emoji, userId: user._id, username: user.username } }
+        },
+        { new: true }
+    );
+
+    if (message) {
+        broadcastReactions(message);
+    }
+
+    return { message: message || result.message };
+};
+
+// Remove the user's reaction with this emoji
+const removeReaction = async (user, messageId, emoji) => {
+    const result = await findReactableMessage(user, messageId, emoji);
+    if (result.error) {
+        return result;
+    }
+
+    const message = await Message.findByIdAndUpdate(
+        messageId,
+        { $pull: { reactions: { emoji, userId: user._id } } },
+        { new: true }
+    );
+
+    // Removed in the meantime, by the expiry sweeper or a delete
+    if (!message) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    broadcastReactions(message);
+
+    return { message };
+};
+
+// Turn a cursor (message id or timestamp) into a position in the room history
+const resolveCursor = async (cursor) => {
+    if (/^[a-f\d]{24}$/i.test(cursor)) {
+        const message = await Message.findById(cursor).select('timestamp');
+        return message ? { timestamp: message.timestamp, _id: message._id } : null;
+    }
+
+    const timestamp = new Date(isNaN(cursor) ? cursor : Number(cursor));
+    return isNaN(timestamp.getTime()) ? null : { timestamp };
+};
+
+// Load one page of top-level room messages, oldest first.
+// Without a cursor this is the latest page; `around` centers the page on a message.
+// `since` leaves out messages from before a member could see the room's history.
+const fetchMessagePage = async (room, { before, after, around, limit, since = null } = {}) => {
+    if ([before, after, around].filter(Boolean).length > 1) {
+        return { status: 400, error: 'Use only one of before, after or around' };
+    }
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    if (around) {
+        if (!mongoose.Types.ObjectId.isValid(around)) {
+            return { status: 400, error: 'Invalid message ID' };
+        }
+
+        const target = await Message.findOne({ _id: around, room, parentId: null });
+        if (!target || (since && target.timestamp < since)) {
+            return { status: 404, error: 'Message not found in this room' };
+        }
+
+        const half = Math.max(1, Math.floor(pageSize / 2));
+        const older = await fetchMessagePage(room, { before: around, limit: half, since });
+        const newer = await fetchMessagePage(room, { after: around, limit: half, since });
+
+        return {
+            messages: [...older.messages, target, ...newer.messages],
+            hasMore: older.hasMore,
+            hasNewer: newer.hasMore
+        };
+    }
+    const cursor = before || after;
+    const filter = { room, parentId: null, ...notExpired() };
+
+    // Members who joined without the earlier history
+    if (since) {
+        filter.timestamp = { $gte: since };
+    }
+
+    if (cursor) {
+        const position = await resolveCursor(String(cursor));
+        if (!position) {
+            return { status: 400, error: 'Invalid cursor' };
+        }
+
+        // Messages sharing a timestamp are ordered by id so pages never overlap
+        const op = before ? '$lt' : '$gt';
+        filter.$or = [{ timestamp: { [op]: position.timestamp } }];
+        if (position._id) {
+            filter.$or.push({ timestamp: position.timestamp, _id: { [op]: position._id } });
+        }
+    }
+
+    const direction = after ? 1 : -1;
+    const results = await Message.find(filter)
+        .sort({ timestamp: direction, _id: direction })
+        .limit(pageSize + 1)
+        .exec();
+
+    const hasMore = results.length > pageSize;
+    const messages = results.slice(0, pageSize);
+
+    return {
+        messages: after ? messages : messages.reverse(),
+        hasMore
+    };
+};
+
+// PUT /api/messages/:messageId - Edit a message
+router.put('/:messageId', messageLimiter, async (req, res) => {
+    try {
+        const result = await editMessage(req.user, req.params.messageId, req.body.message);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: serializeMessage(result.message)
+        });
+    } catch (error) {
+        console.error('Error editing message:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+// DELETE /api/messages/:messageId - Delete a message
+router.delete('/:messageId', messageLimiter, async (req, res) => {
+    try {
+        const result = await deleteMessage(req.user, req.params.messageId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: serializeMessage(result.message)
+        });
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// GET /api/messages/:messageId/history - Get the edit history of a message
+router.get('/:messageId/history', async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        // Validate messageId
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const message = await Message.findById(messageId).populate('editHistory.editedBy', 'username');
+        if (!message || message.isDeleted) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (!(await canViewMessage(message, req.user))) {
+            return res.status(403).json({ error: 'You must be a member of the room to view this message' });
+        }
+
+        res.json({
+            success: true,
+            message: serializeMessage(message),
+            history: message.editHistory
+        });
+    } catch (error) {
+        console.error('Error fetching message history:', error);
+        res.status(500).json({ error: 'Failed to fetch message history' });
+    }
+});
+
+// GET /api/messages/:messageId/thread - Get a thread with all of its replies
+router.get('/:messageId/thread', async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        // Validate messageId
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        let parent = await Message.findById(messageId);
+        if (parent && parent.parentId) {
+            // Asking for a reply opens its whole thread
+            parent = await Message.findById(parent.parentId);
+        }
+
+        if (!parent) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (!(await canViewMessage(parent, req.user))) {
+            return res.status(403).json({ error: 'You must be a member of the room to view this thread' });
+        }
+
+        const replies = await Message.find({ parentId: parent._id, ...notExpired() })
+            .sort({ timestamp: 1 })
+            .exec();
+
+        res.json({
+            success: true,
+            parent: serializeMessage(parent),
+            replies: replies.map(serializeMessage)
+        });
+    } catch (error) {
+        console.error('Error fetching thread:', error);
+        res.status(500).json({ error: 'Failed to fetch thread' });
+    }
+});
+
+module.exports = {
+    router,
+    initializeMessageRoutes,
+    serializeMessage,
+    editMessage,
+    deleteMessage,
+    addReaction,
+    removeReaction,
+    fetchMessagePage,
+    threadChannel,
+    canViewMessage,
+    serializePoll,
+    isPollClosed,
+    createEphemeralMessage,
+    isValidClientMessageId,
+    notExpired
+};
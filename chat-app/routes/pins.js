@@ -0,0 +1,229 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const { canManageRoom, historyStartFor } = require('./chatRooms');
+const { serializeMessage } = require('./messages');
+
+const router = express.Router();
+
+// Rate limiting for pinning and unpinning
+const pinLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 requests per windowMs
+    message: {
+        error: 'Too many pin operations, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Keep the pinned list short enough to be useful
+const MAX_PINS_PER_ROOM = 50;
+
+// Models and Socket.IO server will be initialized from server.js
+let Message;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializePinRoutes = (messageModel, chatRoomModel, socketServer) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Shape a pin with its message for clients (pinnedBy is populated with the username)
+const serializePin = (pin, message) => ({
+    messageId: pin.messageId,
+    pinnedBy: pin.pinnedBy,
+    pinnedAt: pin.pinnedAt,
+    message: serializeMessage(message)
+});
+
+// Find a message and its room, checking the user may manage the room's pins
+const findPinnableMessage = async (user, messageId, roomId = null) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'Invalid message ID' };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    const room = await ChatRoom.findOne({ name: message.room, isActive: true });
+    if (!room || (roomId && !room._id.equals(roomId))) {
+        return { status: 404, error: 'Message not found in this room' };
+    }
+
+    if (!canManageRoom(room, user._id)) {
+        return { status: 403, error: 'Only room moderators can pin messages' };
+    }
+
+    return { message, room };
+};
+
+// Pin a message to the top of its room
+const pinMessage = async (user, messageId, roomId = null) => {
+    const result = await findPinnableMessage(user, messageId, roomId);
+    if (result.error) {
+        return result;
+    }
+
+    const { message, room } = result;
+    if (message.isDeleted) {
+        return { status: 400, error: 'Deleted messages cannot be pinned' };
+    }
+
+    const pin = {
+        messageId: message._id,
+        pinnedBy: user._id,
+        pinnedAt: new Date()
+    };
+
+    // Single atomic update so concurrent pins cannot duplicate or overflow the list
+    const updated = await ChatRoom.findOneAndUpdate(
+        {
+            _id: room._id,
+            'pins.messageId': { $ne: message._id },
+            [`pins.${MAX_PINS_PER_ROOM - 1}`]: { $exists: false }
+        },
+        { $push: { pins: pin } },
+        { new: true }
+    );
+
+    if (!updated) {
+        const current = await ChatRoom.findById(room._id).select('pins');
+        if (current && current.pins.some(existing => existing.messageId.equals(message._id))) {
+            return { status: 409, error: 'Message is already pinned' };
+        }
+        return { status: 400, error: `A room can have at most ${MAX_PINS_PER_ROOM} pinned messages` };
+    }
+
+    io.to(message.room).emit('messagePinned', {
+        room: message.room,
+        pin: serializePin({ ...pin, pinnedBy: { _id: user._id, username: user.username } }, message)
+    });
+
+    return { pin, message };
+};
+
+// Remove a message from its room's pins
+const unpinMessage = async (user, messageId, roomId = null) => {
+    const result = await findPinnableMessage(user, messageId, roomId);
+    if (result.error) {
+        return result;
+    }
+
+    const { message, room } = result;
+    const update = await ChatRoom.updateOne(
+        { _id: room._id },
+        { $pull: { pins: { messageId: message._id } } }
+    );
+
+    if (update.modifiedCount === 0) {
+        return { status: 404, error: 'Message is not pinned' };
+    }
+
+    io.to(message.room).emit('messageUnpinned', {
+        room: message.room,
+        messageId: message._id
+    });
+
+    return { message };
+};
+
+// GET /api/rooms/:roomId/pins - Get pinned messages, most recently pinned first
+router.get('/:roomId/pins', async (req, res) => {
+    try {
+        const { roomId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(roomId)) {
+            return res.status(400).json({ error: 'Invalid room ID' });
+        }
+
+        const room = await ChatRoom.findOne({ _id: roomId, isActive: true })
+            .populate('pins.pinnedBy', 'username')
+            .exec();
+
+        if (!room) {
+            return res.status(404).json({ error: 'Chat room not found' });
+        }
+
+        if (room.isPrivate && !room.members.includes(req.user._id)) {
+            return res.status(403).json({ error: 'You must be a member of the room to view pins' });
+        }
+
+        const since = historyStartFor(room, req.user._id);
+        const messages = await Message.find({
+            _id: { $in: room.pins.map(pin => pin.messageId) },
+            isDeleted: { $ne: true },
+            ...(since && { timestamp: { $gte: since } })
+        });
+        const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+        const pins = room.pins
+            .filter(pin => messagesById.has(pin.messageId.toString()))
+            .sort((a, b) => b.pinnedAt - a.pinnedAt)
+            .map(pin => serializePin(pin, messagesById.get(pin.messageId.toString())));
+
+        res.json({
+            success: true,
+            pins,
+            canPin: canManageRoom(room, req.user._id)
+        });
+    } catch (error) {
+        console.error('Error fetching pins:', error);
+        res.status(500).json({ error: 'Failed to fetch pinned messages' });
+    }
+});
+
+// PUT /api/rooms/:roomId/pins/:messageId - Pin a message
+router.put('/:roomId/pins/:messageId', pinLimiter, async (req, res) => {
+    try {
+        const { roomId, messageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(roomId)) {
+            return res.status(400).json({ error: 'Invalid room ID' });
+        }
+
+        const result = await pinMessage(req.user, messageId, roomId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            pin: result.pin
+        });
+    } catch (error) {
+        console.error('Error pinning message:', error);
+        res.status(500).json({ error: 'Failed to pin message' });
+    }
+});
+
+// DELETE /api/rooms/:roomId/pins/:messageId - Unpin a message
+router.delete('/:roomId/pins/:messageId', pinLimiter, async (req, res) => {
+    try {
+        const { roomId, messageId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(roomId)) {
+            return res.status(400).json({ error: 'Invalid room ID' });
+        }
+
+        const result = await unpinMessage(req.user, messageId, roomId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Message unpinned'
+        });
+    } catch (error) {
+        console.error('Error unpinning message:', error);
+        res.status(500).json({ error: 'Failed to unpin message' });
+    }
+});
+
+module.exports = { router, initializePinRoutes, pinMessage, unpinMessage };
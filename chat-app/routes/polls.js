@@ -0,0 +1,224 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { canModerateRoom } = require('./chatRooms');
+const { canViewMessage, serializePoll, isPollClosed } = require('./messages');
+const { userChannel } = require('./mentions');
+
+const router = express.Router();
+
+// Poll size limits
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Models and Socket.IO server will be initialized from server.js
+let Message;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializePollRoutes = (messageModel, chatRoomModel, socketServer) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Check a poll sent with a new message and return the fields to save
+const validatePoll = (poll) => {
+    if (!poll || typeof poll !== 'object' || !Array.isArray(poll.options)) {
+        return { error: 'Poll options are required' };
+    }
+
+    const options = poll.options.map(option => (typeof option === 'string' ? option.trim() : ''));
+    if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+        return { error: `Polls need between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+    }
+    if (options.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+        return { error: `Poll options must be between 1 and ${MAX_OPTION_LENGTH} characters` };
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        return { error: 'Poll options must be different from each other' };
+    }
+
+    let closesAt = null;
+    if (poll.closesAt) {
+        closesAt = new Date(poll.closesAt);
+        if (isNaN(closesAt.getTime()) || closesAt <= new Date()) {
+            return { error: 'Closing time must be in the future' };
+        }
+        if (closesAt.getTime() - Date.now() > MAX_POLL_DURATION_MS) {
+            return { error: 'Polls can stay open for at most 30 days' };
+        }
+    }
+
+    return {
+        poll: {
+            options: options.map(text => ({ text })),
+            multipleChoice: poll.multipleChoice === true,
+            anonymous: poll.anonymous === true,
+            closesAt,
+            closedAt: null,
+            votes: []
+        }
+    };
+};
+
+// Find a poll the user can see
+const findPollMessage = async (user, messageId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'Invalid message ID' };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted || !message.poll) {
+        return { status: 404, error: 'Poll not found' };
+    }
+
+    if (!(await canViewMessage(message, user))) {
+        return { status: 403, error: 'You must be a member of the room to see this poll' };
+    }
+
+    return { message };
+};
+
+// Options the user currently has selected
+const userVotes = (poll, userId) => (
+    poll.votes.filter(vote => vote.userId.equals(userId)).map(vote => vote.optionId)
+);
+
+// Send the latest results to the room
+const broadcastPoll = (message) => {
+    io.to(message.room).emit('pollUpdated', {
+        _id: message._id,
+        room: message.room,
+        poll: serializePoll(message.poll)
+    });
+};
+
+// Replace the user's votes with these options; an empty list takes the vote back
+const votePoll = async (user, messageId, optionIds) => {
+    if (!Array.isArray(optionIds) || optionIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { status: 400, error: 'Invalid poll options' };
+    }
+
+    const result = await findPollMessage(user, messageId);
+    if (result.error) {
+        return result;
+    }
+
+    const { poll } = result.message;
+    if (isPollClosed(poll)) {
+        return { status: 400, error: 'This poll is closed' };
+    }
+
+    const selected = [...new Set(optionIds.map(String))];
+    if (selected.some(id => !poll.options.some(option => option._id.equals(id)))) {
+        return { status: 400, error: 'Invalid poll options' };
+    }
+    if (!poll.multipleChoice && selected.length > 1) {
+        return { status: 400, error: 'This poll allows only one choice' };
+    }
+
+    const now = new Date();
+    const votes = selected.map(id => ({
+        _id: new mongoose.Types.ObjectId(),
+        optionId: new mongoose.Types.ObjectId(id),
+        userId: user._id,
+        username: user.username,
+        votedAt: now
+    }));
+
+    // Swap the user's votes in one update, and only while the poll is still open.
+    // $literal keeps a username like "$poll" from being read as a field path.
+    const message = await Message.findOneAndUpdate(
+        {
+            _id: messageId,
+            'poll.closedAt': null,
+            $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+        },
+        [{
+            $set: {
+                'poll.votes': {
+                    $concatArrays: [
+                        {
+                            $filter: {
+                                input: '$poll.votes',
+                                as: 'vote',
+                                cond: { $ne: ['$$vote.userId', user._id] }
+                            }
+                        },
+                        { $literal: votes }
+                    ]
+                }
+            }
+        }],
+        { new: true }
+    );
+
+    if (!message) {
+        return { status: 400, error: 'This poll is closed' };
+    }
+
+    broadcastPoll(message);
+
+    // The user's other tabs and devices learn their own choice here, even for anonymous polls
+    const optionIdsForUser = userVotes(message.poll, user._id);
+    io.to(userChannel(user._id)).emit('pollVoted', { _id: message._id, optionIds: optionIdsForUser });
+
+    return { message, optionIds: optionIdsForUser };
+};
+
+// Stop a poll from taking votes (the author or a room moderator)
+const closePoll = async (user, messageId) => {
+    const result = await findPollMessage(user, messageId);
+    if (result.error) {
+        return result;
+    }
+
+    const isAuthor = result.message.userId && result.message.userId.equals(user._id);
+    if (!isAuthor) {
+        const room = await ChatRoom.findOne({ name: result.message.room, isActive: true });
+        if (!room || !canModerateRoom(room, user._id)) {
+            return { status: 403, error: 'Only the author or a room moderator can close this poll' };
+        }
+    }
+
+    if (isPollClosed(result.message.poll)) {
+        return { message: result.message };
+    }
+
+    const message = await Message.findOneAndUpdate(
+        { _id: messageId, 'poll.closedAt': null },
+        { $set: { 'poll.closedAt': new Date() } },
+        { new: true }
+    );
+
+    if (message) {
+        broadcastPoll(message);
+    }
+
+    return { message: message || result.message };
+};
+
+// GET /api/polls/:messageId/vote - Get the options the current user voted for
+router.get('/:messageId/vote', async (req, res) => {
+    try {
+        const result = await findPollMessage(req.user, req.params.messageId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            optionIds: userVotes(result.message.poll, req.user._id)
+        });
+    } catch (error) {
+        console.error('Error fetching poll vote:', error);
+        res.status(500).json({
+            error: 'Failed to fetch poll vote'
+        });
+    }
+});
+
+module.exports = { router, initializePollRoutes, validatePoll, votePoll, closePoll };
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const { serializeMessage, threadChannel, isValidClientMessageId } = require('./messages');
+const { resolveMentions, notifyMentions, userChannel } = require('./mentions');
+const { resolveAttachment } = require('./attachments');
+const { validatePoll } = require('./polls');
+const { validateMessageTtl, isRoomMember, canViewRoom, isConversation, getHistoryStart } = require('./chatRooms');
+const { resolveExpiry } = require('./messageExpiry');
+
+// Longest excerpt of the original kept with a quote reply
+const QUOTE_LENGTH = 300;
+
+// Models and socket server will be initialized from server.js
+let Message;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializePostMessage = (messageModel, chatRoomModel, socketServer) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Tell everyone who needs to know about a newly saved message
+const broadcastMessage = async (message, parent) => {
+    await notifyMentions(message);
+
+    if (parent) {
+        const updatedParent = await Message.findByIdAndUpdate(parent._id, {
+            $inc: { replyCount: 1 },
+            lastReplyAt: message.timestamp
+        }, { new: true });
+
+        // Full reply goes to thread viewers, the room only gets a summary
+        io.to(threadChannel(parent._id)).emit('threadReply', serializeMessage(message));
+        io.to(message.room).emit('threadUpdated', {
+            _id: updatedParent._id,
+            room: message.room,
+            replyCount: updatedParent.replyCount,
+            lastReplyAt: updatedParent.lastReplyAt
+        });
+        return;
+    }
+
+    // Broadcast message to room
+    io.to(message.room).emit('newMessage', serializeMessage(message));
+
+    // Members elsewhere only need to know the room has something new
+    const chatRoom = await ChatRoom.findOne({ name: message.room, isActive: true }).select('type members');
+    if (chatRoom && chatRoom.members.length > 0) {
+        io.to(chatRoom.members.map(userChannel)).emit('roomActivity', {
+            room: message.room,
+            messageId: message._id,
+            userId: message.userId,
+            timestamp: message.timestamp
+        });
+    }
+
+    // Direct and group messages reach the other people wherever they are
+    if (chatRoom && isConversation(chatRoom)) {
+        // Conversations are listed by their latest message
+        await ChatRoom.updateOne({ _id: chatRoom._id }, { lastActivity: message.timestamp });
+
+        const recipients = chatRoom.members.filter(memberId => !memberId.equals(message.userId));
+        if (recipients.length > 0) {
+            io.to(recipients.map(userChannel)).emit('directMessage', {
+                room: message.room,
+                message: serializeMessage(message)
+            });
+        }
+    }
+};
+
+// Save a new message and broadcast it. A copy already saved under the same
+// clientMessageId (two sends raced) is returned with duplicate: true instead.
+const saveMessage = async (newMessage, parent = null) => {
+    try {
+        await newMessage.save();
+    } catch (error) {
+        // Two copies of the same send raced; the other one was saved and broadcast
+        if (error.code === 11000 && newMessage.clientMessageId) {
+            const existing = await Message.findOne({
+                userId: newMessage.userId,
+                clientMessageId: newMessage.clientMessageId
+            });
+            return { message: existing, duplicate: true };
+        }
+        throw error;
+    }
+
+    // The message is saved either way, so a failed broadcast is not a failed send
+    try {
+        await broadcastMessage(newMessage, parent);
+    } catch (error) {
+        console.error('Error broadcasting message:', error);
+    }
+
+    return { message: newMessage, duplicate: false };
+};
+
+// Find a message to quote or forward. Both only work for messages in rooms the
+// user belongs to, and never for disappearing messages, which should not outlive their timer.
+// Messages from before a user was let into a group conversation's history are not found at all.
+const findSharableMessage = async (user, messageId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, code: 'INVALID_MESSAGE_ID', error: 'Invalid message ID' };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted) {
+        return { status: 404, code: 'MESSAGE_NOT_FOUND', error: 'Message not found' };
+    }
+
+    if (!(await isRoomMember(message.room, user._id))) {
+        return { status: 403, code: 'NOT_A_MEMBER', error: `You must be a member of #${message.room} to share its messages` };
+    }
+
+    const since = await getHistoryStart(message.room, user._id);
+    if (since && message.timestamp < since) {
+        return { status: 404, code: 'MESSAGE_NOT_FOUND', error: 'Message not found' };
+    }
+
+    if (message.expiresAt) {
+        return { status: 400, code: 'MESSAGE_EXPIRES', error: 'Disappearing messages cannot be quoted or forwarded' };
+    }
+
+    return { message };
+};
+
+// Save a message from a user to a room and broadcast it. Used by the sendMessage
+// socket event and by scheduled messages, so both behave the same.
+// Returns { message, duplicate } or { status, code, error }.
+// A clientMessageId makes retries safe: a message already saved under it is
+// returned with duplicate: true instead of being posted again.
+// ttlSeconds makes the message disappear; it can shorten the room's timer but not extend it.
+// A poll turns the message into a question with options to vote on, isAction
+// marks a /me message, and quoteId answers another message by quoting it.
+const postMessage = async (user, room, {
+    message = '',
+    parentId = null,
+    clientMessageId = null,
+    attachmentToken = null,
+    ttlSeconds = null,
+    poll = null,
+    isAction = false,
+    quoteId = null
+} = {}) => {
+    if (typeof message !== 'string' || (!message.trim() && !attachmentToken)) {
+        return { status: 400, code: 'INVALID_MESSAGE', error: 'Message content is required' };
+    }
+
+    if (clientMessageId !== null && !isValidClientMessageId(clientMessageId)) {
+        return { status: 400, code: 'INVALID_CLIENT_MESSAGE_ID', error: 'Invalid client message ID' };
+    }
+
+    const ttlError = validateMessageTtl(ttlSeconds);
+    if (ttlError) {
+        return { status: 400, code: 'INVALID_TTL', error: ttlError };
+    }
+
+    if (!(await canViewRoom(room, user._id))) {
+        return { status: 403, code: 'NOT_A_MEMBER', error: 'You are not part of this conversation' };
+    }
+
+    // Polls are top-level messages whose text is the question
+    let pollData = null;
+    if (poll) {
+        if (parentId || attachmentToken) {
+            return { status: 400, code: 'INVALID_POLL', error: 'Polls cannot be sent in threads or with files' };
+        }
+        if (!message.trim()) {
+            return { status: 400, code: 'INVALID_POLL', error: 'Poll question is required' };
+        }
+
+        const result = validatePoll(poll);
+        if (result.error) {
+            return { status: 400, code: 'INVALID_POLL', error: result.error };
+        }
+        pollData = result.poll;
+    }
+
+    // A retry of a message that was already saved gets the saved copy back
+    if (clientMessageId) {
+        const existing = await Message.findOne({ userId: user._id, clientMessageId });
+        if (existing) {
+            return { message: existing, duplicate: true };
+        }
+    }
+
+    // Uploaded files come back as a signed token tied to the uploader and room
+    let attachment = null;
+    if (attachmentToken) {
+        const result = resolveAttachment(attachmentToken, user, room);
+        if (result.error) {
+            return { status: result.status, code: 'INVALID_ATTACHMENT', error: result.error };
+        }
+        attachment = result.attachment;
+    }
+
+    // Replies must belong to a thread in the room
+    let parent = null;
+    if (parentId) {
+        if (!mongoose.Types.ObjectId.isValid(parentId)) {
+            return { status: 400, code: 'INVALID_PARENT', error: 'Invalid message ID' };
+        }
+
+        parent = await Message.findOne({ _id: parentId, room });
+        if (!parent) {
+            return { status: 404, code: 'THREAD_NOT_FOUND', error: 'Thread not found in this room' };
+        }
+
+        // Threads are one level deep, so replies to replies join the root thread
+        if (parent.parentId) {
+            parent = await Message.findById(parent.parentId);
+        }
+    }
+
+    let quote = null;
+    if (quoteId) {
+        const result = await findSharableMessage(user, quoteId);
+        if (result.error) {
+            return result;
+        }
+
+        const quoted = result.message;
+        quote = {
+            messageId: quoted._id,
+            room: quoted.room,
+            parentId: quoted.parentId,
+            userId: quoted.userId,
+            username: quoted.username,
+            message: quoted.message.length > QUOTE_LENGTH
+                ? `${quoted.message.slice(0, QUOTE_LENGTH)}…`
+                : quoted.message,
+            timestamp: quoted.timestamp
+        };
+    }
+
+    const { userIds: mentionedUserIds, groupMention } = await resolveMentions(message, room, user);
+
+    const chatRoom = await ChatRoom.findOne({ name: room, isActive: true }).select('messageTtlSeconds');
+    const timestamp = new Date();
+
+    // Save message to database
+    const newMessage = new Message({
+        userId: user._id,
+        username: user.username,
+        message: message.trim(),
+        room,
+        parentId: parent ? parent._id : null,
+        mentions: mentionedUserIds,
+        groupMention,
+        clientMessageId,
+        attachment,
+        poll: pollData,
+        isAction: isAction === true,
+        quote,
+        expiresAt: resolveExpiry(ttlSeconds, chatRoom && chatRoom.messageTtlSeconds, timestamp),
+        timestamp
+    });
+
+    return saveMessage(newMessage, parent);
+};
+
+// Copy a message into another room the user belongs to, crediting the original
+// author and room. The copy follows the target room's disappearing-message timer,
+// and mentions in it are not notified again.
+// Returns { message, duplicate } or { status, code, error }.
+const forwardMessage = async (user, messageId, room, { clientMessageId = null } = {}) => {
+    if (typeof room !== 'string' || !room) {
+        return { status: 400, code: 'INVALID_ROOM', error: 'Choose a room to forward to' };
+    }
+
+    if (clientMessageId !== null && !isValidClientMessageId(clientMessageId)) {
+        return { status: 400, code: 'INVALID_CLIENT_MESSAGE_ID', error: 'Invalid client message ID' };
+    }
+
+    const result = await findSharableMessage(user, messageId);
+    if (result.error) {
+        return result;
+    }
+
+    const original = result.message;
+    if (original.poll) {
+        return { status: 400, code: 'INVALID_FORWARD', error: 'Polls cannot be forwarded' };
+    }
+
+    if (!(await isRoomMember(room, user._id))) {
+        return { status: 403, code: 'NOT_A_MEMBER', error: `You must be a member of #${room} to forward messages to it` };
+    }
+
+    if (clientMessageId) {
+        const existing = await Message.findOne({ userId: user._id, clientMessageId });
+        if (existing) {
+            return { message: existing, duplicate: true };
+        }
+    }
+
+    const chatRoom = await ChatRoom.findOne({ name: room, isActive: true }).select('messageTtlSeconds');
+    const timestamp = new Date();
+
+    const forwarded = new Message({
+        userId: user._id,
+        username: user.username,
+        message: original.message,
+        room,
+        clientMessageId,
+        // Copies share the stored file; see the expiry sweeper
+        attachment: original.attachment ? original.attachment.toObject() : null,
+        isAction: original.isAction,
+        // Forwarding a forward still credits where the message was first posted
+        forwardedFrom: original.forwardedFrom ? original.forwardedFrom.toObject() : {
+            messageId: original._id,
+            room: original.room,
+            userId: original.userId,
+            username: original.username,
+            timestamp: original.timestamp
+        },
+        expiresAt: resolveExpiry(null, chatRoom && chatRoom.messageTtlSeconds, timestamp),
+        timestamp
+    });
+
+    return saveMessage(forwarded);
+};
+
+module.exports = { initializePostMessage, postMessage, forwardMessage };
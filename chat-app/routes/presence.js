@@ -0,0 +1,511 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const os = require('os');
+const { userChannel } = require('./mentions');
+
+const router = express.Router();
+
+// Rate limiting for status changes
+const presenceLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 status changes per windowMs
+    message: {
+        error: 'Too many status changes, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_STATUS_EMOJI_LENGTH = 16; // emoji with modifiers span several characters
+const MAX_PRESENCE_LOOKUP = 100;
+// Oldest connections are dropped past this, so a leak cannot grow the user document forever
+const MAX_CONNECTIONS_PER_USER = 20;
+
+// Clients send a heartbeat this often (see socketService); a connection that misses
+// three in a row is taken to be gone, even if its disconnect was never seen
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_CONNECTION_MS = 3 * HEARTBEAT_INTERVAL_MS;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Users handled per sweep; a backlog is worked through on the following passes
+const SWEEP_BATCH_SIZE = 200;
+
+// Connections are tagged with the server instance holding their socket. The id stays
+// the same across restarts, so an instance can clear what its last run left behind
+// without touching connections held by other instances.
+const SERVER_INSTANCE_ID = process.env.SERVER_INSTANCE_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
+const SERVER_STARTED_AT = new Date();
+
+// User fields presence is worked out from
+const PRESENCE_FIELDS = 'username isOnline isIdle doNotDisturb customStatus lastSeen';
+
+// Models and Socket.IO server will be initialized from server.js
+let User;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializePresence = (userModel, chatRoomModel, socketServer) => {
+    User = userModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// A custom status past its expiry reads as cleared
+const activeCustomStatus = (customStatus, now = new Date()) => {
+    if (!customStatus || (!customStatus.text && !customStatus.emoji)) {
+        return null;
+    }
+    if (customStatus.expiresAt && customStatus.expiresAt <= now) {
+        return null;
+    }
+    return {
+        text: customStatus.text,
+        emoji: customStatus.emoji,
+        expiresAt: customStatus.expiresAt
+    };
+};
+
+// 'offline', 'dnd', 'away' or 'online'; do not disturb wins over being idle
+const presenceStatus = (user) => {
+    if (!user.isOnline) {
+        return 'offline';
+    }
+    if (user.doNotDisturb) {
+        return 'dnd';
+    }
+    return user.isIdle ? 'away' : 'online';
+};
+
+const serializePresence = (user) => ({
+    userId: user._id,
+    username: user.username,
+    status: presenceStatus(user),
+    customStatus: activeCustomStatus(user.customStatus),
+    lastSeen: user.lastSeen
+});
+
+// Tell everyone who shares a room with the user (and the user's other tabs) how they are now
+const broadcastPresence = async (userId) => {
+    const user = await User.findById(userId).select(`${PRESENCE_FIELDS} room connections.room`);
+    if (!user) {
+        return;
+    }
+
+    const rooms = await ChatRoom.find({ members: user._id, isActive: true }).select('members');
+    const audience = new Set([String(user._id)]);
+    rooms.forEach(room => room.members.forEach(memberId => audience.add(String(memberId))));
+
+    // Rooms without a record, like general, have no member list; reach whoever is in them
+    const openRooms = new Set([user.room, ...user.connections.map(connection => connection.room)].filter(Boolean));
+    const channels = [...Array.from(audience).map(userChannel), ...openRooms];
+
+    io.to(channels).emit('presenceUpdated', serializePresence(user));
+};
+
+// The people with a tab or device open in a room, with their presence, for the userList event
+const listRoomUsers = async (room) => {
+    const users = await User.find({ 'connections.room': room }).select(`${PRESENCE_FIELDS} joinedAt`).exec();
+    return users.map(user => ({
+        _id: user._id,
+        joinedAt: user.joinedAt,
+        ...serializePresence(user)
+    }));
+};
+
+// "Firefox on Windows" and the like, for telling sessions apart
+const describeDevice = (userAgent = '') => {
+    const browsers = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ];
+    const systems = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ];
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+        return 'Unknown device';
+    }
+    return [browser ? browser[1] : 'Browser', system ? `on ${system[1]}` : null].filter(Boolean).join(' ');
+};
+
+// Update pipeline working out isOnline and isIdle from the connections. Run as one
+// atomic update, so two tabs closing at once cannot leave the user marked online.
+const connectionCount = { $size: { $ifNull: ['$connections', []] } };
+const PRESENCE_FROM_CONNECTIONS = [{
+    $set: {
+        isOnline: { $gt: [connectionCount, 0] },
+        // Away only once every tab and device has gone idle
+        isIdle: {
+            $and: [
+                { $gt: [connectionCount, 0] },
+                { $allElementsTrue: [{ $ifNull: ['$connections.isIdle', []] }] }
+            ]
+        }
+    }
+}];
+
+// Returns the user as it now is
+const refreshPresence = (userId) => User.findOneAndUpdate({ _id: userId }, PRESENCE_FROM_CONNECTIONS, { new: true })
+    .select(`${PRESENCE_FIELDS} connections`);
+
+// Track a newly connected socket as one of the user's connections
+const addConnection = async (userId, socket) => {
+    const now = new Date();
+    const userAgent = String(socket.handshake.headers['user-agent'] || '').slice(0, 512);
+
+    await User.updateOne({ _id: userId }, {
+        $push: {
+            connections: {
+                $each: [{
+                    socketId: socket.id,
+                    instanceId: SERVER_INSTANCE_ID,
+                    userAgent,
+                    device: describeDevice(userAgent),
+                    ip: socket.handshake.address,
+                    room: null,
+                    isIdle: false,
+                    connectedAt: now,
+                    lastActiveAt: now,
+                    lastHeartbeatAt: now
+                }],
+                $slice: -MAX_CONNECTIONS_PER_USER
+            }
+        },
+        lastSeen: now
+    });
+
+    return refreshPresence(userId);
+};
+
+// Forget a closed socket. The user only goes offline once their last connection is gone.
+const removeConnection = async (userId, socketId) => {
+    await User.updateOne({ _id: userId }, {
+        $pull: { connections: { socketId } },
+        lastSeen: new Date()
+    });
+
+    return refreshPresence(userId);
+};
+
+// Move one connection to a room. Returns the user's connections from before the move,
+// so callers can tell whether another tab was already in (or is still in) a room.
+const setConnectionRoom = async (userId, socketId, room) => {
+    const now = new Date();
+    const before = await User.findOneAndUpdate({ _id: userId, 'connections.socketId': socketId }, {
+        $set: {
+            'connections.$.room': room,
+            'connections.$.isIdle': false,
+            'connections.$.lastActiveAt': now
+        },
+        room,
+        lastSeen: now
+    }).select('connections');
+
+    await refreshPresence(userId);
+
+    return before ? before.connections.filter(connection => connection.socketId !== socketId) : [];
+};
+
+// Record whether one of the user's clients has gone idle; only a change to the
+// user's overall presence is broadcast
+const setIdle = async (userId, socketId, idle) => {
+    const now = new Date();
+    const update = { 'connections.$.isIdle': idle };
+    if (!idle) {
+        update['connections.$.lastActiveAt'] = now;
+    }
+
+    const before = await User.findOneAndUpdate({ _id: userId, 'connections.socketId': socketId }, {
+        $set: update,
+        lastSeen: now
+    }).select('isIdle');
+    if (!before) {
+        return;
+    }
+
+    const after = await refreshPresence(userId);
+    if (after && after.isIdle !== before.isIdle) {
+        await broadcastPresence(userId);
+    }
+};
+
+// Note that a connection is still alive. A connection the sweeper already dropped
+// (say, a laptop waking from sleep on the same socket) is recorded again.
+const recordHeartbeat = async (userId, socket) => {
+    const now = new Date();
+    const result = await User.updateOne({ _id: userId, 'connections.socketId': socket.id }, {
+        $set: { 'connections.$.lastHeartbeatAt': now },
+        lastSeen: now
+    });
+
+    if (result.matchedCount === 0) {
+        await addConnection(userId, socket);
+        if (socket.room) {
+            await setConnectionRoom(userId, socket.id, socket.room);
+        }
+        await broadcastPresence(userId);
+    }
+};
+
+// Drop connections that stopped sending heartbeats, and take their users offline
+// once none are left. Rooms the user no longer has open hear that they left, as on
+// disconnect. Returns how many users were looked at.
+const sweepStaleConnections = async () => {
+    const cutoff = new Date(Date.now() - STALE_CONNECTION_MS);
+    const users = await User.find({ 'connections.lastHeartbeatAt': { $lt: cutoff } })
+        .select('username connections')
+        .limit(SWEEP_BATCH_SIZE);
+
+    for (const user of users) {
+        const staleRooms = new Set(user.connections
+            .filter(connection => connection.room && connection.lastHeartbeatAt < cutoff)
+            .map(connection => connection.room));
+
+        await User.updateOne({ _id: user._id }, {
+            $pull: { connections: { lastHeartbeatAt: { $lt: cutoff } } }
+        });
+        const account = await refreshPresence(user._id);
+        const openRooms = new Set(account ? account.connections.map(connection => connection.room) : []);
+
+        for (const room of staleRooms) {
+            if (openRooms.has(room)) continue;
+
+            io.to(room).emit('userLeft', {
+                username: user.username,
+                message: `${user.username} left the chat`,
+                timestamp: new Date()
+            });
+            io.to(room).emit('userList', await listRoomUsers(room));
+        }
+
+        await broadcastPresence(user._id);
+    }
+
+    return users.length;
+};
+
+// Clear custom statuses past their expiry, so everyone sees them go
+const sweepExpiredStatuses = async () => {
+    const users = await User.find({ 'customStatus.expiresAt': { $lte: new Date() } })
+        .select('_id')
+        .limit(SWEEP_BATCH_SIZE);
+
+    for (const user of users) {
+        await User.updateOne(
+            { _id: user._id, 'customStatus.expiresAt': { $lte: new Date() } },
+            { customStatus: { text: '', emoji: '', expiresAt: null } }
+        );
+        await broadcastPresence(user._id);
+    }
+
+    return users.length;
+};
+
+// After a crash none of this instance's disconnects were seen, so connections its
+// earlier run held are dropped and users without a live one go offline. Other
+// instances' connections are left to the heartbeat sweep.
+const reconcilePresence = async () => {
+    const leftOver = { instanceId: SERVER_INSTANCE_ID, connectedAt: { $lt: SERVER_STARTED_AT } };
+    await User.updateMany(
+        { connections: { $elemMatch: leftOver } },
+        { $pull: { connections: leftOver } }
+    );
+    const result = await User.updateMany({ $or: [{ isOnline: true }, { isIdle: true }] }, PRESENCE_FROM_CONNECTIONS);
+    console.log(`Presence reconciled for ${result.modifiedCount} users`);
+};
+
+let sweeping = false;
+
+const runSweeper = async () => {
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+        while ((await sweepStaleConnections()) >= SWEEP_BATCH_SIZE) {
+            // Keep going until the backlog is cleared
+        }
+        while ((await sweepExpiredStatuses()) >= SWEEP_BATCH_SIZE) {
+            // Keep going until the backlog is cleared
+        }
+    } catch (error) {
+        console.error('Error sweeping presence:', error);
+    } finally {
+        sweeping = false;
+    }
+};
+
+// Reconcile presence left over from the last run, then keep expiring stale presence
+const startPresenceSweeper = () => {
+    sweeping = true;
+    reconcilePresence()
+        .catch(error => console.error('Error reconciling presence:', error))
+        .finally(() => {
+            sweeping = false;
+            runSweeper();
+        });
+
+    const timer = setInterval(runSweeper, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+// The user's open tabs and devices, most recently active first
+const serializeSessions = (connections = []) => connections
+    .slice()
+    .sort((a, b) => b.lastActiveAt - a.lastActiveAt)
+    .map(connection => ({
+        id: connection.socketId,
+        device: connection.device,
+        userAgent: connection.userAgent,
+        ip: connection.ip,
+        room: connection.room,
+        isIdle: connection.isIdle,
+        connectedAt: connection.connectedAt,
+        lastActiveAt: connection.lastActiveAt,
+        lastHeartbeatAt: connection.lastHeartbeatAt
+    }));
+
+const validateCustomStatus = (customStatus) => {
+    if (customStatus === null) {
+        return null;
+    }
+    if (typeof customStatus !== 'object') {
+        return 'Invalid custom status';
+    }
+
+    const { text = '', emoji = '', expiresAt = null } = customStatus;
+    if (typeof text !== 'string' || typeof emoji !== 'string') {
+        return 'Status text and emoji must be text';
+    }
+    if (text.trim().length > MAX_STATUS_TEXT_LENGTH) {
+        return `Status text can be at most ${MAX_STATUS_TEXT_LENGTH} characters`;
+    }
+    if (emoji.trim().length > MAX_STATUS_EMOJI_LENGTH) {
+        return 'Status emoji is too long';
+    }
+    if (expiresAt !== null && (isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt) <= new Date())) {
+        return 'Status expiry must be in the future';
+    }
+    return null;
+};
+
+// GET /api/presence/me - Get the current user's own status settings
+router.get('/me', async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(PRESENCE_FIELDS);
+
+        res.json({
+            success: true,
+            presence: {
+                ...serializePresence(user),
+                doNotDisturb: !!user.doNotDisturb
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching own presence:', error);
+        res.status(500).json({ error: 'Failed to fetch status' });
+    }
+});
+
+// GET /api/presence?userIds=<id>,<id> - Get the presence of specific users
+router.get('/', async (req, res) => {
+    try {
+        const userIds = String(req.query.userIds || '').split(',').filter(Boolean);
+
+        if (userIds.length > MAX_PRESENCE_LOOKUP) {
+            return res.status(400).json({ error: `Ask for at most ${MAX_PRESENCE_LOOKUP} users at a time` });
+        }
+        if (!userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const users = await User.find({ _id: { $in: userIds } }).select(PRESENCE_FIELDS);
+
+        res.json({
+            success: true,
+            presence: users.map(serializePresence)
+        });
+    } catch (error) {
+        console.error('Error fetching presence:', error);
+        res.status(500).json({ error: 'Failed to fetch presence' });
+    }
+});
+
+// PUT /api/presence/me - Change do not disturb or the custom status
+// Body: { doNotDisturb?, customStatus?: { text, emoji, expiresAt } | null }
+router.put('/me', presenceLimiter, async (req, res) => {
+    try {
+        const { doNotDisturb, customStatus } = req.body || {};
+        const update = {};
+
+        if (doNotDisturb !== undefined) {
+            if (typeof doNotDisturb !== 'boolean') {
+                return res.status(400).json({ error: 'doNotDisturb must be true or false' });
+            }
+            update.doNotDisturb = doNotDisturb;
+        }
+
+        if (customStatus !== undefined) {
+            const statusError = validateCustomStatus(customStatus);
+            if (statusError) {
+                return res.status(400).json({ error: statusError });
+            }
+
+            const text = customStatus ? (customStatus.text || '').trim() : '';
+            const emoji = customStatus ? (customStatus.emoji || '').trim() : '';
+            // A blank status clears it
+            update.customStatus = {
+                text,
+                emoji,
+                expiresAt: (text || emoji) && customStatus.expiresAt ? new Date(customStatus.expiresAt) : null
+            };
+        }
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ error: 'No status changes given' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true }).select(PRESENCE_FIELDS);
+        await broadcastPresence(req.user._id);
+
+        res.json({
+            success: true,
+            presence: {
+                ...serializePresence(user),
+                doNotDisturb: !!user.doNotDisturb
+            }
+        });
+    } catch (error) {
+        console.error('Error updating presence:', error);
+        res.status(500).json({ error: 'Failed to update status' });
+    }
+});
+
+module.exports = {
+    router,
+    initializePresence,
+    serializePresence,
+    broadcastPresence,
+    listRoomUsers,
+    addConnection,
+    removeConnection,
+    setConnectionRoom,
+    setIdle,
+    recordHeartbeat,
+    startPresenceSweeper,
+    serializeSessions,
+    PRESENCE_FIELDS
+};
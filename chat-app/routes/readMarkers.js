@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Unread counts stop here; clients show "99+"
+const MAX_UNREAD_COUNT = 100;
+
+// Models will be initialized from server.js
+let ReadMarker;
+let Message;
+let Mention;
+
+// Initialize models
+const initializeReadMarkers = (readMarkerModel, messageModel, mentionModel) => {
+    ReadMarker = readMarkerModel;
+    Message = messageModel;
+    Mention = mentionModel;
+};
+
+// Get where a user stopped reading a room (null if they never opened it)
+const getReadMarker = async (userId, room) => {
+    return ReadMarker.findOne({ userId, room });
+};
+
+// Move a user's read marker forward to a message. Markers never move back,
+// so an old tab catching up cannot mark newer messages unread again.
+const markRead = async (user, room, messageId) => {
+    if (!room || typeof room !== 'string') {
+        return { status: 400, error: 'Room is required' };
+    }
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'Invalid message ID' };
+    }
+
+    const message = await Message.findOne({ _id: messageId, room });
+    if (!message) {
+        return { status: 404, error: 'Message not found' };
+    }
+
+    try {
+        const marker = await ReadMarker.findOneAndUpdate(
+            { userId: user._id, room, lastReadAt: { $lt: message.timestamp } },
+            { lastReadMessageId: message._id, lastReadAt: message.timestamp },
+            { upsert: true, new: true }
+        );
+        return { marker, updated: true };
+    } catch (error) {
+        // The upsert hit the existing marker, which is already further along
+        if (error.code === 11000) {
+            return { marker: await getReadMarker(user._id, room), updated: false };
+        }
+        throw error;
+    }
+};
+
+// Count unread top-level messages and unread mentions in each room.
+// Rooms the user has never opened count every message from others, except those
+// from before historyStarts (room name to date) for members who joined without them.
+const getUnreadCounts = async (userId, rooms, historyStarts = new Map()) => {
+    const markers = await ReadMarker.find({ userId, room: { $in: rooms } });
+    const lastReadByRoom = new Map(markers.map(marker => [marker.room, marker.lastReadAt]));
+
+    const mentionCounts = await Mention.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId), isRead: false, room: { $in: rooms } } },
+        { $group: { _id: '$room', count: { $sum: 1 } } }
+    ]);
+    const mentionsByRoom = new Map(mentionCounts.map(entry => [entry._id, entry.count]));
+
+    const unreadCounts = await Promise.all(rooms.map(room => {
+        const filter = {
+            room,
+            parentId: null,
+            isDeleted: { $ne: true },
+            userId: { $ne: userId }
+        };
+        if (lastReadByRoom.has(room)) {
+            filter.timestamp = { $gt: lastReadByRoom.get(room) };
+        } else if (historyStarts.has(room)) {
+            filter.timestamp = { $gte: historyStarts.get(room) };
+        }
+        return Message.countDocuments(filter, { limit: MAX_UNREAD_COUNT });
+    }));
+
+    return new Map(rooms.map((room, index) => [room, {
+        unreadCount: unreadCounts[index],
+        mentionCount: mentionsByRoom.get(room) || 0
+    }]));
+};
+
+module.exports = { initializeReadMarkers, getReadMarker, markRead, getUnreadCounts };
@@ -0,0 +1,420 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const { userChannel } = require('./mentions');
+const { createEphemeralMessage } = require('./messages');
+const { postMessage } = require('./postMessage');
+
+const router = express.Router();
+
+// Rate limiting for scheduling changes
+const scheduleLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 scheduling changes per windowMs
+    message: {
+        error: 'Too many scheduling requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Limits
+const MAX_PENDING_PER_USER = 100;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+// How often the scheduler looks for due messages
+const SCHEDULER_INTERVAL_MS = 10 * 1000;
+
+// A claim older than this belongs to a server that stopped mid-send
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Transient failures (database hiccups) are retried this many times
+const MAX_ATTEMPTS = 5;
+
+// Statuses the author can still edit or cancel
+const EDITABLE_STATUSES = ['scheduled', 'failed'];
+
+// Models and socket server will be initialized from server.js
+let ScheduledMessage;
+let User;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializeScheduledMessageRoutes = (scheduledMessageModel, userModel, chatRoomModel, socketServer) => {
+    ScheduledMessage = scheduledMessageModel;
+    User = userModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Posted messages carry an id derived from the schedule, so a message that was
+// posted just before a crash is recognised as a duplicate when retried
+const scheduledClientMessageId = (scheduledMessage) => `scheduled-${scheduledMessage._id}`;
+
+const serializeScheduledMessage = (scheduledMessage) => ({
+    _id: scheduledMessage._id,
+    room: scheduledMessage.room,
+    message: scheduledMessage.message,
+    sendAt: scheduledMessage.sendAt,
+    kind: scheduledMessage.kind || 'message',
+    status: scheduledMessage.status,
+    messageId: scheduledMessage.messageId,
+    sentAt: scheduledMessage.sentAt,
+    error: scheduledMessage.error,
+    createdAt: scheduledMessage.createdAt
+});
+
+// Keep the author's open tabs in sync
+const notifyAuthor = (scheduledMessage) => {
+    io.to(userChannel(scheduledMessage.userId)).emit(
+        'scheduledMessageUpdated',
+        serializeScheduledMessage(scheduledMessage)
+    );
+};
+
+// Private rooms only take messages from members
+const canPostInRoom = async (userId, room) => {
+    const chatRoom = await ChatRoom.findOne({ name: room, isActive: true });
+    return !chatRoom || !chatRoom.isPrivate || chatRoom.members.includes(userId);
+};
+
+const validateMessage = (message) => {
+    if (!message || typeof message !== 'string' || !message.trim()) {
+        return 'Message content is required';
+    }
+    return null;
+};
+
+const parseSendAt = (sendAt) => {
+    const date = new Date(sendAt);
+    if (!sendAt || isNaN(date.getTime())) {
+        return { error: 'Invalid send time' };
+    }
+    if (date.getTime() <= Date.now()) {
+        return { error: 'Send time must be in the future' };
+    }
+    if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'Messages can be scheduled at most a year ahead' };
+    }
+    return { date };
+};
+
+// Mark a claimed message as finished and tell its author
+const finishScheduledMessage = async (scheduledMessage, changes) => {
+    const updated = await ScheduledMessage.findOneAndUpdate(
+        { _id: scheduledMessage._id, status: 'sending' },
+        { ...changes, claimedAt: null },
+        { new: true }
+    );
+    if (updated) {
+        notifyAuthor(updated);
+    }
+};
+
+// Show a due reminder to its author wherever they are connected
+const deliverReminder = async (scheduledMessage) => {
+    io.to(userChannel(scheduledMessage.userId)).emit(
+        'ephemeralMessage',
+        createEphemeralMessage(scheduledMessage.room, `⏰ Reminder: ${scheduledMessage.message}`)
+    );
+
+    await finishScheduledMessage(scheduledMessage, { status: 'sent', sentAt: new Date(), error: null });
+};
+
+// Post one claimed message through the same path as a live send
+const deliverScheduledMessage = async (scheduledMessage) => {
+    try {
+        const user = await User.findById(scheduledMessage.userId);
+        if (!user) {
+            return finishScheduledMessage(scheduledMessage, { status: 'failed', error: 'Your account no longer exists' });
+        }
+
+        if (scheduledMessage.kind === 'reminder') {
+            return deliverReminder(scheduledMessage);
+        }
+
+        if (!(await canPostInRoom(user._id, scheduledMessage.room))) {
+            return finishScheduledMessage(scheduledMessage, {
+                status: 'failed',
+                error: `You are no longer a member of #${scheduledMessage.room}`
+            });
+        }
+
+        const result = await postMessage(user, scheduledMessage.room, {
+            message: scheduledMessage.message,
+            clientMessageId: scheduledClientMessageId(scheduledMessage)
+        });
+
+        if (result.error) {
+            return finishScheduledMessage(scheduledMessage, { status: 'failed', error: result.error });
+        }
+
+        await finishScheduledMessage(scheduledMessage, {
+            status: 'sent',
+            sentAt: result.message.timestamp,
+            messageId: result.message._id,
+            error: null
+        });
+    } catch (error) {
+        console.error('Error sending scheduled message:', scheduledMessage._id, error);
+
+        // Leave it for the next run unless it keeps failing
+        await finishScheduledMessage(scheduledMessage, scheduledMessage.attempts >= MAX_ATTEMPTS
+            ? { status: 'failed', error: 'Failed to send message' }
+            : { status: 'scheduled' }
+        ).catch(finishError => console.error('Error updating scheduled message:', finishError));
+    }
+};
+
+// Claim due messages one at a time. The claim is atomic, so several server
+// instances (or overlapping runs) never pick up the same message.
+const claimDueMessage = () => {
+    const now = new Date();
+    return ScheduledMessage.findOneAndUpdate(
+        {
+            sendAt: { $lte: now },
+            $or: [
+                { status: 'scheduled' },
+                { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+            ]
+        },
+        { status: 'sending', claimedAt: now, $inc: { attempts: 1 } },
+        { sort: { sendAt: 1 }, new: true }
+    );
+};
+
+let schedulerRunning = false;
+
+const runScheduler = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+        let scheduledMessage;
+        while ((scheduledMessage = await claimDueMessage())) {
+            await deliverScheduledMessage(scheduledMessage);
+        }
+    } catch (error) {
+        console.error('Error running message scheduler:', error);
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+// Start posting due messages. Anything that came due while the server was
+// down is posted on the first run.
+const startScheduler = () => {
+    runScheduler();
+    const timer = setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+// Remind a user about something later (used by /remind)
+const scheduleReminder = async (user, room, text, remindAt) => {
+    const messageError = validateMessage(text);
+    if (messageError) {
+        return { status: 400, error: messageError };
+    }
+
+    const { date, error } = parseSendAt(remindAt);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    const pendingCount = await ScheduledMessage.countDocuments({
+        userId: user._id,
+        status: { $in: ['scheduled', 'sending'] }
+    });
+    if (pendingCount >= MAX_PENDING_PER_USER) {
+        return { status: 400, error: `You can have at most ${MAX_PENDING_PER_USER} scheduled messages` };
+    }
+
+    const reminder = await ScheduledMessage.create({
+        userId: user._id,
+        room,
+        message: text.trim(),
+        sendAt: date,
+        kind: 'reminder'
+    });
+
+    notifyAuthor(reminder);
+
+    return { reminder };
+};
+
+// Explain why an edit or cancel found nothing to change
+const respondNotEditable = async (req, res) => {
+    const existing = await ScheduledMessage.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!existing || existing.status === 'cancelled') {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    res.status(409).json({
+        error: existing.status === 'sent' ? 'This message has already been sent' : 'This message is being sent'
+    });
+};
+
+// GET /api/scheduled-messages?room=<room> - Get the user's upcoming and failed scheduled messages
+router.get('/', async (req, res) => {
+    try {
+        const filter = {
+            userId: req.user._id,
+            status: { $in: ['scheduled', 'sending', 'failed'] }
+        };
+        if (typeof req.query.room === 'string' && req.query.room) {
+            filter.room = req.query.room;
+        }
+
+        const scheduledMessages = await ScheduledMessage.find(filter)
+            .sort({ sendAt: 1 })
+            .limit(MAX_PENDING_PER_USER);
+
+        res.json({
+            success: true,
+            scheduledMessages: scheduledMessages.map(serializeScheduledMessage)
+        });
+    } catch (error) {
+        console.error('Error fetching scheduled messages:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+    }
+});
+
+// POST /api/scheduled-messages - Schedule a message
+// Body: { room, message, sendAt }
+router.post('/', scheduleLimiter, async (req, res) => {
+    try {
+        const { room, message, sendAt } = req.body;
+
+        if (!room || typeof room !== 'string') {
+            return res.status(400).json({ error: 'Room is required' });
+        }
+
+        const messageError = validateMessage(message);
+        if (messageError) {
+            return res.status(400).json({ error: messageError });
+        }
+
+        const { date, error: sendAtError } = parseSendAt(sendAt);
+        if (sendAtError) {
+            return res.status(400).json({ error: sendAtError });
+        }
+
+        if (!(await canPostInRoom(req.user._id, room))) {
+            return res.status(403).json({ error: 'You must be a member of the room to post in it' });
+        }
+
+        const pendingCount = await ScheduledMessage.countDocuments({
+            userId: req.user._id,
+            status: { $in: ['scheduled', 'sending'] }
+        });
+        if (pendingCount >= MAX_PENDING_PER_USER) {
+            return res.status(400).json({ error: `You can have at most ${MAX_PENDING_PER_USER} scheduled messages` });
+        }
+
+        const scheduledMessage = await ScheduledMessage.create({
+            userId: req.user._id,
+            room,
+            message: message.trim(),
+            sendAt: date
+        });
+
+        notifyAuthor(scheduledMessage);
+
+        res.status(201).json({
+            success: true,
+            scheduledMessage: serializeScheduledMessage(scheduledMessage)
+        });
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        res.status(500).json({ error: 'Failed to schedule message' });
+    }
+});
+
+// PUT /api/scheduled-messages/:id - Change the text or send time of a scheduled message
+// Body: { message?, sendAt? }. Editing a failed message schedules it again
+// (right away if its send time has passed).
+router.put('/:id', scheduleLimiter, async (req, res) => {
+    try {
+        const { message, sendAt } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid scheduled message ID' });
+        }
+
+        const changes = { status: 'scheduled', error: null, attempts: 0 };
+
+        if (message !== undefined) {
+            const messageError = validateMessage(message);
+            if (messageError) {
+                return res.status(400).json({ error: messageError });
+            }
+            changes.message = message.trim();
+        }
+
+        if (sendAt !== undefined) {
+            const { date, error: sendAtError } = parseSendAt(sendAt);
+            if (sendAtError) {
+                return res.status(400).json({ error: sendAtError });
+            }
+            changes.sendAt = date;
+        }
+
+        // Only messages the scheduler has not picked up can change
+        const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, status: { $in: EDITABLE_STATUSES } },
+            changes,
+            { new: true }
+        );
+
+        if (!scheduledMessage) {
+            return respondNotEditable(req, res);
+        }
+
+        notifyAuthor(scheduledMessage);
+
+        res.json({
+            success: true,
+            scheduledMessage: serializeScheduledMessage(scheduledMessage)
+        });
+    } catch (error) {
+        console.error('Error updating scheduled message:', error);
+        res.status(500).json({ error: 'Failed to update scheduled message' });
+    }
+});
+
+// DELETE /api/scheduled-messages/:id - Cancel a scheduled message
+router.delete('/:id', scheduleLimiter, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid scheduled message ID' });
+        }
+
+        const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, status: { $in: EDITABLE_STATUSES } },
+            { status: 'cancelled' },
+            { new: true }
+        );
+
+        if (!scheduledMessage) {
+            return respondNotEditable(req, res);
+        }
+
+        notifyAuthor(scheduledMessage);
+
+        res.json({
+            success: true,
+            message: 'Scheduled message cancelled'
+        });
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled message' });
+    }
+});
+
+module.exports = {
+    router,
+    initializeScheduledMessageRoutes,
+    startScheduler,
+    scheduleReminder
+};
@@ -0,0 +1,192 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { serializeMessage, notExpired } = require('./messages');
+const { historyStartFor } = require('./chatRooms');
+
+const router = express.Router();
+
+// Rate limiting for search queries
+const searchLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // limit each IP to 30 searches per windowMs
+    message: {
+        error: 'Too many searches, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Result page sizes
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 50;
+
+// Models will be initialized from server.js
+let Message;
+let ChatRoom;
+
+// Initialize models
+const initializeSearchRoutes = (messageModel, chatRoomModel) => {
+    Message = messageModel;
+    ChatRoom = chatRoomModel;
+};
+
+// Split a query like `deploy from:alice in:"release notes" has:attachment`
+// into free text and filters. Unknown operators are kept as text.
+const parseSearchQuery = (query = '') => {
+    const filters = {};
+    const operatorPattern = /(\w+):(?:"([^"]*)"|(\S+))/g;
+
+    const text = query.replace(operatorPattern, (match, operator, quoted, plain) => {
+        const key = operator.toLowerCase();
+        if (['from', 'in', 'before', 'after', 'has'].includes(key)) {
+            filters[key] = quoted !== undefined ? quoted : plain;
+            return ' ';
+        }
+        return match;
+    });
+
+    return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        filters
+    };
+};
+
+// Where a search may look: rooms the caller is a member of, plus rooms that never had
+// a record, like general, which are open to everyone (see isRoomMember). Closed rooms
+// keep their record, so recordedNames must include them. Returns null when no room can match.
+const buildRoomFilter = (recordedNames, memberRooms, inRoom) => {
+    const memberNames = memberRooms.map(room => room.name);
+
+    if (!inRoom) {
+        return {
+            $or: [
+                { room: { $in: memberNames } },
+                { room: { $nin: recordedNames } }
+            ]
+        };
+    }
+
+    const isInRoom = (name) => name.toLowerCase() === inRoom.toLowerCase();
+    if (!recordedNames.some(isInRoom)) {
+        return { room: inRoom };
+    }
+
+    const names = memberNames.filter(isInRoom);
+    return names.length > 0 ? { room: { $in: names } } : null;
+};
+
+// Validation helpers
+const parseDate = (value) => {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// GET /api/search/messages - Search messages in the caller's rooms
+// Query params: q (supports from:, in:, before:, after:, has:attachment),
+// or the same filters as from, in, before, after, hasAttachment; limit; page
+router.get('/messages', searchLimiter, async (req, res) => {
+    try {
+        const { q = '', limit, page } = req.query;
+        const { text, filters } = parseSearchQuery(String(q));
+
+        // Explicit query params win over operators typed in the query
+        const from = req.query.from || filters.from;
+        const inRoom = req.query.in || filters.in;
+        const after = parseDate(req.query.after || filters.after);
+        const before = parseDate(req.query.before || filters.before);
+        const hasAttachment = req.query.hasAttachment === 'true' || filters.has === 'attachment';
+
+        if (after === undefined || before === undefined) {
+            return res.status(400).json({ error: 'Dates must be valid, e.g. 2024-01-31' });
+        }
+
+        if (!text && !from && !inRoom && !after && !before && !hasAttachment) {
+            return res.status(400).json({ error: 'Enter search text or at least one filter' });
+        }
+
+        // Every room that ever had a record, closed ones included
+        const recordedNames = await ChatRoom.distinct('name');
+        let memberRooms = await ChatRoom.find({ members: req.user._id, isActive: true })
+            .select('name visibleSince')
+            .exec();
+
+        if (inRoom) {
+            memberRooms = memberRooms.filter(room => room.name.toLowerCase() === inRoom.toLowerCase());
+        }
+        const roomFilter = buildRoomFilter(recordedNames, memberRooms, inRoom);
+
+        const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_RESULT_LIMIT, MAX_RESULT_LIMIT));
+        const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+
+        if (!roomFilter) {
+            return res.json({
+                success: true,
+                results: [],
+                page: pageNumber,
+                hasMore: false
+            });
+        }
+
+        const filter = {
+            $and: [roomFilter],
+            isDeleted: { $ne: true },
+            ...notExpired()
+        };
+
+        if (text) {
+            filter.$text = { $search: text };
+        }
+
+        if (from) {
+            filter.username = from.replace(/^@/, '');
+        }
+
+        if (after || before) {
+            filter.timestamp = {};
+            if (after) filter.timestamp.$gte = after;
+            if (before) filter.timestamp.$lt = before;
+        }
+
+        if (hasAttachment) {
+            filter.attachment = { $exists: true, $ne: null };
+        }
+
+        // Group conversations joined without their history only match later messages
+        const limitedRooms = memberRooms
+            .map(room => ({ name: room.name, since: historyStartFor(room, req.user._id) }))
+            .filter(room => room.since);
+        if (limitedRooms.length > 0) {
+            filter.$and.push({
+                $or: [
+                    { room: { $nin: limitedRooms.map(room => room.name) } },
+                    ...limitedRooms.map(room => ({ room: room.name, timestamp: { $gte: room.since } }))
+                ]
+            });
+        }
+
+        const query = text
+            ? Message.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+            : Message.find(filter).sort({ timestamp: -1 });
+
+        const matches = await query
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize + 1)
+            .exec();
+
+        res.json({
+            success: true,
+            results: matches.slice(0, pageSize).map(serializeMessage),
+            page: pageNumber,
+            hasMore: matches.length > pageSize
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({ error: 'Failed to search messages' });
+    }
+});
+
+module.exports = { router, initializeSearchRoutes, parseSearchQuery, buildRoomFilter };
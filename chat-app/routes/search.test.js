@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import mongoose from 'mongoose';
+import { router, initializeSearchRoutes, parseSearchQuery, buildRoomFilter } from './search';
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+// Just enough of MongoDB's query language to run the filters search builds
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    if (key === '$nor') return !condition.some(part => matches(doc, part));
+
+    const value = doc[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$in': return operand.includes(value);
+            case '$nin': return !operand.includes(value);
+            case '$ne': return value !== operand;
+            case '$lte': return value !== undefined && value <= operand;
+            case '$gte': return value >= operand;
+            case '$lt': return value < operand;
+            default: throw new Error(`Unsupported operator ${operator}`);
+        }
+    });
+});
+
+// Chainable stand-in for a Mongoose query
+const query = (result) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        skip: () => chain,
+        limit: () => chain,
+        exec: async () => result
+    };
+    return chain;
+};
+
+describe('parseSearchQuery', () => {
+    it('splits filters from free text', () => {
+        expect(parseSearchQuery('deploy from:alice in:"release notes" has:attachment')).toEqual({
+            text: 'deploy',
+            filters: { from: 'alice', in: 'release notes', has: 'attachment' }
+        });
+    });
+
+    it('reads before: and after: dates', () => {
+        expect(parseSearchQuery('after:2024-01-01 before:2024-02-01 outage').filters).toEqual({
+            after: '2024-01-01',
+            before: '2024-02-01'
+        });
+    });
+
+    it('matches operators in any case', () => {
+        expect(parseSearchQuery('FROM:bob hello').filters).toEqual({ from: 'bob' });
+    });
+
+    it('keeps unknown operators as text', () => {
+        expect(parseSearchQuery('status:done  retro')).toEqual({ text: 'status:done retro', filters: {} });
+    });
+});
+
+describe('buildRoomFilter', () => {
+    const recordedNames = ['team', 'secret', 'closed-private'];
+    const memberRooms = [{ name: 'team' }];
+
+    it('searches member rooms and rooms that never had a record', () => {
+        const filter = buildRoomFilter(recordedNames, memberRooms);
+
+        expect(matches({ room: 'team' }, filter)).toBe(true);
+        expect(matches({ room: 'general' }, filter)).toBe(true);
+        expect(matches({ room: 'secret' }, filter)).toBe(false);
+    });
+
+    it('leaves out closed rooms', () => {
+        const filter = buildRoomFilter(recordedNames, memberRooms);
+
+        expect(matches({ room: 'closed-private' }, filter)).toBe(false);
+    });
+
+    it('limits in: to a member room', () => {
+        expect(buildRoomFilter(recordedNames, memberRooms, 'Team')).toEqual({ room: { $in: ['team'] } });
+    });
+
+    it('finds nothing for in: a room the caller is not a member of', () => {
+        expect(buildRoomFilter(recordedNames, [], 'secret')).toBeNull();
+        expect(buildRoomFilter(recordedNames, [], 'closed-private')).toBeNull();
+    });
+
+    it('allows in: a room that never had a record', () => {
+        expect(buildRoomFilter(recordedNames, memberRooms, 'general')).toEqual({ room: 'general' });
+    });
+});
+
+describe('GET /api/search/messages', () => {
+    const rooms = [
+        { name: 'team', type: 'public', isActive: true, members: [userId], visibleSince: [] },
+        { name: 'secret', type: 'private', isActive: true, members: [otherUserId], visibleSince: [] },
+        // Closed once its last member left; the record stays behind
+        { name: 'closed-private', type: 'private', isActive: false, members: [], visibleSince: [] }
+    ];
+    const messages = ['general', 'team', 'secret', 'closed-private'].map((room, index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        userId: otherUserId,
+        username: 'bob',
+        message: `launch plans in ${room}`,
+        timestamp: new Date(Date.UTC(2024, 0, index + 1)),
+        room,
+        isDeleted: false,
+        editHistory: []
+    }));
+
+    const ChatRoom = {
+        distinct: async (field, conditions = {}) => rooms
+            .filter(room => conditions.isActive === undefined || room.isActive === conditions.isActive)
+            .map(room => room[field]),
+        find: ({ members, isActive }) => query(rooms.filter(room =>
+            room.isActive === isActive && room.members.some(id => id.equals(members))))
+    };
+    const Message = {
+        // The test text search matches every message, so only the room filters decide
+        find: ({ $text, ...filter }) => query(messages.filter(message => matches(message, filter)))
+    };
+
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        initializeSearchRoutes(Message, ChatRoom);
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.user = { _id: userId };
+            next();
+        });
+        app.use('/api/search', router);
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/search/messages`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const search = async (q) => {
+        const res = await fetch(`${baseUrl}?q=${encodeURIComponent(q)}`);
+        const body = await res.json();
+        return body.results.map(result => result.room).sort();
+    };
+
+    it('returns messages from member rooms and general only', async () => {
+        expect(await search('launch')).toEqual(['general', 'team']);
+    });
+
+    it('never returns history from a closed private room', async () => {
+        expect(await search('launch')).not.toContain('closed-private');
+        expect(await search('launch in:closed-private')).toEqual([]);
+    });
+
+    it('returns nothing for in: a private room the caller is not in', async () => {
+        expect(await search('launch in:secret')).toEqual([]);
+    });
+});
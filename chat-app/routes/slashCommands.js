@@ -0,0 +1,255 @@
+const express = require('express');
+const { canModerateRoom, validateRoomDescription, removeMember, isConversation } = require('./chatRooms');
+const { userChannel } = require('./mentions');
+const { createEphemeralMessage } = require('./messages');
+const { inviteUser } = require('./invitations');
+const { scheduleReminder } = require('./scheduledMessages');
+
+const router = express.Router();
+
+const SHRUG = '¯\\\\\\_(ツ)\\_/¯'; // escaped so Markdown keeps the arm
+
+// /remind durations, e.g. "30m", "in 2 hours", "1d"
+const REMINDER_UNITS = [
+    { pattern: /^(m|mins?|minutes?)$/i, ms: 60 * 1000, label: 'minute' },
+    { pattern: /^(h|hrs?|hours?)$/i, ms: 60 * 60 * 1000, label: 'hour' },
+    { pattern: /^(d|days?)$/i, ms: 24 * 60 * 60 * 1000, label: 'day' },
+    { pattern: /^(w|weeks?)$/i, ms: 7 * 24 * 60 * 60 * 1000, label: 'week' }
+];
+
+// Models and Socket.IO server will be initialized from server.js
+let User;
+let ChatRoom;
+let io;
+
+// Initialize models
+const initializeSlashCommands = (userModel, chatRoomModel, socketServer) => {
+    User = userModel;
+    ChatRoom = chatRoomModel;
+    io = socketServer;
+};
+
+// Registered commands by name, in the order they are listed to users
+const commands = new Map();
+
+// Add a command. run({ user, room, chatRoom, args }) resolves with any of:
+//   { post }   - fields for postMessage, to send a message on the user's behalf
+//   { reply }  - text only the user sees
+//   { action } - something for the client to do, e.g. { type: 'switchRoom', room }
+//   { error }  - why the command could not run
+// requiresRoom commands only work in rooms with a ChatRoom record, and
+// moderatorOnly commands only for that room's moderators.
+const registerCommand = (command) => {
+    commands.set(command.name, {
+        requiresRoom: false,
+        moderatorOnly: false,
+        ...command
+    });
+};
+
+const parseReminderDelay = (amount, unit) => {
+    const match = REMINDER_UNITS.find(item => item.pattern.test(unit));
+    const count = Number(amount);
+    if (!match || !Number.isInteger(count) || count < 1) {
+        return null;
+    }
+    return {
+        ms: count * match.ms,
+        label: `${count} ${match.label}${count === 1 ? '' : 's'}`
+    };
+};
+
+registerCommand({
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me waves',
+    run: async ({ args }) => {
+        if (!args) {
+            return { error: 'Usage: /me <action>' };
+        }
+        return { post: { message: args, isAction: true } };
+    }
+});
+
+registerCommand({
+    name: 'shrug',
+    usage: '/shrug [message]',
+    description: `Append ¯\\_(ツ)_/¯ to your message`,
+    run: async ({ args }) => ({ post: { message: args ? `${args} ${SHRUG}` : SHRUG } })
+});
+
+registerCommand({
+    name: 'topic',
+    usage: '/topic <topic>',
+    description: 'Set the topic shown under the room name',
+    requiresRoom: true,
+    moderatorOnly: true,
+    run: async ({ user, room, chatRoom, args }) => {
+        if (!args) {
+            return { error: 'Usage: /topic <topic>' };
+        }
+
+        const descriptionError = validateRoomDescription(args);
+        if (descriptionError) {
+            return { error: descriptionError.replace('Room description', 'Topic') };
+        }
+
+        chatRoom.description = args;
+        await chatRoom.save();
+
+        io.to(room).emit('roomTopicChanged', { room, topic: args, changedBy: user.username });
+        return {};
+    }
+});
+
+registerCommand({
+    name: 'invite',
+    usage: '/invite @username',
+    description: 'Invite someone to this room',
+    requiresRoom: true,
+    run: async ({ user, room, chatRoom, args }) => {
+        const match = args.match(/^@?([\w.-]{1,20})$/);
+        if (!match) {
+            return { error: 'Usage: /invite @username' };
+        }
+
+        const result = await inviteUser(chatRoom, user, match[1]);
+        if (result.error) {
+            return { error: result.error };
+        }
+
+        io.to(userChannel(result.user._id)).emit('ephemeralMessage', createEphemeralMessage(
+            null,
+            `${user.username} invited you to #${room}. You can accept it from your invitations.`
+        ));
+
+        return { reply: `Invited @${result.user.username} to #${room}. The invitation is valid for 24 hours.` };
+    }
+});
+
+registerCommand({
+    name: 'leave',
+    usage: '/leave',
+    description: 'Leave this room and go back to #general',
+    requiresRoom: true,
+    run: async ({ user, room, chatRoom }) => {
+        if (room === 'general') {
+            return { error: 'You cannot leave #general' };
+        }
+        if (isConversation(chatRoom)) {
+            return { error: 'Direct messages cannot be left' };
+        }
+        if (!chatRoom.members.includes(user._id)) {
+            return { error: `You are not a member of #${room}` };
+        }
+
+        await removeMember(chatRoom, user._id);
+
+        return {
+            reply: `You left #${room}`,
+            action: { type: 'switchRoom', room: 'general' }
+        };
+    }
+});
+
+registerCommand({
+    name: 'mute',
+    usage: '/mute',
+    description: 'Mute or unmute mention notifications from this room',
+    run: async ({ user, room }) => {
+        const current = await User.findById(user._id).select('mutedRooms');
+        const muted = !(current.mutedRooms || []).includes(room);
+
+        await User.updateOne(
+            { _id: user._id },
+            muted ? { $addToSet: { mutedRooms: room } } : { $pull: { mutedRooms: room } }
+        );
+
+        // Every open tab shows the new state
+        io.to(userChannel(user._id)).emit('roomMuteChanged', { room, muted });
+
+        return {
+            reply: muted
+                ? `Mentions in #${room} will no longer notify you. Type /mute again to unmute.`
+                : `Mentions in #${room} will notify you again.`
+        };
+    }
+});
+
+registerCommand({
+    name: 'remind',
+    usage: '/remind <in 30m|2h|1d> <message>',
+    description: 'Get a private reminder later',
+    run: async ({ user, room, args }) => {
+        const match = args.match(/^(?:in\s+)?(\d+)\s*([a-z]+)\s+([\s\S]+)$/i);
+        const delay = match && parseReminderDelay(match[1], match[2]);
+        if (!delay) {
+            return { error: 'Usage: /remind <in 30m|2h|1d> <message>' };
+        }
+
+        const result = await scheduleReminder(user, room, match[3], new Date(Date.now() + delay.ms));
+        if (result.error) {
+            return { error: result.error };
+        }
+
+        return { reply: `Okay, I'll remind you in ${delay.label}: ${result.reminder.message}` };
+    }
+});
+
+registerCommand({
+    name: 'help',
+    usage: '/help',
+    description: 'List the available commands',
+    run: async () => ({
+        reply: [
+            'Available commands:',
+            ...Array.from(commands.values()).map(command => `\`${command.usage}\` - ${command.description}`),
+            'Start a message with // to send it as text.'
+        ].join('\n')
+    })
+});
+
+// Run a command typed into the message box. Returns null for ordinary text,
+// otherwise { name, post?, reply?, action?, error? }. A leading "//" sends the
+// rest as a normal message starting with "/".
+const runSlashCommand = async (user, room, text) => {
+    if (typeof text !== 'string' || !text.startsWith('/')) {
+        return null;
+    }
+    if (text.startsWith('//')) {
+        return { name: null, post: { message: text.slice(1) } };
+    }
+
+    const match = text.trim().match(/^\/(\S+)(?:\s+([\s\S]*))?$/);
+    const name = match ? match[1].toLowerCase() : '';
+    const command = commands.get(name);
+    if (!command) {
+        return { name, error: `Unknown command /${name}. Type /help to see the available commands.` };
+    }
+
+    const chatRoom = await ChatRoom.findOne({ name: room, isActive: true });
+    if (command.requiresRoom && !chatRoom) {
+        return { name, error: `/${name} only works in rooms from the room list` };
+    }
+    if (command.moderatorOnly && (!chatRoom || !canModerateRoom(chatRoom, user._id))) {
+        return { name, error: `Only room moderators can use /${name}` };
+    }
+
+    const result = await command.run({ user, room, chatRoom, args: (match[2] || '').trim() });
+    return { name, ...result };
+};
+
+// GET /api/commands - List slash commands for autocomplete
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        commands: Array.from(commands.values()).map(command => ({
+            name: command.name,
+            usage: command.usage,
+            description: command.description,
+            moderatorOnly: command.moderatorOnly
+        }))
+    });
+});
+
+module.exports = { router, initializeSlashCommands, registerCommand, runSlashCommand };
@@ -33,11 +33,92 @@ const { router: authRouter, initializeAuth } = require('./routes/auth');
 const { authenticateSocket, authenticateToken, initializeAuthMiddleware } = require('./middleware/auth');
 
 // Import chat room modules
-const { router: chatRoomsRouter, initializeChatRoomRoutes } = require('./routes/chatRooms');
+const {
+    router: chatRoomsRouter,
+    initializeChatRoomRoutes,
+    canModerateRoom,
+    canManageRoom,
+    canViewRoom,
+    getHistoryStart
+} = require('./routes/chatRooms');
 
 // Import invitation modules
 const { router: invitationsRouter, initializeInvitationRoutes } = require('./routes/invitations');
 
+// Import message modules
+const {
+    router: messagesRouter,
+    initializeMessageRoutes,
+    serializeMessage,
+    editMessage,
+    deleteMessage,
+    addReaction,
+    removeReaction,
+    fetchMessagePage,
+    threadChannel,
+    createEphemeralMessage
+} = require('./routes/messages');
+
+// Import pin modules
+const { router: pinsRouter, initializePinRoutes, pinMessage, unpinMessage } = require('./routes/pins');
+
+// Import poll routes and vote handlers
+const { router: pollsRouter, initializePollRoutes, votePoll, closePoll } = require('./routes/polls');
+
+// Import attachment modules
+const { router: attachmentsRouter, initializeAttachmentRoutes } = require('./routes/attachments');
+const { createStorage } = require('./storage');
+
+// Import read marker modules
+const { initializeReadMarkers, getReadMarker, markRead } = require('./routes/readMarkers');
+
+// Import search modules
+const { router: searchRouter, initializeSearchRoutes } = require('./routes/search');
+
+// Import mention modules
+const {
+    router: mentionsRouter,
+    initializeMentionRoutes,
+    userChannel
+} = require('./routes/mentions');
+
+// Import the shared message posting path
+const { initializePostMessage, postMessage, forwardMessage } = require('./routes/postMessage');
+const { initializeMessageExpiry, startExpirySweeper } = require('./routes/messageExpiry');
+
+// Import slash commands, run by sendMessage before anything is saved
+const { router: commandsRouter, initializeSlashCommands, runSlashCommand } = require('./routes/slashCommands');
+
+// Import bookmark routes
+const { router: bookmarksRouter, initializeBookmarkRoutes } = require('./routes/bookmarks');
+
+// Import draft routes
+const { router: draftsRouter, initializeDraftRoutes } = require('./routes/drafts');
+
+// Import direct conversation routes
+const { router: conversationsRouter, initializeConversationRoutes } = require('./routes/conversations');
+
+// Import presence modules
+const {
+    router: presenceRouter,
+    initializePresence,
+    broadcastPresence,
+    listRoomUsers,
+    addConnection,
+    removeConnection,
+    setConnectionRoom,
+    setIdle,
+    recordHeartbeat,
+    startPresenceSweeper
+} = require('./routes/presence');
+
+// Import scheduled message modules
+const {
+    router: scheduledMessagesRouter,
+    initializeScheduledMessageRoutes,
+    startScheduler
+} = require('./routes/scheduledMessages');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -58,7 +139,7 @@ app.use(helmet({
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com", "https://fonts.googleapis.com"],
             scriptSrc: ["'self'", "'unsafe-inline'"],
-            imgSrc: ["'self'", "data:", "https:"],
+            imgSrc: ["'self'", "data:", "blob:", "https:"],
             connectSrc: ["'self'", "ws:", "wss:"],
             fontSrc: ["'self'", "https://cdnjs.cloudflare.com", "https://fonts.gstatic.com"],
         },
@@ -153,8 +234,181 @@ process.on('SIGINT', async () => {
 // Start MongoDB connection
 connectToMongoDB();
 
+// Resized copy of an attached image
+const thumbnailSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+}, { _id: false });
+
+// File attached to a message; the bytes live in the storage backend under key
+const attachmentSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Images only: dimensions, a tiny data URL shown blurred while loading, and thumbnails
+    width: {
+        type: Number,
+        default: null
+    },
+    height: {
+        type: Number,
+        default: null
+    },
+    placeholder: {
+        type: String,
+        default: null
+    },
+    thumbnails: [thumbnailSchema],
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, { _id: false });
+
+// Poll attached to a message; the message text is the question
+const pollSchema = new mongoose.Schema({
+    options: [{
+        text: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        }
+    }],
+    multipleChoice: {
+        type: Boolean,
+        default: false
+    },
+    // Anonymous polls only ever show counts
+    anonymous: {
+        type: Boolean,
+        default: false
+    },
+    closesAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the author or a moderator closes the poll early
+    closedAt: {
+        type: Date,
+        default: null
+    },
+    votes: [{
+        optionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        username: {
+            type: String,
+            required: true
+        },
+        votedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, { _id: false });
+
+// Where a forwarded message was first posted
+const forwardedFromSchema = new mongoose.Schema({
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+// Snapshot of the message a quote reply answers, cleared if that message is deleted
+const quoteSchema = new mongoose.Schema({
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
 // Message Schema
 const messageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // null for messages sent before authors were tracked by id
+    },
     username: {
         type: String,
         required: true,
@@ -162,7 +416,10 @@ const messageSchema = new mongoose.Schema({
     },
     message: {
         type: String,
-        required: true,
+        required: function () {
+            // deleted messages are kept as empty tombstones, and files can be sent without a caption
+            return !this.isDeleted && !this.attachment;
+        },
         trim: true
     },
     timestamp: {
@@ -172,9 +429,127 @@ const messageSchema = new mongoose.Schema({
     room: {
         type: String,
         default: 'general'
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null // set for replies in a thread
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    lastReplyAt: {
+        type: Date,
+        default: null
+    },
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    groupMention: {
+        type: String,
+        enum: ['here', 'room', null],
+        default: null
+    },
+    reactions: [{
+        emoji: {
+            type: String,
+            required: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        username: {
+            type: String,
+            required: true
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    editHistory: [{
+        message: String,
+        editedAt: Date,
+        editedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Id generated by the sender's client, so retried sends are saved once
+    clientMessageId: {
+        type: String,
+        default: null
+    },
+    attachment: {
+        type: attachmentSchema,
+        default: null
+    },
+    poll: {
+        type: pollSchema,
+        default: null
+    },
+    // Sent with /me, shown as "* username does something"
+    isAction: {
+        type: Boolean,
+        default: false
+    },
+    forwardedFrom: {
+        type: forwardedFromSchema,
+        default: null
+    },
+    quote: {
+        type: quoteSchema,
+        default: null
+    },
+    // Disappearing messages are removed once this passes
+    expiresAt: {
+        type: Date,
+        default: null
     }
 });
 
+// Indexes for paging through room history and loading thread replies
+messageSchema.index({ room: 1, timestamp: -1 });
+messageSchema.index({ parentId: 1, timestamp: 1 });
+
+// Text index for message search
+messageSchema.index({ message: 'text' });
+
+// MongoDB removes disappearing messages on its own as a backstop. The expiry
+// sweeper normally gets there first so it can tell clients and clean up.
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Quotes of a deleted message are cleared, and forwarded copies share attachment files
+messageSchema.index({ 'quote.messageId': 1 }, { sparse: true });
+messageSchema.index({ 'attachment.key': 1 }, { sparse: true });
+
+// Deduplicate retried sends per author
+messageSchema.index(
+    { userId: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
 const Message = mongoose.model('Message', messageSchema);
 
 // User Schema for Authentication
@@ -199,10 +574,29 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: 6
     },
-    socketId: {
-        type: String,
-        default: null
-    },
+    // One entry per open tab or device; the user is online while any remain
+    connections: [{
+        _id: false,
+        socketId: String,
+        // Server instance holding the socket (see presence.js)
+        instanceId: String,
+        userAgent: String,
+        device: String,
+        ip: String,
+        room: {
+            type: String,
+            default: null
+        },
+        isIdle: {
+            type: Boolean,
+            default: false
+        },
+        connectedAt: Date,
+        lastActiveAt: Date,
+        // Refreshed by the client's heartbeat; connections that stop sending one are swept
+        lastHeartbeatAt: Date
+    }],
+    // The room the user last opened
     room: {
         type: String,
         default: 'general'
@@ -215,10 +609,41 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // Set once every connection has gone without activity for a while; shown as away
+    isIdle: {
+        type: Boolean,
+        default: false
+    },
+    // Shown as busy; the user's own client holds back notifications
+    doNotDisturb: {
+        type: Boolean,
+        default: false
+    },
+    customStatus: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        emoji: {
+            type: String,
+            trim: true,
+            maxlength: 16
+        },
+        // Null keeps the status until it is cleared
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    },
     joinedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Rooms whose mentions do not pop up notifications (toggled with /mute)
+    mutedRooms: [{
+        type: String
+    }]
 }, {
     timestamps: true
 });
@@ -244,6 +669,18 @@ const chatRoomSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // 'room' for rooms from the room list, 'direct' for a one-to-one conversation,
+    // 'group' for a conversation between a fixed set of people
+    type: {
+        type: String,
+        enum: ['room', 'direct', 'group'],
+        default: 'room'
+    },
+    // Sorted participant ids of a direct conversation, so each pair only has one
+    directKey: {
+        type: String,
+        default: undefined
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -253,6 +690,44 @@ const chatRoomSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    moderators: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Members added to a group conversation without its earlier history
+    visibleSince: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        since: {
+            type: Date,
+            required: true
+        }
+    }],
+    pins: [{
+        messageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            required: true
+        },
+        pinnedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        pinnedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Default disappearing-message timer for new messages, in seconds (null = off)
+    messageTtlSeconds: {
+        type: Number,
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -265,6 +740,10 @@ const chatRoomSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// One direct conversation per pair of users, and a quick list of a user's conversations
+chatRoomSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+chatRoomSchema.index({ members: 1, type: 1 });
+
 const ChatRoom = mongoose.model('ChatRoom', chatRoomSchema);
 
 // Invitation Schema
@@ -332,16 +811,247 @@ invitationSchema.index({ expiresAt: 1 });
 
 const Invitation = mongoose.model('Invitation', invitationSchema);
 
+// Mention Schema (one unread-mention entry per mentioned user)
+const mentionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    mentionedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Index for unread mention lookups
+mentionSchema.index({ userId: 1, isRead: 1, room: 1 });
+
+const Mention = mongoose.model('Mention', mentionSchema);
+
+// Read Marker Schema - the last message each user has seen in each room
+const readMarkerSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    lastReadMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    lastReadAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One marker per user per room
+readMarkerSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+const ReadMarker = mongoose.model('ReadMarker', readMarkerSchema);
+
+// Scheduled Message Schema - a message posted by the scheduler at sendAt
+const scheduledMessageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    sendAt: {
+        type: Date,
+        required: true
+    },
+    // Reminders (from /remind) are shown only to their author instead of being posted
+    kind: {
+        type: String,
+        enum: ['message', 'reminder'],
+        default: 'message'
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+        default: 'scheduled'
+    },
+    // When the scheduler claimed it; a stale claim means the server stopped mid-send
+    claimedAt: {
+        type: Date,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for finding due messages and listing a user's upcoming ones
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ userId: 1, status: 1, sendAt: 1 });
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+
+// Bookmark Schema - a message a user saved for later, with an optional note
+const bookmarkSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    note: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// One bookmark per user per message, listed newest first
+bookmarkSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+bookmarkSchema.index({ messageId: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+// Draft Schema - text a user started typing in a room but has not sent yet
+const draftSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    room: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        maxlength: 10000,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One draft per user per room
+draftSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+const Draft = mongoose.model('Draft', draftSchema);
+
 // Initialize authentication modules with User model
 initializeAuth(User);
 initializeAuthMiddleware(User);
 
 // Initialize chat room routes with models
-initializeChatRoomRoutes(ChatRoom, User);
+initializeChatRoomRoutes(ChatRoom, User, io);
 
 // Initialize invitation routes with models
 initializeInvitationRoutes(ChatRoom, User, Invitation);
 
+// Initialize message routes with models
+initializeMessageRoutes(Message, ChatRoom, io);
+
+// Initialize pin routes with models
+initializePinRoutes(Message, ChatRoom, io);
+
+// Initialize poll routes with models
+initializePollRoutes(Message, ChatRoom, io);
+
+// Initialize attachment routes with models and the configured storage backend
+initializeAttachmentRoutes(Message, ChatRoom, createStorage());
+
+// Initialize the shared posting path and scheduled message routes with models
+initializePostMessage(Message, ChatRoom, io);
+initializeScheduledMessageRoutes(ScheduledMessage, User, ChatRoom, io);
+
+// Initialize read markers with models
+initializeReadMarkers(ReadMarker, Message, Mention);
+
+// Initialize search routes with models
+initializeSearchRoutes(Message, ChatRoom);
+
+// Initialize mention routes with models
+initializeMentionRoutes(Mention, User, ChatRoom, io);
+
+// Initialize the disappearing-message sweeper
+initializeMessageExpiry(Message, ChatRoom, Mention, io);
+
+// Initialize slash commands with models
+initializeSlashCommands(User, ChatRoom, io);
+
+// Initialize bookmark routes with models
+initializeBookmarkRoutes(Bookmark, Message, ChatRoom, io);
+
+// Initialize draft routes with models
+initializeDraftRoutes(Draft, io);
+
+// Initialize direct conversation routes with models
+initializeConversationRoutes(ChatRoom, User, io);
+
+// Initialize presence with models
+initializePresence(User, ChatRoom, io);
+
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
     res.status(200).json({
@@ -364,8 +1074,8 @@ app.get('/', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRouter);
 
-// Chat room routes (protected)
-app.use('/api/rooms', authenticateToken, chatRoomsRouter);
+// Chat room and pinned message routes (protected)
+app.use('/api/rooms', authenticateToken, chatRoomsRouter, pinsRouter);
 
 // Invitation routes (protected)
 app.use('/api/invitations', authenticateToken, invitationsRouter);
@@ -394,24 +1104,72 @@ app.get('/invite/:inviteCode', async (req, res) => {
 });
 
 // API Routes
-app.get('/api/messages/:room', async (req, res) => {
+// GET /api/messages/:room?before=<cursor>&after=<cursor>&around=<messageId>&limit=50
+// A cursor is a message id or a timestamp
+app.get('/api/messages/:room', authenticateToken, async (req, res) => {
     try {
         const { room } = req.params;
-        const messages = await Message.find({ room })
-            .sort({ timestamp: -1 })
-            .limit(50)
-            .exec();
-        res.json(messages.reverse());
+        const { before, after, around, limit } = req.query;
+
+        if (!(await canViewRoom(room, req.user._id))) {
+            return res.status(403).json({ error: 'You are not part of this conversation' });
+        }
+
+        const since = await getHistoryStart(room, req.user._id);
+        const result = await fetchMessagePage(room, { before, after, around, limit, since });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            messages: result.messages.map(serializeMessage),
+            hasMore: result.hasMore,
+            hasNewer: result.hasNewer
+        });
     } catch (error) {
         console.error('Error fetching messages:', error);
         res.status(500).json({ error: 'Failed to fetch messages' });
     }
 });
 
+// Message routes (protected)
+app.use('/api/messages', authenticateToken, messagesRouter);
+
+// Attachment routes (protected)
+app.use('/api/attachments', authenticateToken, attachmentsRouter);
+
+// Scheduled message routes (protected)
+app.use('/api/scheduled-messages', authenticateToken, scheduledMessagesRouter);
+
+// Search routes (protected)
+app.use('/api/search', authenticateToken, searchRouter);
+
+// Mention routes (protected)
+app.use('/api/mentions', authenticateToken, mentionsRouter);
+
+// Poll routes (protected)
+app.use('/api/polls', authenticateToken, pollsRouter);
+
+// Slash command list (protected)
+app.use('/api/commands', authenticateToken, commandsRouter);
+
+// Bookmark routes (protected)
+app.use('/api/bookmarks', authenticateToken, bookmarksRouter);
+
+// Draft routes (protected)
+app.use('/api/drafts', authenticateToken, draftsRouter);
+
+// Direct conversation routes (protected)
+app.use('/api/conversations', authenticateToken, conversationsRouter);
+
+// Presence and status routes (protected)
+app.use('/api/presence', authenticateToken, presenceRouter);
+
 app.get('/api/users/:room', async (req, res) => {
     try {
         const { room } = req.params;
-        const users = await User.find({ room }).select('username joinedAt').exec();
+        const users = await listRoomUsers(room);
         res.json(users);
     } catch (error) {
         console.error('Error fetching users:', error);
@@ -442,6 +1200,15 @@ io.use(authenticateSocket);
 io.on('connection', (socket) => {
     console.log('New authenticated client connected:', socket.id, 'User:', socket.user.username);
 
+    // Personal channel for notifications that follow the user across rooms
+    socket.join(userChannel(socket.user._id));
+
+    // Track this tab or device as one of the user's connections. Handlers that
+    // change the connection wait until it is recorded.
+    socket.connectionReady = addConnection(socket.user._id, socket).catch(error => {
+        console.error('Error recording connection:', error);
+    });
+
     // Handle user joining a room
     socket.on('join', async (data) => {
         try {
@@ -449,56 +1216,84 @@ io.on('connection', (socket) => {
             const user = socket.user; // User is already authenticated
             const previousRoom = socket.room;
 
+            // Direct conversations are only for the people in them
+            if (!(await canViewRoom(room, user._id))) {
+                socket.emit('error', { message: 'You are not part of this conversation' });
+                return;
+            }
+
+            // Move this connection first, so the user lists sent below include it
+            await socket.connectionReady;
+            const otherConnections = await setConnectionRoom(user._id, socket.id, room);
+
             // Leave previous room if exists
             if (previousRoom && previousRoom !== room) {
                 socket.leave(previousRoom);
 
-                // Notify previous room about user leaving
-                socket.to(previousRoom).emit('userLeft', {
-                    username: user.username,
-                    message: `${user.username} left the chat`,
-                    timestamp: new Date()
-                });
-
-                // Send updated user list to previous room
-                const previousRoomUsers = await User.find({ room: previousRoom }).select('username joinedAt').exec();
-                socket.to(previousRoom).emit('userList', previousRoomUsers);
+                // The user is still there if another of their tabs has the room open
+                if (!otherConnections.some(connection => connection.room === previousRoom)) {
+                    // Notify previous room about user leaving
+                    socket.to(previousRoom).emit('userLeft', {
+                        username: user.username,
+                        message: `${user.username} left the chat`,
+                        timestamp: new Date()
+                    });
+
+                    // Send updated user list to previous room
+                    const previousRoomUsers = await listRoomUsers(previousRoom);
+                    socket.to(previousRoom).emit('userList', previousRoomUsers);
+                }
             }
 
-            // Update user's room and socket info
-            await User.findByIdAndUpdate(user._id, {
-                socketId: socket.id,
-                room,
-                isOnline: true,
-                lastSeen: new Date()
-            });
-
             // Join the new room
             socket.join(room);
             socket.room = room;
 
-            // Notify new room about user joining
-            socket.to(room).emit('userJoined', {
-                username: user.username,
-                message: `${user.username} joined the chat`,
-                timestamp: new Date()
-            });
+            // Notify new room about user joining, unless they already had it open elsewhere
+            if (!otherConnections.some(connection => connection.room === room)) {
+                socket.to(room).emit('userJoined', {
+                    username: user.username,
+                    message: `${user.username} joined the chat`,
+                    timestamp: new Date()
+                });
+            }
 
-            // Send recent messages to the new user
-            const recentMessages = await Message.find({ room })
-                .sort({ timestamp: -1 })
-                .limit(20)
-                .exec();
+            // Leave any thread from the previous room
+            if (socket.thread) {
+                socket.leave(threadChannel(socket.thread));
+                socket.thread = null;
+            }
 
-            socket.emit('previousMessages', recentMessages.reverse());
+            // Read before history is sent, since the client marks it read once it arrives
+            const readMarker = await getReadMarker(user._id, room);
+
+            // Send recent messages to the new user (thread replies stay in their threads)
+            const since = await getHistoryStart(room, user._id);
+            const { messages: recentMessages } = await fetchMessagePage(room, { limit: 20, since });
+
+            socket.emit('previousMessages', recentMessages.map(serializeMessage));
 
             // Send updated user list to new room
-            const users = await User.find({ room }).select('username joinedAt').exec();
+            const users = await listRoomUsers(room);
             io.to(room).emit('userList', users);
 
-            // Confirm room change to the user
+            // People in the user's conversations see them come online
+            await broadcastPresence(user._id);
+
+            // Confirm room change to the user. Rooms without a ChatRoom record have no pins.
+            const chatRoom = await ChatRoom.findOne({ name: room, isActive: true }).select('type createdBy members moderators messageTtlSeconds description');
+            const account = await User.findById(user._id).select('mutedRooms');
             socket.emit('roomChanged', {
                 room,
+                roomId: chatRoom ? chatRoom._id : null,
+                type: chatRoom ? chatRoom.type : 'room',
+                topic: chatRoom ? chatRoom.description : '',
+                isMuted: !!account && account.mutedRooms.includes(room),
+                canModerate: chatRoom ? canModerateRoom(chatRoom, user._id) : false,
+                canManage: chatRoom ? canManageRoom(chatRoom, user._id) : false,
+                messageTtlSeconds: chatRoom ? chatRoom.messageTtlSeconds || null : null,
+                lastReadMessageId: readMarker ? readMarker.lastReadMessageId : null,
+                lastReadAt: readMarker ? readMarker.lastReadAt : null,
                 message: `Switched to ${room}`
             });
 
@@ -508,37 +1303,288 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Handle new messages
-    socket.on('sendMessage', async (data) => {
+    // Handle new messages. Clients pass a clientMessageId and an ack callback, and an
+    // attachmentToken from POST /api/attachments to send a file, ttlSeconds for a disappearing message,
+    // a poll ({ options, multipleChoice, anonymous, closesAt }) to ask the message as a question,
+    // and a quoteId to quote a message from a room the user is a member of;
+    // the ack gets { success, message } or { success: false, error: { code, message, retryable } }.
+    // Text starting with "/" runs a slash command instead; its ack also carries
+    // { command, reply, action } and a message only if the command posted one.
+    socket.on('sendMessage', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : null;
+
+        // Older clients without acks still get the error event
+        const fail = (code, message, retryable = false) => {
+            if (respond) {
+                return respond({ success: false, error: { code, message, retryable } });
+            }
+            socket.emit('error', { message });
+        };
+
         try {
-            const { message } = data;
-            const user = socket.user;
+            // isAction is only set by /me
+            const { room: intendedRoom = null, isAction, ...messageData } = data || {};
             const room = socket.room || 'general';
 
-            if (!message || !message.trim()) {
-                return socket.emit('error', { message: 'Message content is required' });
+            // Queued messages name their room; never post one into a different room
+            if (intendedRoom && intendedRoom !== room) {
+                return fail('ROOM_CHANGED', 'You are no longer in the room this message was written in', true);
             }
 
-            // Save message to database
-            const newMessage = new Message({
-                username: user.username,
-                message: message.trim(),
-                room,
-                timestamp: new Date()
-            });
-            await newMessage.save();
-
-            // Broadcast message to room
-            io.to(room).emit('newMessage', {
-                username: user.username,
-                message: message.trim(),
-                timestamp: newMessage.timestamp,
-                room
-            });
+            const command = await runSlashCommand(socket.user, room, messageData.message);
+            if (command && command.error) {
+                return fail('COMMAND_FAILED', command.error);
+            }
+
+            // Commands that only answer privately save nothing
+            if (command && !command.post) {
+                if (respond) {
+                    respond({
+                        success: true,
+                        command: command.name,
+                        reply: command.reply ? createEphemeralMessage(room, command.reply) : null,
+                        action: command.action || null
+                    });
+                }
+                return;
+            }
 
+            const result = await postMessage(socket.user, room, command ? { ...messageData, ...command.post } : messageData);
+            if (result.error) {
+                return fail(result.code, result.error);
+            }
+
+            if (respond) {
+                respond({
+                    success: true,
+                    ...(result.duplicate && { duplicate: true }),
+                    ...(command && { command: command.name }),
+                    message: serializeMessage(result.message)
+                });
+            }
         } catch (error) {
             console.error('Error handling message:', error);
-            socket.emit('error', { message: 'Failed to send message' });
+            fail('SERVER_ERROR', 'Failed to send message', true);
+        }
+    });
+
+    // Forward a message to another room the user is a member of. The ack gets
+    // { success, message } or { success: false, error: { code, message, retryable } }.
+    socket.on('forwardMessage', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : null;
+
+        const fail = (code, message, retryable = false) => {
+            if (respond) {
+                return respond({ success: false, error: { code, message, retryable } });
+            }
+            socket.emit('error', { message });
+        };
+
+        try {
+            const { messageId, room, clientMessageId = null } = data || {};
+            const result = await forwardMessage(socket.user, messageId, room, { clientMessageId });
+            if (result.error) {
+                return fail(result.code, result.error);
+            }
+
+            if (respond) {
+                respond({
+                    success: true,
+                    ...(result.duplicate && { duplicate: true }),
+                    message: serializeMessage(result.message)
+                });
+            }
+        } catch (error) {
+            console.error('Error forwarding message:', error);
+            fail('SERVER_ERROR', 'Failed to forward message', true);
+        }
+    });
+
+    // Handle message edits
+    socket.on('editMessage', async (data) => {
+        try {
+            const { messageId, message } = data;
+            const result = await editMessage(socket.user, messageId, message);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error editing message:', error);
+            socket.emit('error', { message: 'Failed to edit message' });
+        }
+    });
+
+    // Handle message deletions
+    socket.on('deleteMessage', async (data) => {
+        try {
+            const { messageId } = data;
+            const result = await deleteMessage(socket.user, messageId);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            socket.emit('error', { message: 'Failed to delete message' });
+        }
+    });
+
+    // Handle read markers, sent as the user catches up with a room
+    socket.on('markRead', async (data) => {
+        try {
+            const { room, messageId } = data;
+            const result = await markRead(socket.user, room, messageId);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+
+            // Other tabs and devices of the same user clear their badges too
+            if (result.updated) {
+                io.to(userChannel(socket.user._id)).emit('readMarkerUpdated', {
+                    room,
+                    lastReadMessageId: result.marker.lastReadMessageId,
+                    lastReadAt: result.marker.lastReadAt
+                });
+            }
+        } catch (error) {
+            console.error('Error marking room read:', error);
+            socket.emit('error', { message: 'Failed to mark room as read' });
+        }
+    });
+
+    // Handle pinning a message
+    socket.on('pinMessage', async (data) => {
+        try {
+            const { messageId } = data;
+            const result = await pinMessage(socket.user, messageId);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error pinning message:', error);
+            socket.emit('error', { message: 'Failed to pin message' });
+        }
+    });
+
+    // Handle unpinning a message
+    socket.on('unpinMessage', async (data) => {
+        try {
+            const { messageId } = data;
+            const result = await unpinMessage(socket.user, messageId);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error unpinning message:', error);
+            socket.emit('error', { message: 'Failed to unpin message' });
+        }
+    });
+
+    // Handle poll votes. optionIds replaces the user's earlier choice (empty to take it back);
+    // the optional ack gets { success, optionIds } or { success: false, error }.
+    socket.on('votePoll', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : null;
+
+        try {
+            const { messageId, optionIds } = data || {};
+            const result = await votePoll(socket.user, messageId, optionIds);
+
+            if (result.error) {
+                if (respond) return respond({ success: false, error: result.error });
+                return socket.emit('error', { message: result.error });
+            }
+
+            if (respond) {
+                respond({ success: true, optionIds: result.optionIds });
+            }
+        } catch (error) {
+            console.error('Error voting in poll:', error);
+            if (respond) return respond({ success: false, error: 'Failed to vote' });
+            socket.emit('error', { message: 'Failed to vote' });
+        }
+    });
+
+    // Handle closing a poll early
+    socket.on('closePoll', async (data) => {
+        try {
+            const { messageId } = data || {};
+            const result = await closePoll(socket.user, messageId);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error closing poll:', error);
+            socket.emit('error', { message: 'Failed to close poll' });
+        }
+    });
+
+    // Handle adding a reaction
+    socket.on('addReaction', async (data) => {
+        try {
+            const { messageId, emoji } = data;
+            const result = await addReaction(socket.user, messageId, emoji);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error adding reaction:', error);
+            socket.emit('error', { message: 'Failed to add reaction' });
+        }
+    });
+
+    // Handle removing a reaction
+    socket.on('removeReaction', async (data) => {
+        try {
+            const { messageId, emoji } = data;
+            const result = await removeReaction(socket.user, messageId, emoji);
+
+            if (result.error) {
+                return socket.emit('error', { message: result.error });
+            }
+        } catch (error) {
+            console.error('Error removing reaction:', error);
+            socket.emit('error', { message: 'Failed to remove reaction' });
+        }
+    });
+
+    // Handle opening a thread
+    socket.on('joinThread', async (data) => {
+        try {
+            const { messageId } = data;
+
+            if (!mongoose.Types.ObjectId.isValid(messageId)) {
+                return socket.emit('error', { message: 'Invalid message ID' });
+            }
+
+            const parent = await Message.findOne({ _id: messageId, room: socket.room || 'general' });
+            if (!parent) {
+                return socket.emit('error', { message: 'Thread not found in this room' });
+            }
+
+            // Only one thread is viewed at a time
+            if (socket.thread) {
+                socket.leave(threadChannel(socket.thread));
+            }
+
+            socket.join(threadChannel(parent._id));
+            socket.thread = parent._id.toString();
+        } catch (error) {
+            console.error('Error joining thread:', error);
+            socket.emit('error', { message: 'Failed to open thread' });
+        }
+    });
+
+    // Handle closing a thread
+    socket.on('leaveThread', () => {
+        if (socket.thread) {
+            socket.leave(threadChannel(socket.thread));
+            socket.thread = null;
         }
     });
 
@@ -550,29 +1596,55 @@ io.on('connection', (socket) => {
         });
     });
 
+    // The client reports going idle and coming back, which shows as away
+    socket.on('setIdle', async (data) => {
+        try {
+            await socket.connectionReady;
+            await setIdle(socket.user._id, socket.id, !!(data && data.idle));
+        } catch (error) {
+            console.error('Error updating idle state:', error);
+        }
+    });
+
+    // Heartbeats keep the connection from being swept as stale, and carry the
+    // client's idle state so it survives a reconnect
+    socket.on('heartbeat', async (data) => {
+        try {
+            await socket.connectionReady;
+            await recordHeartbeat(socket.user._id, socket);
+            if (data && typeof data.idle === 'boolean') {
+                await setIdle(socket.user._id, socket.id, data.idle);
+            }
+        } catch (error) {
+            console.error('Error recording heartbeat:', error);
+        }
+    });
+
     // Handle disconnection
     socket.on('disconnect', async () => {
         try {
             console.log('Client disconnected:', socket.id, 'User:', socket.user.username);
 
-            if (socket.user && socket.room) {
-                // Update user status in database
-                await User.findByIdAndUpdate(socket.user._id, {
-                    isOnline: false,
-                    lastSeen: new Date(),
-                    socketId: null
-                });
-
-                // Notify room about user leaving
-                socket.to(socket.room).emit('userLeft', {
-                    username: socket.user.username,
-                    message: `${socket.user.username} left the chat`,
-                    timestamp: new Date()
-                });
-
-                // Send updated user list to room
-                const users = await User.find({ room: socket.room }).select('username joinedAt').exec();
-                socket.to(socket.room).emit('userList', users);
+            if (socket.user) {
+                // The user stays online while another tab or device is connected
+                await socket.connectionReady;
+                const account = await removeConnection(socket.user._id, socket.id);
+                const stillInRoom = !!account && account.connections.some(connection => connection.room === socket.room);
+
+                if (socket.room && !stillInRoom) {
+                    // Notify room about user leaving
+                    socket.to(socket.room).emit('userLeft', {
+                        username: socket.user.username,
+                        message: `${socket.user.username} left the chat`,
+                        timestamp: new Date()
+                    });
+
+                    // Send updated user list to room
+                    const users = await listRoomUsers(socket.room);
+                    socket.to(socket.room).emit('userList', users);
+                }
+
+                await broadcastPresence(socket.user._id);
             }
         } catch (error) {
             console.error('Error handling disconnect:', error);
@@ -602,6 +1674,15 @@ server.listen(PORT, HOST, (err) => {
     }
 
     console.log(`✅ Server running on ${HOST}:${PORT}`);
+
+    // Post scheduled messages, including any that came due while the server was down
+    startScheduler();
+
+    // Remove disappearing messages, including any that expired while the server was down
+    startExpirySweeper();
+
+    // Take users offline whose connections died with this instance's last run, then keep sweeping stale ones
+    startPresenceSweeper();
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 
     if (process.env.NODE_ENV === 'production') {
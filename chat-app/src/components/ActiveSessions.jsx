@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import authService from '../services/authService';
+import './ActiveSessions.css';
+
+const formatTimeAgo = (timestamp) => {
+    const diffInMinutes = Math.floor((new Date() - new Date(timestamp)) / (1000 * 60));
+
+    if (diffInMinutes < 1) return 'Active now';
+    if (diffInMinutes < 60) return `Active ${diffInMinutes}m ago`;
+    if (diffInMinutes < 1440) return `Active ${Math.floor(diffInMinutes / 60)}h ago`;
+    return `Active ${Math.floor(diffInMinutes / 1440)}d ago`;
+};
+
+// Conversation rooms have generated names that mean nothing to the reader
+const describeRoom = (room) => {
+    if (!room) return 'Connecting';
+    return room.startsWith('dm:') || room.startsWith('gdm:') ? 'In a conversation' : `In #${room}`;
+};
+
+// The tabs and devices the user is signed in on right now
+const ActiveSessions = ({ currentSessionId }) => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchSessions = async () => {
+            try {
+                const token = authService.getToken();
+                const response = await fetch('/api/auth/sessions', {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+
+                const data = await response.json();
+
+                if (response.ok) {
+                    setSessions(data.sessions);
+                } else {
+                    setError(data.error || 'Could not load sessions');
+                }
+            } catch (fetchError) {
+                console.error('Error fetching sessions:', fetchError);
+                setError('Network error. Please try again.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchSessions();
+    }, []);
+
+    if (loading) {
+        return (
+            <div className="active-sessions-loading">
+                <i className="fas fa-spinner fa-spin"></i>
+                <span>Loading sessions...</span>
+            </div>
+        );
+    }
+
+    if (error) {
+        return <div className="active-sessions-error">{error}</div>;
+    }
+
+    return (
+        <ul className="active-sessions">
+            {sessions.map(session => (
+                <li key={session.id} className="active-session">
+                    <i className={`fas ${/Android|iOS/.test(session.device) ? 'fa-mobile-alt' : 'fa-desktop'}`}></i>
+                    <div className="active-session-details">
+                        <span className="active-session-device">
+                            {session.device}
+                            {session.id === currentSessionId && (
+                                <span className="active-session-current">This tab</span>
+                            )}
+                        </span>
+                        <span className="active-session-meta">
+                            {describeRoom(session.room)} · {session.isIdle ? 'Idle' : formatTimeAgo(session.lastActiveAt)}
+                        </span>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default ActiveSessions;
@@ -1,10 +1,100 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
 import socketService from '../services/socketService';
+import attachmentService, { formatFileSize } from '../services/attachmentService';
 import ChatRoomList from './ChatRoomList';
+import ThreadPanel from './ThreadPanel';
+import MessageReactions from './MessageReactions';
+import SearchPanel from './SearchPanel';
+import MentionsPanel from './MentionsPanel';
+import PinnedDrawer from './PinnedDrawer';
+import ScheduleSendMenu from './ScheduleSendMenu';
+import ScheduledMessagesPanel from './ScheduledMessagesPanel';
+import SavedMessagesPanel from './SavedMessagesPanel';
+import DisappearingTimerMenu, { formatTtl, effectiveTtl } from './DisappearingTimerMenu';
+import CreatePollModal from './CreatePollModal';
+import ForwardMessageModal from './ForwardMessageModal';
+import QuotedMessage from './QuotedMessage';
+import PollCard from './PollCard';
+import MentionSuggestions from './MentionSuggestions';
+import CommandSuggestions from './CommandSuggestions';
+import DirectMessageList from './DirectMessageList';
+import ConversationMembersModal from './ConversationMembersModal';
+import StatusMenu, { CustomStatus, avatarStatus, presenceLabel, activeCustomStatus } from './StatusMenu';
+import Avatar from './Avatar';
+import MessageText from './MessageText';
+import MessageAttachment from './MessageAttachment';
+import { NotificationContainer } from './Notification';
 import './Chat.css';
 
+// Scheduled messages still waiting to go out (or needing attention) are listed
+const PENDING_SCHEDULE_STATUSES = ['scheduled', 'sending', 'failed'];
+
+// Apply a scheduled message change, keeping the list in send order
+const applyScheduledMessage = (scheduledMessages, changed) => {
+    const others = scheduledMessages.filter(item => item._id !== changed._id);
+    if (!PENDING_SCHEDULE_STATUSES.includes(changed.status)) {
+        return others;
+    }
+    return [...others, changed].sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+};
+
+// Put a new or changed bookmark in the saved list, which is newest first
+const applyBookmark = (bookmarks, changed) => (
+    bookmarks.some(bookmark => bookmark._id === changed._id)
+        ? bookmarks.map(bookmark => (bookmark._id === changed._id ? changed : bookmark))
+        : [changed, ...bookmarks]
+);
+
+// Half-written messages are saved for their room once typing pauses for this long
+const DRAFT_SAVE_DELAY_MS = 1000;
+
+// Drafts are kept by room name; one with no text has been sent or discarded
+const applyDraft = (drafts, draft) => {
+    const next = { ...drafts };
+    if (draft.message) {
+        next[draft.room] = draft;
+    } else {
+        delete next[draft.room];
+    }
+    return next;
+};
+
+// Group conversations hold at most this many people, including the user
+const MAX_GROUP_SIZE = 8;
+
+// Put a new or changed conversation in the list, most recently active first.
+// Change events carry no unread counts, so the ones already known are kept.
+const applyConversation = (conversations, changed) => {
+    const existing = conversations.find(conversation => conversation._id === changed._id);
+    const updated = existing
+        ? { ...changed, unreadCount: existing.unreadCount, mentionCount: existing.mentionCount }
+        : changed;
+    return [updated, ...conversations.filter(conversation => conversation._id !== changed._id)]
+        .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+};
+
+// Without keyboard, mouse or touch input for this long the user shows as away
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+
+// Fold presence entries (from userList, conversations or presenceUpdated) into the map keyed by user id
+const applyPresence = (presence, entries) => entries.reduce((next, entry) => ({
+    ...next,
+    [entry.userId]: entry
+}), presence);
+
+// Add a saved message unless it is already shown. The sender gets it from both
+// the outbox ack and the room broadcast, so whichever arrives second is dropped.
+const appendMessage = (messages, saved) => (
+    messages.some(m => m._id === saved._id) ? messages : [...messages, saved]
+);
+
+const hasExpired = (message, now = Date.now()) => (
+    !!message.expiresAt && new Date(message.expiresAt).getTime() <= now
+);
+
 const Chat = () => {
     const [messages, setMessages] = useState([]);
     const [users, setUsers] = useState([]);
@@ -12,11 +102,66 @@ const Chat = () => {
     const [messageInput, setMessageInput] = useState('');
     const [typingUsers, setTypingUsers] = useState([]);
     const [isConnected, setIsConnected] = useState(false);
+    const [outbox, setOutbox] = useState([]);
     const [user, setUser] = useState(null);
     const [showRoomList, setShowRoomList] = useState(false);
+    const [editingMessageId, setEditingMessageId] = useState(null);
+    const [editInput, setEditInput] = useState('');
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const [hasMoreHistory, setHasMoreHistory] = useState(true);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [hasNewerHistory, setHasNewerHistory] = useState(false);
+    const [sidePanel, setSidePanel] = useState(null); // 'search' | 'mentions' | 'pins' | 'scheduled' | 'saved' | null
+    const [unreadMentions, setUnreadMentions] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const [mentionIndex, setMentionIndex] = useState(0);
+    const [showPreview, setShowPreview] = useState(false);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [roomId, setRoomId] = useState(null);
+    const [canModerate, setCanModerate] = useState(false);
+    const [canManage, setCanManage] = useState(false); // Pins and room settings
+    const [pins, setPins] = useState([]);
+    const [loadingPins, setLoadingPins] = useState(false);
+    const [lastReadAt, setLastReadAt] = useState(null);
+    const [stagedAttachment, setStagedAttachment] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const [scheduledMessages, setScheduledMessages] = useState([]);
+    const [showScheduleMenu, setShowScheduleMenu] = useState(false);
+    const [roomTtlSeconds, setRoomTtlSeconds] = useState(null);
+    const [messageTtlSeconds, setMessageTtlSeconds] = useState(null);
+    const [ttlMenu, setTtlMenu] = useState(null); // 'message' | 'room' | null
+    const [showPollModal, setShowPollModal] = useState(false);
+    const [commands, setCommands] = useState([]);
+    const [commandQuery, setCommandQuery] = useState(null);
+    const [commandIndex, setCommandIndex] = useState(0);
+    const [roomTopic, setRoomTopic] = useState('');
+    const [isRoomMuted, setIsRoomMuted] = useState(false);
+    const [quoting, setQuoting] = useState(null); // { room, message }
+    const [forwardingMessage, setForwardingMessage] = useState(null);
+    const [bookmarks, setBookmarks] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [conversations, setConversations] = useState([]);
+    const [membersModal, setMembersModal] = useState(null); // 'newGroup' | 'addPeople' | null
+    const [presence, setPresence] = useState({}); // user id -> { status, customStatus, ... }
+    const [showStatusMenu, setShowStatusMenu] = useState(false);
     
     const messagesEndRef = useRef(null);
+    const messagesContainerRef = useRef(null);
+    const scrollRestoreRef = useRef(null);
+    const lastMessageKeyRef = useRef(null);
+    const pendingJumpRef = useRef(null);
+    const hasNewerHistoryRef = useRef(false);
+    const lastMarkedReadRef = useRef(null);
+    const currentRoomRef = useRef(currentRoom);
+    const conversationsRef = useRef(conversations);
+    const doNotDisturbRef = useRef(false);
     const typingTimeoutRef = useRef(null);
+    const draftTimeoutRef = useRef(null);
+    const pendingDraftRef = useRef(null);
+    const inputRef = useRef(null);
+    const fileInputRef = useRef(null);
     const navigate = useNavigate();
 
     useEffect(() => {
@@ -26,100 +171,1332 @@ const Chat = () => {
             return;
         }
 
-        const currentUser = authService.getUser();
-        setUser(currentUser);
+        const currentUser = authService.getUser();
+        setUser(currentUser);
+
+        // Connect to socket
+        try {
+            const socket = socketService.connect();
+            setIsConnected(true);
+
+            socket.on('connect', () => setIsConnected(true));
+            socket.on('disconnect', () => setIsConnected(false));
+
+            // Join default room
+            socketService.joinRoom(currentRoomRef.current);
+
+            // Set up event listeners
+            socketService.onMessage((message) => {
+                // While reading older history, new messages wait for "Jump to latest"
+                if (hasNewerHistoryRef.current) return;
+                setMessages(prev => appendMessage(prev, message));
+            });
+
+            socketService.onPreviousMessages((messages) => {
+                // A search result in this room is waiting to be shown in context
+                if (pendingJumpRef.current) {
+                    const jump = pendingJumpRef.current;
+                    pendingJumpRef.current = null;
+                    loadMessagesAround(jump);
+                    return;
+                }
+
+                setMessages(messages);
+                setHasMoreHistory(true);
+                updateHasNewerHistory(false);
+            });
+
+            socketService.onMessageEdited((editedMessage) => {
+                setMessages(prev => prev.map(m =>
+                    m._id === editedMessage._id ? { ...m, ...editedMessage } : m
+                ));
+                setPins(prev => prev.map(pin =>
+                    pin.messageId === editedMessage._id
+                        ? { ...pin, message: { ...pin.message, ...editedMessage } }
+                        : pin
+                ));
+            });
+
+            socketService.onMessageDeleted((data) => {
+                setMessages(prev => prev.map(m => {
+                    if (m._id === data._id) {
+                        return { ...m, message: '', isDeleted: true, deletedAt: data.deletedAt };
+                    }
+                    // Quotes of it stop showing the text
+                    if (m.quote && m.quote.messageId === data._id) {
+                        return { ...m, quote: { ...m.quote, message: '', isDeleted: true } };
+                    }
+                    return m;
+                }));
+                setEditingMessageId(prev => (prev === data._id ? null : prev));
+            });
+
+            socketService.onPollUpdated((data) => {
+                setMessages(prev => prev.map(m =>
+                    m._id === data._id ? { ...m, poll: data.poll } : m
+                ));
+                setPins(prev => prev.map(pin =>
+                    pin.messageId === data._id
+                        ? { ...pin, message: { ...pin.message, poll: data.poll } }
+                        : pin
+                ));
+            });
+
+            socketService.onMessageExpired((data) => {
+                removeMessages([data._id]);
+                setActiveThreadId(prev => (prev === data._id ? null : prev));
+            });
+
+            socketService.onReactionsUpdated((data) => {
+                setMessages(prev => prev.map(m =>
+                    m._id === data._id ? { ...m, reactions: data.reactions } : m
+                ));
+            });
+
+            socketService.onMessagePinned((data) => {
+                if (data.room !== currentRoomRef.current) return;
+                setPins(prev => [data.pin, ...prev.filter(pin => pin.messageId !== data.pin.messageId)]);
+            });
+
+            socketService.onMessageUnpinned((data) => {
+                if (data.room !== currentRoomRef.current) return;
+                setPins(prev => prev.filter(pin => pin.messageId !== data.messageId));
+            });
+
+            socketService.onThreadUpdated((data) => {
+                setMessages(prev => prev.map(m =>
+                    m._id === data._id
+                        ? { ...m, replyCount: data.replyCount, lastReplyAt: data.lastReplyAt }
+                        : m
+                ));
+            });
+
+            socketService.onMentioned((data) => {
+                // Mentions in the room being read are seen right away
+                if (data.room === currentRoomRef.current && !document.hidden) {
+                    markMentionsRead(data.room);
+                    return;
+                }
+
+                setUnreadMentions(prev => [{ room: data.room, message: data.message }, ...prev]);
+                const inConversation = conversationsRef.current.some(conversation => conversation.name === data.room);
+                notifyUnlessDoNotDisturb({
+                    type: 'info',
+                    title: `${data.mentionedBy} mentioned you in ${inConversation ? 'a direct message' : `#${data.room}`}`,
+                    message: data.message.message
+                });
+            });
+
+            socketService.onUserJoined((data) => {
+                setMessages(prev => [...prev, {
+                    username: 'System',
+                    message: data.message,
+                    timestamp: data.timestamp,
+                    isSystem: true
+                }]);
+            });
+
+            socketService.onUserLeft((data) => {
+                setMessages(prev => [...prev, {
+                    username: 'System',
+                    message: data.message,
+                    timestamp: data.timestamp,
+                    isSystem: true
+                }]);
+            });
+
+            // Listen for user list updates
+            socketService.onUserList((userList) => {
+                setUsers(userList || []);
+                setPresence(prev => applyPresence(prev, (userList || []).filter(userItem => userItem.userId)));
+            });
+
+            // Someone who shares a room with the user went away, came back or changed their status
+            socketService.onPresenceUpdated((data) => {
+                setPresence(prev => applyPresence(prev, [data]));
+            });
+
+            socketService.onUserTyping((data) => {
+                if (data.isTyping) {
+                    setTypingUsers(prev => {
+                        if (!prev.includes(data.username)) {
+                            return [...prev, data.username];
+                        }
+                        return prev;
+                    });
+                } else {
+                    setTypingUsers(prev => prev.filter(u => u !== data.username));
+                }
+            });
+
+            socketService.onError((error) => {
+                console.error('Socket error:', error);
+            });
+
+            // Listen for room change confirmations
+            socket.on('roomChanged', (data) => {
+                console.log('Room changed:', data);
+                setCurrentRoom(data.room);
+                setRoomId(data.roomId || null);
+                setCanModerate(!!data.canModerate);
+                setCanManage(!!data.canManage);
+                setRoomTtlSeconds(data.messageTtlSeconds || null);
+                setMessageTtlSeconds(null); // A sender's timer is for the room it was picked in
+                setRoomTopic(data.topic || '');
+                setIsRoomMuted(!!data.isMuted);
+                setLastReadAt(data.lastReadAt || null); // Where the "New messages" divider goes
+                // Messages are not cleared here: previousMessages arrives before this event
+                setTypingUsers([]); // Clear typing indicators
+                setActiveThreadId(null); // Threads belong to the previous room
+
+                // Opened from elsewhere (a search result, say) before the list knew about it
+                if (data.type && data.type !== 'room' && !conversationsRef.current.some(conversation => conversation.name === data.room)) {
+                    fetchConversations();
+                }
+            });
+
+            socketService.onRoomSettingsUpdated((data) => {
+                if (data.room !== currentRoomRef.current) return;
+                setRoomTtlSeconds(data.messageTtlSeconds || null);
+                notifyUnlessDoNotDisturb({
+                    type: 'info',
+                    title: `Disappearing messages ${data.messageTtlSeconds ? 'on' : 'off'} in #${data.room}`,
+                    message: data.messageTtlSeconds
+                        ? `New messages disappear after ${formatTtl(data.messageTtlSeconds)}`
+                        : 'New messages stay until they are deleted'
+                });
+            });
+
+            socketService.onRoomTopicChanged((data) => {
+                if (data.room !== currentRoomRef.current) return;
+                setRoomTopic(data.topic);
+                setMessages(prev => [...prev, {
+                    username: 'System',
+                    message: `${data.changedBy} set the topic: ${data.topic}`,
+                    timestamp: new Date().toISOString(),
+                    isSystem: true
+                }]);
+            });
+
+            socketService.onRoomMuteChanged((data) => {
+                if (data.room === currentRoomRef.current) {
+                    setIsRoomMuted(data.muted);
+                }
+            });
+
+            socketService.onEphemeralMessage((notice) => {
+                // Notices for another room (or none) would be lost in the conversation
+                if (notice.room !== currentRoomRef.current) {
+                    showNotification({
+                        type: 'info',
+                        title: notice.room ? `#${notice.room}` : 'Only visible to you',
+                        message: notice.message
+                    });
+                    return;
+                }
+                setMessages(prev => [...prev, notice]);
+            });
+
+            socketService.onBookmarkUpdated((bookmark) => {
+                setBookmarks(prev => applyBookmark(prev, bookmark));
+            });
+
+            socketService.onBookmarkRemoved((data) => {
+                setBookmarks(prev => prev.filter(bookmark => bookmark._id !== data._id));
+            });
+
+            // Drafts typed on another device; the open room keeps what is in the box
+            socketService.onDraftUpdated((draft) => {
+                setDrafts(prev => applyDraft(prev, draft));
+            });
+
+            socketService.onConversationUpdated((conversation) => {
+                setConversations(prev => applyConversation(prev, conversation));
+                setPresence(prev => applyPresence(prev, conversation.participants.map(participant => participant.presence)));
+            });
+
+            socketService.onDirectMessage((data) => {
+                const isOpen = data.room === currentRoomRef.current;
+                setConversations(prev => prev.map(conversation => (
+                    conversation.name === data.room
+                        ? {
+                            ...conversation,
+                            unreadCount: isOpen ? 0 : conversation.unreadCount + 1,
+                            lastActivity: data.message.timestamp
+                        }
+                        : conversation
+                )).sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity)));
+
+                if (!isOpen) {
+                    notifyUnlessDoNotDisturb({
+                        type: 'info',
+                        title: data.message.username,
+                        message: data.message.message || 'Sent a file'
+                    });
+                }
+            });
+
+            // Another tab or device caught up with a conversation
+            socketService.onReadMarkerUpdated((data) => {
+                setConversations(prev => prev.map(conversation => (
+                    conversation.name === data.room ? { ...conversation, unreadCount: 0 } : conversation
+                )));
+            });
+
+            socketService.onScheduledMessageUpdated((scheduledMessage) => {
+                setScheduledMessages(prev => applyScheduledMessage(prev, scheduledMessage));
+                if (scheduledMessage.status === 'failed') {
+                    showNotification({
+                        type: 'error',
+                        title: `A scheduled message for #${scheduledMessage.room} was not sent`,
+                        message: scheduledMessage.error
+                    });
+                }
+            });
+
+        } catch (error) {
+            console.error('Connection error:', error);
+            navigate('/login');
+        }
+
+        // Messages written earlier (even before a reload) show as pending until sent
+        setOutbox(socketService.getOutbox());
+
+        const handleOutboxChange = (entries, sentMessage) => {
+            setOutbox(entries);
+            if (sentMessage && sentMessage.room === currentRoomRef.current && !hasNewerHistoryRef.current) {
+                setMessages(prev => appendMessage(prev, sentMessage));
+            }
+        };
+        socketService.onOutboxChange(handleOutboxChange);
+
+        // Cleanup on unmount
+        return () => {
+            socketService.offOutboxChange(handleOutboxChange);
+            socketService.disconnect();
+        };
+    }, [navigate]);
+
+    useEffect(() => {
+        // Socket listeners live for the whole connection and read the room from here
+        currentRoomRef.current = currentRoom;
+
+        // The open conversation is being read, so it has nothing unread
+        setConversations(prev => prev.map(conversation => (
+            conversation.name === currentRoom ? { ...conversation, unreadCount: 0 } : conversation
+        )));
+    }, [currentRoom]);
+
+    useEffect(() => {
+        conversationsRef.current = conversations;
+    }, [conversations]);
+
+    useEffect(() => {
+        doNotDisturbRef.current = !!user && !!presence[user.id] && presence[user.id].status === 'dnd';
+    }, [presence, user]);
+
+    // Show as away after a while without input, and as online again on the next keypress or click
+    useEffect(() => {
+        let isIdle = false;
+        let idleTimeout = null;
+
+        const handleActivity = () => {
+            if (isIdle) {
+                isIdle = false;
+                socketService.setIdle(false);
+            }
+            clearTimeout(idleTimeout);
+            idleTimeout = setTimeout(() => {
+                isIdle = true;
+                socketService.setIdle(true);
+            }, IDLE_AFTER_MS);
+        };
+
+        ACTIVITY_EVENTS.forEach(eventName => window.addEventListener(eventName, handleActivity, { passive: true }));
+        handleActivity();
+
+        return () => {
+            ACTIVITY_EVENTS.forEach(eventName => window.removeEventListener(eventName, handleActivity));
+            clearTimeout(idleTimeout);
+        };
+    }, []);
+
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current;
+
+        // Bring a search result into view once its page has rendered
+        if (highlightedMessageId && container) {
+            const target = container.querySelector(`[data-message-id="${highlightedMessageId}"]`);
+            if (target) {
+                const lastMessage = messages[messages.length - 1];
+                lastMessageKeyRef.current = lastMessage ? (lastMessage._id || lastMessage.timestamp) : null;
+                target.scrollIntoView({ block: 'center' });
+                return;
+            }
+        }
+
+        // Keep the reader's place after older messages are prepended
+        if (scrollRestoreRef.current && container) {
+            const { scrollHeight, scrollTop } = scrollRestoreRef.current;
+            scrollRestoreRef.current = null;
+            container.style.scrollBehavior = 'auto';
+            container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+            container.style.scrollBehavior = '';
+            return;
+        }
+
+        // Only follow the conversation when a new message (or a queued one) arrives at the bottom
+        const queued = outbox.filter(entry => entry.room === currentRoom);
+        const lastMessage = queued[queued.length - 1] || messages[messages.length - 1];
+        const lastMessageKey = lastMessage ? (lastMessage._id || lastMessage.clientMessageId || lastMessage.timestamp) : null;
+        if (lastMessageKey !== lastMessageKeyRef.current) {
+            lastMessageKeyRef.current = lastMessageKey;
+            scrollToBottom();
+        }
+    }, [messages, outbox, highlightedMessageId]);
+
+    useEffect(() => {
+        fetchUnreadMentions();
+        fetchScheduledMessages();
+        fetchCommands();
+        fetchBookmarks();
+        fetchDrafts();
+        fetchConversations();
+        fetchOwnPresence();
+
+        // Save what is still waiting for a pause in typing before the page goes away
+        window.addEventListener('pagehide', flushDraft);
+        return () => {
+            window.removeEventListener('pagehide', flushDraft);
+            flushDraft();
+        };
+    }, []);
+
+    useEffect(() => {
+        // Loaded again on opening so deleted messages and rooms left since show as such
+        if (sidePanel === 'saved') {
+            fetchBookmarks();
+        }
+    }, [sidePanel]);
+
+    useEffect(() => {
+        fetchPins();
+    }, [roomId]);
+
+    useEffect(() => {
+        // Messages count as read once they are on screen in a visible tab
+        markLatestRead();
+
+        const handleVisibilityChange = () => markLatestRead();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, [messages, currentRoom]);
+
+    useEffect(() => {
+        // Opening a room reads its mentions
+        if (unreadMentions.some(mention => mention.room === currentRoom)) {
+            markMentionsRead(currentRoom);
+        }
+    }, [currentRoom]);
+
+    useEffect(() => {
+        // Hide disappearing messages on time even if the server's notice is late
+        const expiries = messages
+            .filter(m => m.expiresAt)
+            .map(m => new Date(m.expiresAt).getTime());
+        if (expiries.length === 0) return;
+
+        const delay = Math.max(0, Math.min(...expiries) - Date.now());
+        const timeout = setTimeout(() => {
+            const now = Date.now();
+            removeMessages(messages.filter(m => hasExpired(m, now)).map(m => m._id));
+        }, delay);
+        return () => clearTimeout(timeout);
+    }, [messages]);
+
+    useEffect(() => {
+        if (!highlightedMessageId) return;
+
+        // Fade the search highlight after a moment
+        const timeout = setTimeout(() => setHighlightedMessageId(null), 4000);
+        return () => clearTimeout(timeout);
+    }, [highlightedMessageId]);
+
+    // Take disappearing messages out of the conversation and the pinned list
+    const removeMessages = (messageIds) => {
+        if (messageIds.length === 0) return;
+        setMessages(prev => prev.filter(m => !messageIds.includes(m._id)));
+        setPins(prev => prev.filter(pin => !messageIds.includes(pin.messageId)));
+        setEditingMessageId(prev => (messageIds.includes(prev) ? null : prev));
+    };
+
+    const scrollToBottom = () => {
+        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const loadOlderMessages = async () => {
+        const oldest = messages.find(m => m._id);
+        if (loadingOlder || !hasMoreHistory || !oldest) return;
+
+        try {
+            setLoadingOlder(true);
+            const token = authService.getToken();
+            const response = await fetch(
+                `/api/messages/${encodeURIComponent(currentRoom)}?before=${oldest._id}&limit=30`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                }
+            );
+
+            const data = await response.json();
+
+            if (response.ok) {
+                const container = messagesContainerRef.current;
+                scrollRestoreRef.current = {
+                    scrollHeight: container.scrollHeight,
+                    scrollTop: container.scrollTop
+                };
+                setMessages(prev => {
+                    // Drop the page if the room changed while it was loading
+                    const currentOldest = prev.find(m => m._id);
+                    if (!currentOldest || currentOldest._id !== oldest._id) {
+                        scrollRestoreRef.current = null;
+                        return prev;
+                    }
+                    return [...data.messages, ...prev];
+                });
+                setHasMoreHistory(data.hasMore);
+            } else {
+                console.error('Error loading older messages:', data.error);
+            }
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    const updateHasNewerHistory = (value) => {
+        hasNewerHistoryRef.current = value;
+        setHasNewerHistory(value);
+    };
+
+    // Replace the message list with the page around a message and highlight it
+    const loadMessagesAround = async ({ room, messageId, highlightId, threadId }) => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch(
+                `/api/messages/${encodeURIComponent(room)}?around=${messageId}&limit=40`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                }
+            );
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setMessages(data.messages);
+                setHasMoreHistory(data.hasMore);
+                updateHasNewerHistory(data.hasNewer);
+                setHighlightedMessageId(highlightId);
+                if (threadId) {
+                    setActiveThreadId(threadId);
+                }
+            } else {
+                console.error('Error loading message context:', data.error);
+            }
+        } catch (error) {
+            console.error('Error loading message context:', error);
+        }
+    };
+
+    const handleJumpToMessage = (result) => {
+        // Replies are shown by opening their thread next to the parent message
+        const jump = {
+            room: result.room,
+            messageId: result.parentId || result._id,
+            highlightId: result.parentId || result._id,
+            threadId: result.parentId || null
+        };
+
+        setSidePanel(null);
+
+        if (result.room !== currentRoom) {
+            pendingJumpRef.current = jump;
+            handleRoomChange(result.room);
+        } else {
+            loadMessagesAround(jump);
+        }
+    };
+
+    const handleJumpToLatest = () => {
+        setHighlightedMessageId(null);
+        updateHasNewerHistory(false);
+        socketService.joinRoom(currentRoom);
+    };
+
+    const fetchPins = async () => {
+        // Rooms without a ChatRoom record cannot have pins
+        if (!roomId) {
+            setPins([]);
+            return;
+        }
+
+        try {
+            setLoadingPins(true);
+            const token = authService.getToken();
+            const response = await fetch(`/api/rooms/${roomId}/pins`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setPins(data.pins);
+            } else {
+                console.error('Error fetching pins:', data.error);
+                setPins([]);
+            }
+        } catch (error) {
+            console.error('Error fetching pins:', error);
+        } finally {
+            setLoadingPins(false);
+        }
+    };
+
+    const markLatestRead = () => {
+        // Reading older history does not move the marker
+        if (document.hidden || hasNewerHistoryRef.current) return;
+
+        const latest = [...messages].reverse().find(m => m._id && !m.isSystem);
+        if (!latest || latest.room !== currentRoom || latest._id === lastMarkedReadRef.current) return;
+
+        lastMarkedReadRef.current = latest._id;
+        socketService.markRead(currentRoom, latest._id);
+    };
+
+    const isPinned = (message) => pins.some(pin => pin.messageId === message._id);
+
+    const handleTogglePin = (message) => {
+        if (isPinned(message)) {
+            socketService.unpinMessage(message._id);
+        } else {
+            socketService.pinMessage(message._id);
+        }
+    };
+
+    const fetchUnreadMentions = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/mentions', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setUnreadMentions(data.mentions);
+            }
+        } catch (error) {
+            console.error('Error fetching mentions:', error);
+        }
+    };
+
+    const fetchScheduledMessages = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/scheduled-messages', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setScheduledMessages(data.scheduledMessages);
+            }
+        } catch (error) {
+            console.error('Error fetching scheduled messages:', error);
+        }
+    };
+
+    const fetchBookmarks = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/bookmarks', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setBookmarks(data.bookmarks);
+            }
+        } catch (error) {
+            console.error('Error fetching bookmarks:', error);
+        }
+    };
+
+    const fetchConversations = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/conversations', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setConversations(data.conversations.map(conversation => (
+                    conversation.name === currentRoomRef.current ? { ...conversation, unreadCount: 0 } : conversation
+                )));
+                setPresence(prev => applyPresence(prev, data.conversations.flatMap(conversation => (
+                    conversation.participants.map(participant => participant.presence)
+                ))));
+            }
+        } catch (error) {
+            console.error('Error fetching conversations:', error);
+        }
+    };
+
+    const fetchOwnPresence = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/presence/me', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setPresence(prev => applyPresence(prev, [data.presence]));
+            }
+        } catch (error) {
+            console.error('Error fetching status:', error);
+        }
+    };
+
+    // Returns an error message, or null once the status is saved
+    const handleSaveStatus = async (changes) => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/presence/me', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(changes)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                return data.error || 'Could not update your status';
+            }
+
+            setPresence(prev => applyPresence(prev, [data.presence]));
+            return null;
+        } catch (error) {
+            console.error('Error updating status:', error);
+            return 'Network error. Please try again.';
+        }
+    };
+
+    const fetchDrafts = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/drafts', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                const byRoom = data.drafts.reduce(applyDraft, {});
+                setDrafts(byRoom);
+
+                // Pick up where the user left off, possibly on another device
+                const draft = byRoom[currentRoomRef.current];
+                if (draft) {
+                    setMessageInput(prev => prev || draft.message);
+                }
+            }
+        } catch (error) {
+            console.error('Error fetching drafts:', error);
+        }
+    };
+
+    // Store a room's draft; blank text removes it
+    const saveDraft = async (room, text) => {
+        const message = text.trim() ? text : '';
+        setDrafts(prev => applyDraft(prev, { room, message, updatedAt: new Date().toISOString() }));
+
+        try {
+            const token = authService.getToken();
+            const response = await fetch(`/api/drafts/${encodeURIComponent(room)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ message }),
+                // Lets a save started as the page closes finish
+                keepalive: true
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                console.error('Error saving draft:', data.error);
+            }
+        } catch (error) {
+            console.error('Error saving draft:', error);
+        }
+    };
+
+    const scheduleDraftSave = (room, text) => {
+        clearTimeout(draftTimeoutRef.current);
+        pendingDraftRef.current = { room, text };
+        draftTimeoutRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+    };
+
+    // Save the draft waiting for a pause in typing right away
+    const flushDraft = () => {
+        clearTimeout(draftTimeoutRef.current);
+        const pending = pendingDraftRef.current;
+        pendingDraftRef.current = null;
+        if (pending) {
+            saveDraft(pending.room, pending.text);
+        }
+    };
+
+    // The text was sent (or turned into a command or scheduled message)
+    const clearDraft = (room) => {
+        clearTimeout(draftTimeoutRef.current);
+        pendingDraftRef.current = null;
+        if (drafts[room]) {
+            saveDraft(room, '');
+        }
+    };
+
+    const bookmarkFor = (message) => bookmarks.find(bookmark => bookmark.messageId === message._id);
+
+    // Save a message for later, or take it off the saved list
+    const handleToggleBookmark = async (message) => {
+        const bookmark = bookmarkFor(message);
+
+        try {
+            const token = authService.getToken();
+            const response = await fetch(bookmark ? `/api/bookmarks/${bookmark._id}` : '/api/bookmarks', {
+                method: bookmark ? 'DELETE' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: bookmark ? undefined : JSON.stringify({ messageId: message._id })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                showNotification({ type: 'error', title: 'Could not update saved messages', message: data.error });
+                return;
+            }
+
+            if (bookmark) {
+                setBookmarks(prev => prev.filter(item => item._id !== bookmark._id));
+            } else {
+                setBookmarks(prev => applyBookmark(prev, data.bookmark));
+            }
+        } catch (error) {
+            console.error('Error updating bookmark:', error);
+            showNotification({ type: 'error', title: 'Could not update saved messages', message: 'Network error. Please try again.' });
+        }
+    };
+
+    const fetchCommands = async () => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/commands', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setCommands(data.commands);
+            }
+        } catch (error) {
+            console.error('Error fetching commands:', error);
+        }
+    };
+
+    // Post the message in the input later instead of now
+    const handleScheduleMessage = async (sendAt) => {
+        const text = messageInput.trim();
+        if (!text) return;
+
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/scheduled-messages', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ room: currentRoom, message: text, sendAt: sendAt.toISOString() })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                showNotification({ type: 'error', title: 'Could not schedule message', message: data.error });
+                return;
+            }
+
+            setScheduledMessages(prev => applyScheduledMessage(prev, data.scheduledMessage));
+            setShowScheduleMenu(false);
+            setMessageInput('');
+            clearDraft(currentRoom);
+            setMentionQuery(null);
+            socketService.sendTyping(false);
+            showNotification({
+                type: 'success',
+                title: 'Message scheduled',
+                message: `It will be posted in #${currentRoom} on ${sendAt.toLocaleString([], {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: '2-digit'
+                })}`
+            });
+        } catch (error) {
+            console.error('Error scheduling message:', error);
+            showNotification({ type: 'error', title: 'Could not schedule message', message: 'Network error. Please try again.' });
+        }
+    };
+
+    // Mark mentions as read, for one room or (without a room) everywhere
+    const markMentionsRead = async (room = null) => {
+        setUnreadMentions(prev => (room ? prev.filter(mention => mention.room !== room) : []));
+
+        try {
+            const token = authService.getToken();
+            await fetch('/api/mentions/read', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(room ? { room } : {})
+            });
+        } catch (error) {
+            console.error('Error marking mentions read:', error);
+        }
+    };
+
+    const showNotification = (notification) => {
+        const id = `${Date.now()}-${Math.random()}`;
+        setNotifications(prev => [...prev, {
+            ...notification,
+            id,
+            onClose: () => setNotifications(current => current.filter(n => n.id !== id))
+        }]);
+    };
+
+    // For news about other people's activity; results of the user's own actions always show
+    const notifyUnlessDoNotDisturb = (notification) => {
+        if (!doNotDisturbRef.current) {
+            showNotification(notification);
+        }
+    };
+
+    const mentionSuggestions = mentionQuery === null ? [] : [
+        'here',
+        'room',
+        ...users.map(userItem => userItem.username || userItem)
+    ]
+        .filter((name, index, names) => names.indexOf(name) === index)
+        .filter(name => name !== user.username)
+        .filter(name => name.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+        .slice(0, 6);
+
+    // Find an `@partial` name right before the caret
+    const updateMentionQuery = (value, caret) => {
+        const match = value.slice(0, caret).match(/(^|\s)@([\w.-]*)$/);
+        setMentionQuery(match ? match[2] : null);
+        setMentionIndex(0);
+    };
+
+    const handleSelectMention = (name) => {
+        const input = inputRef.current;
+        const caret = input ? input.selectionStart : messageInput.length;
+        const beforeCaret = messageInput.slice(0, caret).replace(/@([\w.-]*)$/, `@${name} `);
+        const nextValue = beforeCaret + messageInput.slice(caret);
+
+        setMessageInput(nextValue);
+        setMentionQuery(null);
+
+        // Put the caret after the inserted mention
+        requestAnimationFrame(() => {
+            if (input) {
+                input.focus();
+                input.setSelectionRange(beforeCaret.length, beforeCaret.length);
+            }
+        });
+    };
+
+    const commandSuggestions = commandQuery === null ? [] : commands
+        .filter(command => command.name.startsWith(commandQuery.toLowerCase()))
+        .filter(command => !command.moderatorOnly || canModerate);
+
+    // Commands are only suggested while the first word is being typed
+    const updateCommandQuery = (value) => {
+        const match = value.match(/^\/(\w*)$/);
+        setCommandQuery(match ? match[1] : null);
+        setCommandIndex(0);
+    };
+
+    const handleSelectCommand = (command) => {
+        const nextValue = `/${command.name} `;
+        setMessageInput(nextValue);
+        setCommandQuery(null);
+
+        requestAnimationFrame(() => {
+            if (inputRef.current) {
+                inputRef.current.focus();
+                inputRef.current.setSelectionRange(nextValue.length, nextValue.length);
+            }
+        });
+    };
+
+    const handleInputKeyDown = (e) => {
+        // The command and mention lists share the same keys
+        const picker = commandSuggestions.length > 0
+            ? {
+                count: commandSuggestions.length,
+                setIndex: setCommandIndex,
+                select: () => handleSelectCommand(commandSuggestions[commandIndex]),
+                close: () => setCommandQuery(null)
+            }
+            : mentionSuggestions.length > 0
+                ? {
+                    count: mentionSuggestions.length,
+                    setIndex: setMentionIndex,
+                    select: () => handleSelectMention(mentionSuggestions[mentionIndex]),
+                    close: () => setMentionQuery(null)
+                }
+                : null;
+
+        if (!picker) {
+            // Enter sends, Shift+Enter starts a new line
+            if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                handleSendMessage(e);
+            }
+            return;
+        }
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            picker.setIndex(prev => (prev + 1) % picker.count);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            picker.setIndex(prev => (prev - 1 + picker.count) % picker.count);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            picker.select();
+        } else if (e.key === 'Escape') {
+            picker.close();
+        }
+    };
 
-        // Connect to socket
-        try {
-            const socket = socketService.connect();
-            setIsConnected(true);
+    // A notice in the conversation that only this user sees
+    const addEphemeralMessage = (room, text) => {
+        setMessages(prev => [...prev, {
+            ephemeralId: `local-${Date.now()}-${Math.random()}`,
+            room,
+            message: text,
+            timestamp: new Date().toISOString(),
+            isEphemeral: true
+        }]);
+    };
 
-            // Join default room
-            socketService.joinRoom(currentRoom);
+    const handleDismissEphemeral = (ephemeralId) => {
+        setMessages(prev => prev.filter(m => m.ephemeralId !== ephemeralId));
+    };
 
-            // Set up event listeners
-            socketService.onMessage((message) => {
-                setMessages(prev => [...prev, message]);
+    // Slash commands run on the server right away instead of waiting in the outbox
+    const handleRunCommand = async (text) => {
+        if (!isConnected) {
+            showNotification({
+                type: 'error',
+                title: 'Commands need a connection',
+                message: 'Try again once you are back online.'
             });
+            return;
+        }
 
-            socketService.onPreviousMessages((messages) => {
-                setMessages(messages);
-            });
+        const room = currentRoom;
+        setMessageInput('');
+        clearDraft(room);
+        setCommandQuery(null);
+        setMentionQuery(null);
+        socketService.sendTyping(false);
+        if (typingTimeoutRef.current) {
+            clearTimeout(typingTimeoutRef.current);
+        }
 
-            socketService.onUserJoined((data) => {
-                setMessages(prev => [...prev, {
-                    username: 'System',
-                    message: data.message,
-                    timestamp: data.timestamp,
-                    isSystem: true
-                }]);
-            });
+        if (hasNewerHistoryRef.current) {
+            handleJumpToLatest();
+        }
 
-            socketService.onUserLeft((data) => {
-                setMessages(prev => [...prev, {
-                    username: 'System',
-                    message: data.message,
-                    timestamp: data.timestamp,
-                    isSystem: true
-                }]);
-            });
+        const response = await socketService.sendMessage(text, { room, ttlSeconds: messageTtlSeconds });
 
-            // Listen for user list updates
-            socketService.onUserList((userList) => {
-                setUsers(userList || []);
-            });
+        if (!response || !response.success) {
+            // Give the command back so it can be fixed
+            setMessageInput(prev => prev || text);
+            addEphemeralMessage(room, (response && response.error && response.error.message) || 'The command failed');
+            return;
+        }
 
-            socketService.onUserTyping((data) => {
-                if (data.isTyping) {
-                    setTypingUsers(prev => {
-                        if (!prev.includes(data.username)) {
-                            return [...prev, data.username];
-                        }
-                        return prev;
-                    });
-                } else {
-                    setTypingUsers(prev => prev.filter(u => u !== data.username));
-                }
-            });
+        if (response.message) {
+            setMessages(prev => appendMessage(prev, response.message));
+        }
 
-            socketService.onError((error) => {
-                console.error('Socket error:', error);
+        if (response.action && response.action.type === 'switchRoom') {
+            handleRoomChange(response.action.room);
+            if (response.reply) {
+                showNotification({ type: 'info', title: response.reply.message });
+            }
+            return;
+        }
+
+        if (response.reply && room === currentRoomRef.current) {
+            setMessages(prev => [...prev, response.reply]);
+        }
+    };
+
+    const mentionsCurrentUser = (message) => (
+        !!message.groupMention || (message.mentions || []).includes(user.id)
+    );
+
+    const handleMessagesScroll = (e) => {
+        if (e.target.scrollTop < 80) {
+            loadOlderMessages();
+        }
+    };
+
+    const handleRetryMessage = (entry) => {
+        socketService.retryOutboxMessage(entry.clientMessageId);
+    };
+
+    const handleDiscardMessage = (clientMessageId) => {
+        socketService.discardOutboxMessage(clientMessageId);
+    };
+
+    // Upload a file right away and keep it with the message being written
+    const handleAttachFile = async (file) => {
+        if (!file || uploading) return;
+
+        try {
+            setUploading(true);
+            const attachment = await attachmentService.upload(file, currentRoom);
+            setStagedAttachment({ room: currentRoom, attachment });
+            if (inputRef.current) inputRef.current.focus();
+        } catch (error) {
+            showNotification({
+                type: 'error',
+                title: `Could not attach ${file.name || 'file'}`,
+                message: error.message
             });
+        } finally {
+            setUploading(false);
+        }
+    };
 
-            // Listen for room change confirmations
-            socket.on('roomChanged', (data) => {
-                console.log('Room changed:', data);
-                setCurrentRoom(data.room);
-                setMessages([]); // Clear messages when room changes
-                setTypingUsers([]); // Clear typing indicators
+    const handleFileSelected = (e) => {
+        handleAttachFile(e.target.files[0]);
+        e.target.value = '';
+    };
+
+    const handleInputPaste = (e) => {
+        const file = e.clipboardData.files[0];
+        if (file) {
+            e.preventDefault();
+            handleAttachFile(file);
+        }
+    };
+
+    const hasDraggedFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+    const handleDragOver = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        setIsDraggingFile(true);
+    };
+
+    const handleDragLeave = (e) => {
+        // Moving between children fires dragleave too; only react when leaving the area
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setIsDraggingFile(false);
+        }
+    };
+
+    const handleDrop = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        setIsDraggingFile(false);
+        handleAttachFile(e.dataTransfer.files[0]);
+    };
+
+    // Change the room's default disappearing-message timer (moderators only)
+    const handleRoomTtlChange = async (ttlSeconds) => {
+        setTtlMenu(null);
+
+        try {
+            const token = authService.getToken();
+            const response = await fetch(`/api/rooms/${roomId}/settings`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ messageTtlSeconds: ttlSeconds })
             });
 
+            const data = await response.json();
+
+            if (!response.ok) {
+                showNotification({ type: 'error', title: 'Could not change the message timer', message: data.error });
+                return;
+            }
+
+            // Everyone in the room, including this tab, also hears about it over the socket
+            setRoomTtlSeconds(data.settings.messageTtlSeconds);
         } catch (error) {
-            console.error('Connection error:', error);
-            navigate('/login');
+            console.error('Error updating room settings:', error);
+            showNotification({ type: 'error', title: 'Could not change the message timer', message: 'Network error. Please try again.' });
         }
+    };
 
-        // Cleanup on unmount
-        return () => {
-            socketService.disconnect();
-        };
-    }, [navigate, currentRoom]);
+    // Post a poll right away. Resolves with an error message, or null once it is posted.
+    const handleCreatePoll = async (question, poll) => {
+        if (hasNewerHistoryRef.current) {
+            handleJumpToLatest();
+        }
 
-    useEffect(() => {
-        scrollToBottom();
-    }, [messages]);
+        const response = await socketService.sendMessage(question, {
+            room: currentRoom,
+            poll,
+            ttlSeconds: messageTtlSeconds
+        });
 
-    const scrollToBottom = () => {
-        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+        if (!response || !response.success) {
+            return (response && response.error && response.error.message) || 'Failed to post poll';
+        }
+
+        setMessages(prev => appendMessage(prev, response.message));
+        setShowPollModal(false);
+        return null;
+    };
+
+    const handleMessageTtlChange = (ttlSeconds) => {
+        setMessageTtlSeconds(ttlSeconds);
+        setTtlMenu(null);
+        if (inputRef.current) inputRef.current.focus();
+    };
+
+    // Uploads are tied to the room they were made for
+    const attachmentForRoom = stagedAttachment && stagedAttachment.room === currentRoom
+        ? stagedAttachment.attachment
+        : null;
+
+    // So is the message being quoted
+    const quoteForRoom = quoting && quoting.room === currentRoom ? quoting.message : null;
+
+    const handleStartQuote = (message) => {
+        setQuoting({ room: currentRoom, message });
+        if (inputRef.current) inputRef.current.focus();
+    };
+
+    const handleJumpToQuote = (quote) => {
+        handleJumpToMessage({ _id: quote.messageId, room: quote.room, parentId: quote.parentId });
+    };
+
+    // Copy a message into another room. Resolves with an error message, or null once it is posted.
+    const handleForwardMessage = async (room) => {
+        const response = await socketService.forwardMessage(forwardingMessage._id, room);
+
+        if (!response || !response.success) {
+            return (response && response.error && response.error.message) || 'Failed to forward message';
+        }
+
+        if (room === currentRoomRef.current && !hasNewerHistoryRef.current) {
+            setMessages(prev => appendMessage(prev, response.message));
+        }
+        setForwardingMessage(null);
+        showNotification({ type: 'success', title: `Forwarded to #${room}` });
+        return null;
     };
 
     const handleSendMessage = (e) => {
         e.preventDefault();
         
-        if (!messageInput.trim()) return;
+        if ((!messageInput.trim() && !attachmentForRoom) || uploading) return;
+
+        // "//" sends text that starts with a slash
+        const text = messageInput.trim();
+        if (text.startsWith('/') && !text.startsWith('//')) {
+            handleRunCommand(text);
+            return;
+        }
+
+        // New messages go at the bottom, so leave older history first
+        if (hasNewerHistoryRef.current) {
+            handleJumpToLatest();
+        }
+
+        // Shown as pending from the outbox until the server confirms it
+        socketService.queueMessage(
+            currentRoom,
+            messageInput.trim(),
+            attachmentForRoom,
+            messageTtlSeconds,
+            quoteForRoom && {
+                messageId: quoteForRoom._id,
+                room: quoteForRoom.room,
+                parentId: quoteForRoom.parentId || null,
+                username: quoteForRoom.username,
+                message: quoteForRoom.message,
+                timestamp: quoteForRoom.timestamp
+            }
+        );
 
-        socketService.sendMessage(messageInput.trim());
         setMessageInput('');
+        clearDraft(currentRoom);
+        setStagedAttachment(null);
+        setQuoting(null);
+        setMentionQuery(null);
         
         // Stop typing indicator
         socketService.sendTyping(false);
@@ -130,6 +1507,9 @@ const Chat = () => {
 
     const handleInputChange = (e) => {
         setMessageInput(e.target.value);
+        updateMentionQuery(e.target.value, e.target.selectionStart);
+        updateCommandQuery(e.target.value);
+        scheduleDraftSave(currentRoom, e.target.value);
         
         // Send typing indicator
         socketService.sendTyping(true);
@@ -145,6 +1525,38 @@ const Chat = () => {
         }, 1000);
     };
 
+    const handleStartEdit = (message) => {
+        setEditingMessageId(message._id);
+        setEditInput(message.message);
+    };
+
+    const handleCancelEdit = () => {
+        setEditingMessageId(null);
+        setEditInput('');
+    };
+
+    const handleSaveEdit = (e) => {
+        e.preventDefault();
+
+        if (!editInput.trim()) return;
+
+        socketService.editMessage(editingMessageId, editInput.trim());
+        handleCancelEdit();
+    };
+
+    const handleDeleteMessage = (messageId) => {
+        if (window.confirm('Delete this message? This cannot be undone.')) {
+            socketService.deleteMessage(messageId);
+        }
+    };
+
+    const isOwnMessage = (message) => {
+        if (message.userId) {
+            return message.userId === user.id;
+        }
+        return message.username === user.username;
+    };
+
     const handleLogout = async () => {
         try {
             await authService.logout();
@@ -155,50 +1567,122 @@ const Chat = () => {
         }
     };
 
+    // Keep what was typed in the room being left and bring back the next room's draft
+    const switchDraft = (roomName) => {
+        flushDraft();
+        setMessageInput(drafts[roomName] ? drafts[roomName].message : '');
+        setMentionQuery(null);
+        setCommandQuery(null);
+    };
+
     const handleRoomChange = (roomName) => {
         if (roomName !== currentRoom) {
+            switchDraft(roomName);
             setCurrentRoom(roomName);
             setMessages([]); // Clear messages when switching rooms
             setTypingUsers([]); // Clear typing indicators
+            setActiveThreadId(null);
+            setHighlightedMessageId(null);
+            setPins([]); // Reloaded once the server confirms the room
+            setLastReadAt(null);
             socketService.joinRoom(roomName);
         }
     };
 
     const handleRoomJoined = (roomName) => {
+        switchDraft(roomName);
         setCurrentRoom(roomName);
         setMessages([]); // Clear messages when joining new room
         setTypingUsers([]); // Clear typing indicators
+        setActiveThreadId(null);
     };
 
+    // Open the one-to-one conversation with someone, starting it the first time
     const handleStartPrivateChat = async (targetUsername) => {
         try {
-            // Create or find a private room for the two users
-            const roomName = `private_${[user.username, targetUsername].sort().join('_')}`;
-
-            // For now, we'll show an alert. Later this can be enhanced to create actual private rooms
-            alert(`Private chat with ${targetUsername} will be implemented soon!\n\nRoom would be: ${roomName}`);
-
-            // TODO: Implement private room creation and joining
-            // const response = await fetch('/api/rooms/private', {
-            //     method: 'POST',
-            //     headers: {
-            //         'Content-Type': 'application/json',
-            //         'Authorization': `Bearer ${authService.getToken()}`
-            //     },
-            //     body: JSON.stringify({
-            //         participants: [user.username, targetUsername],
-            //         name: roomName
-            //     })
-            // });
-            //
-            // if (response.ok) {
-            //     const room = await response.json();
-            //     handleRoomChange(room.name);
-            // }
+            const token = authService.getToken();
+            const response = await fetch('/api/conversations/direct', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ username: targetUsername })
+            });
+
+            const data = await response.json();
 
+            if (!response.ok) {
+                showNotification({ type: 'error', title: 'Could not open conversation', message: data.error });
+                return;
+            }
+
+            setConversations(prev => applyConversation(prev, data.conversation));
+            setShowRoomList(true);
+            handleRoomChange(data.conversation.name);
         } catch (error) {
             console.error('Error starting private chat:', error);
-            alert('Failed to start private chat. Please try again.');
+            showNotification({ type: 'error', title: 'Could not open conversation', message: 'Please try again.' });
+        }
+    };
+
+    const handleCreateGroup = async (usernames) => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch('/api/conversations/group', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ usernames })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                return data.error || 'Could not start the conversation';
+            }
+
+            setConversations(prev => applyConversation(prev, data.conversation));
+            setMembersModal(null);
+            handleRoomChange(data.conversation.name);
+            return null;
+        } catch (error) {
+            console.error('Error starting group conversation:', error);
+            return 'Network error. Please try again.';
+        }
+    };
+
+    const handleAddPeople = async (usernames, includeHistory) => {
+        try {
+            const token = authService.getToken();
+            const response = await fetch(`/api/conversations/${currentConversation._id}/members`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ usernames, includeHistory })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                return data.error || 'Could not add people';
+            }
+
+            setConversations(prev => applyConversation(prev, data.conversation));
+            setMembersModal(null);
+            showNotification({
+                type: 'success',
+                title: 'People added',
+                message: `${data.added.join(', ')} ${data.added.length === 1 ? 'was' : 'were'} added to the conversation`
+            });
+            return null;
+        } catch (error) {
+            console.error('Error adding people:', error);
+            return 'Network error. Please try again.';
         }
     };
 
@@ -209,6 +1693,30 @@ const Chat = () => {
         });
     };
 
+    // Set when the open room is a direct conversation
+    const currentConversation = conversations.find(conversation => conversation.name === currentRoom) || null;
+    const ownPresence = user ? presence[user.id] || null : null;
+    const ownStatus = ownPresence ? activeCustomStatus(ownPresence.customStatus) : null;
+
+    // Timer that will apply to the message being written
+    const composerTtlSeconds = effectiveTtl(messageTtlSeconds, roomTtlSeconds);
+
+    // The divider goes above the first message from someone else since the last visit
+    const firstUnreadIndex = user && lastReadAt
+        ? messages.findIndex(m => (
+            m._id && !m.isSystem && !isOwnMessage(m) && new Date(m.timestamp) > new Date(lastReadAt)
+        ))
+        : -1;
+
+    // Queued messages for this room follow the conversation until they are saved
+    const displayedMessages = [
+        ...messages,
+        ...outbox.filter(entry => (
+            entry.room === currentRoom &&
+            !messages.some(m => m.clientMessageId === entry.clientMessageId)
+        ))
+    ];
+
     if (!user) {
         return <div className="loading">Loading...</div>;
     }
@@ -226,18 +1734,138 @@ const Chat = () => {
                         <i className={`fas ${showRoomList ? 'fa-times' : 'fa-bars'}`}></i>
                     </button>
                     <h3>
-                        <i className="fas fa-hashtag"></i>
-                        {currentRoom}
+                        {currentConversation ? (
+                            <>
+                                <i className={`fas ${currentConversation.type === 'group' ? 'fa-users' : 'fa-user'}`}></i>
+                                {currentConversation.title}
+                                {currentConversation.type === 'group' && currentConversation.participants.length < MAX_GROUP_SIZE && (
+                                    <button
+                                        className="room-add-people-btn"
+                                        onClick={() => setMembersModal('addPeople')}
+                                        title="Add people"
+                                    >
+                                        <i className="fas fa-user-plus"></i>
+                                    </button>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                <i className="fas fa-hashtag"></i>
+                                {currentRoom}
+                            </>
+                        )}
+                        {roomId && (
+                            <button
+                                className={`room-pins-btn ${sidePanel === 'pins' ? 'active' : ''}`}
+                                onClick={() => setSidePanel(sidePanel === 'pins' ? null : 'pins')}
+                                title="Pinned messages"
+                            >
+                                <i className="fas fa-thumbtack"></i>
+                                {pins.length > 0 && <span>{pins.length}</span>}
+                            </button>
+                        )}
+                        {roomId && (canManage || roomTtlSeconds) && (
+                            <span className="room-ttl">
+                                <button
+                                    className={`room-ttl-btn ${ttlMenu === 'room' ? 'active' : ''}`}
+                                    onClick={() => setTtlMenu(ttlMenu === 'room' ? null : 'room')}
+                                    disabled={!canManage}
+                                    title={roomTtlSeconds
+                                        ? `Messages disappear after ${formatTtl(roomTtlSeconds)}`
+                                        : 'Turn on disappearing messages'}
+                                >
+                                    <i className="fas fa-hourglass-half"></i>
+                                    {roomTtlSeconds && <span>{formatTtl(roomTtlSeconds)}</span>}
+                                </button>
+                                {ttlMenu === 'room' && (
+                                    <DisappearingTimerMenu
+                                        className="from-header"
+                                        title="Disappearing messages"
+                                        value={roomTtlSeconds}
+                                        onSelect={handleRoomTtlChange}
+                                        onClose={() => setTtlMenu(null)}
+                                    />
+                                )}
+                            </span>
+                        )}
+                        {isRoomMuted && (
+                            <span className="room-muted" title="Mentions in this room do not notify you. Type /mute to unmute.">
+                                <i className="fas fa-bell-slash"></i>
+                            </span>
+                        )}
                     </h3>
                     <span className="user-count">
                         {users.length} user{users.length !== 1 ? 's' : ''} online
+                        {roomTopic && (
+                            <span className="room-topic" title={roomTopic}>{roomTopic}</span>
+                        )}
                     </span>
                 </div>
                 <div className="header-right">
-                    <span className="current-user">
-                        <i className="fas fa-user"></i>
-                        {user.username}
-                    </span>
+                    <button
+                        className={`header-icon-btn ${sidePanel === 'search' ? 'active' : ''}`}
+                        onClick={() => setSidePanel(sidePanel === 'search' ? null : 'search')}
+                        title="Search messages"
+                    >
+                        <i className="fas fa-search"></i>
+                    </button>
+                    <button
+                        className={`header-icon-btn ${sidePanel === 'mentions' ? 'active' : ''}`}
+                        onClick={() => setSidePanel(sidePanel === 'mentions' ? null : 'mentions')}
+                        title="Mentions"
+                    >
+                        <i className="fas fa-at"></i>
+                        {unreadMentions.length > 0 && (
+                            <span className="header-badge">
+                                {unreadMentions.length > 99 ? '99+' : unreadMentions.length}
+                            </span>
+                        )}
+                    </button>
+                    <button
+                        className={`header-icon-btn ${sidePanel === 'scheduled' ? 'active' : ''}`}
+                        onClick={() => setSidePanel(sidePanel === 'scheduled' ? null : 'scheduled')}
+                        title="Scheduled messages"
+                    >
+                        <i className="far fa-clock"></i>
+                        {scheduledMessages.length > 0 && (
+                            <span className="header-badge">
+                                {scheduledMessages.length > 99 ? '99+' : scheduledMessages.length}
+                            </span>
+                        )}
+                    </button>
+                    <button
+                        className={`header-icon-btn ${sidePanel === 'saved' ? 'active' : ''}`}
+                        onClick={() => setSidePanel(sidePanel === 'saved' ? null : 'saved')}
+                        title="Saved messages"
+                    >
+                        <i className="far fa-bookmark"></i>
+                    </button>
+                    <div className="current-user-status">
+                        <button
+                            type="button"
+                            className="current-user"
+                            onClick={() => setShowStatusMenu(!showStatusMenu)}
+                            title={`${presenceLabel(ownPresence && ownPresence.status)}. Set a status`}
+                        >
+                            <Avatar
+                                name={user.username}
+                                size="xs"
+                                status={avatarStatus(ownPresence ? ownPresence.status : 'online')}
+                            />
+                            {user.username}
+                            {ownStatus && ownStatus.emoji && (
+                                <span className="current-user-emoji">{ownStatus.emoji}</span>
+                            )}
+                        </button>
+                        {showStatusMenu && (
+                            <StatusMenu
+                                presence={ownPresence}
+                                currentSessionId={socketService.getSocketId()}
+                                onSave={handleSaveStatus}
+                                onClose={() => setShowStatusMenu(false)}
+                            />
+                        )}
+                    </div>
                     <button onClick={handleLogout} className="logout-btn">
                         <i className="fas fa-sign-out-alt"></i>
                         Logout
@@ -249,11 +1877,23 @@ const Chat = () => {
                 {/* Sidebar */}
                 <div className={`sidebar ${showRoomList ? 'show-rooms' : 'show-users'}`}>
                     {showRoomList ? (
-                        <ChatRoomList
-                            currentRoom={currentRoom}
-                            onRoomChange={handleRoomChange}
-                            onRoomJoined={handleRoomJoined}
-                        />
+                        <>
+                            <ChatRoomList
+                                currentRoom={currentRoom}
+                                onRoomChange={handleRoomChange}
+                                onRoomJoined={handleRoomJoined}
+                                drafts={drafts}
+                            />
+                            <DirectMessageList
+                                conversations={conversations}
+                                currentRoom={currentRoom}
+                                currentUserId={user.id}
+                                drafts={drafts}
+                                presence={presence}
+                                onOpen={handleRoomChange}
+                                onNewGroup={() => setMembersModal('newGroup')}
+                            />
+                        </>
                     ) : (
                         <div className="sidebar-section">
                             <h4>
@@ -274,11 +1914,20 @@ const Chat = () => {
                                         style={{
                                             cursor: (userItem.username || userItem) === user.username ? 'default' : 'pointer'
                                         }}
-                                        title={(userItem.username || userItem) === user.username ? 'This is you' : `Start private chat with ${userItem.username || userItem}`}
+                                        title={(userItem.username || userItem) === user.username ? 'This is you' : `Send a direct message to ${userItem.username || userItem}`}
                                     >
-                                        <i className="fas fa-circle online-indicator"></i>
-                                        {userItem.username || userItem}
-                                        {(userItem.username || userItem) === user.username && ' (You)'}
+                                        <Avatar
+                                            name={userItem.username || userItem}
+                                            size="xs"
+                                            status={avatarStatus((presence[userItem.userId] || userItem).status)}
+                                        />
+                                        <span className="user-item-name">
+                                            {userItem.username || userItem}
+                                            {(userItem.username || userItem) === user.username && ' (You)'}
+                                            {userItem.userId && (
+                                                <CustomStatus customStatus={(presence[userItem.userId] || userItem).customStatus} />
+                                            )}
+                                        </span>
                                     </div>
                                 ))}
                             </div>
@@ -287,31 +1936,283 @@ const Chat = () => {
                 </div>
 
                 {/* Chat Area */}
-                <div className="chat-area">
-                    <div className="messages">
-                        {messages.map((message, index) => (
-                            <div 
-                                key={index} 
-                                className={`message ${message.isSystem ? 'system-message' : ''}`}
-                            >
-                                {!message.isSystem && (
-                                    <div className="message-header">
-                                        <span className="message-username">
-                                            {message.username}
-                                        </span>
-                                        <span className="message-time">
-                                            {formatTime(message.timestamp)}
-                                        </span>
+                <div
+                    className={`chat-area ${isDraggingFile ? 'dragging-file' : ''}`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={handleDragLeave}
+                    onDrop={handleDrop}
+                >
+                    {isDraggingFile && (
+                        <div className="drop-overlay">
+                            <i className="fas fa-cloud-upload-alt"></i>
+                            Drop a file to attach it to {currentConversation ? `your conversation with ${currentConversation.title}` : `#${currentRoom}`}
+                        </div>
+                    )}
+                    <div
+                        className="messages"
+                        ref={messagesContainerRef}
+                        onScroll={handleMessagesScroll}
+                    >
+                        {loadingOlder && (
+                            <div className="history-loader">
+                                <i className="fas fa-spinner fa-spin"></i>
+                                Loading older messages...
+                            </div>
+                        )}
+                        {!hasMoreHistory && (
+                            <div className="history-start">
+                                This is the beginning of {currentConversation ? `your conversation with ${currentConversation.title}` : `#${currentRoom}`}
+                            </div>
+                        )}
+                        {displayedMessages.map((message, index) => (
+                            <React.Fragment key={message._id || message.clientMessageId || message.ephemeralId || index}>
+                                {index === firstUnreadIndex && (
+                                    <div className="new-messages-divider">
+                                        <span>New messages</span>
                                     </div>
                                 )}
-                                <div className="message-content">
-                                    {message.message}
-                                </div>
-                            </div>
+                                {message.isEphemeral ? (
+                                    <div className="message ephemeral-message">
+                                        <div className="message-header">
+                                            <span className="ephemeral-label">
+                                                <i className="fas fa-eye"></i>
+                                                Only visible to you
+                                            </span>
+                                            <span className="message-time">
+                                                {formatTime(message.timestamp)}
+                                            </span>
+                                            <button
+                                                className="ephemeral-dismiss"
+                                                onClick={() => handleDismissEphemeral(message.ephemeralId)}
+                                                title="Dismiss"
+                                            >
+                                                <i className="fas fa-times"></i>
+                                            </button>
+                                        </div>
+                                        <div className="message-content">
+                                            <MessageText text={message.message} currentUsername={user.username} />
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div
+                                        data-message-id={message._id}
+                                        className={`message ${message.isSystem ? 'system-message' : ''} ${message.isDeleted ? 'deleted-message' : ''} ${message._id && message._id === highlightedMessageId ? 'highlighted' : ''} ${!message.isSystem && mentionsCurrentUser(message) ? 'mentions-me' : ''} ${message.status || ''}`}
+                                    >
+                                        {!message.isSystem && (
+                                            <div className="message-header">
+                                                <span className="message-username">
+                                                    {message.username}
+                                                </span>
+                                                <span className="message-time">
+                                                    {formatTime(message.timestamp)}
+                                                </span>
+                                                {message.status === 'pending' && (
+                                                    <span className="message-status" title={isConnected ? 'Sending...' : 'Waiting for connection'}>
+                                                        <i className="far fa-clock"></i>
+                                                    </span>
+                                                )}
+                                                {message.editedAt && !message.isDeleted && (
+                                                    <span
+                                                        className="message-edited"
+                                                        title={`Edited ${new Date(message.editedAt).toLocaleString()}`}
+                                                    >
+                                                        (edited)
+                                                    </span>
+                                                )}
+                                                {message.expiresAt && (
+                                                    <span
+                                                        className="message-expiry"
+                                                        title={`Disappears ${new Date(message.expiresAt).toLocaleString()}`}
+                                                    >
+                                                        <i className="fas fa-hourglass-half"></i>
+                                                    </span>
+                                                )}
+                                                {message.status === 'pending' && message.ttlSeconds && (
+                                                    <span className="message-expiry" title={`Will disappear ${formatTtl(message.ttlSeconds)} after it is sent`}>
+                                                        <i className="fas fa-hourglass-half"></i>
+                                                    </span>
+                                                )}
+                                                {message._id && isPinned(message) && (
+                                                    <span className="message-pinned" title="Pinned to this room">
+                                                        <i className="fas fa-thumbtack"></i>
+                                                    </span>
+                                                )}
+                                                {message._id && bookmarkFor(message) && (
+                                                    <span className="message-saved" title="In your saved messages">
+                                                        <i className="fas fa-bookmark"></i>
+                                                    </span>
+                                                )}
+                                                {message._id && !message.isDeleted && editingMessageId !== message._id && (
+                                                    <div className="message-actions">
+                                                        <button
+                                                            onClick={() => setActiveThreadId(message._id)}
+                                                            title="Reply in thread"
+                                                        >
+                                                            <i className="fas fa-reply"></i>
+                                                        </button>
+                                                        {/* Disappearing messages are not copied elsewhere */}
+                                                        {!message.expiresAt && (
+                                                            <button
+                                                                onClick={() => handleStartQuote(message)}
+                                                                title="Quote"
+                                                            >
+                                                                <i className="fas fa-quote-right"></i>
+                                                            </button>
+                                                        )}
+                                                        {!message.expiresAt && !message.poll && (
+                                                            <button
+                                                                onClick={() => setForwardingMessage(message)}
+                                                                title="Forward to another room"
+                                                            >
+                                                                <i className="fas fa-share"></i>
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handleToggleBookmark(message)}
+                                                            title={bookmarkFor(message) ? 'Remove from saved messages' : 'Save message'}
+                                                        >
+                                                            <i className={`${bookmarkFor(message) ? 'fas' : 'far'} fa-bookmark`}></i>
+                                                        </button>
+                                                        {canManage && (
+                                                            <button
+                                                                onClick={() => handleTogglePin(message)}
+                                                                title={isPinned(message) ? 'Unpin message' : 'Pin message'}
+                                                            >
+                                                                <i className={`fas fa-thumbtack ${isPinned(message) ? 'active' : ''}`}></i>
+                                                            </button>
+                                                        )}
+                                                        {isOwnMessage(message) && (
+                                                            <>
+                                                                {!message.poll && (
+                                                                    <button
+                                                                        onClick={() => handleStartEdit(message)}
+                                                                        title="Edit message"
+                                                                    >
+                                                                        <i className="fas fa-pen"></i>
+                                                                    </button>
+                                                                )}
+                                                                <button
+                                                                    onClick={() => handleDeleteMessage(message._id)}
+                                                                    title="Delete message"
+                                                                >
+                                                                    <i className="fas fa-trash"></i>
+                                                                </button>
+                                                            </>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                        {editingMessageId === message._id ? (
+                                            <form onSubmit={handleSaveEdit} className="message-edit-form">
+                                                <textarea
+                                                    rows={Math.min(editInput.split('\n').length, 6)}
+                                                    value={editInput}
+                                                    onChange={(e) => setEditInput(e.target.value)}
+                                                    onKeyDown={(e) => {
+                                                        if (e.key === 'Escape') {
+                                                            handleCancelEdit();
+                                                        } else if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                                                            handleSaveEdit(e);
+                                                        }
+                                                    }}
+                                                    autoFocus
+                                                />
+                                                <button type="submit" disabled={!editInput.trim()} title="Save">
+                                                    <i className="fas fa-check"></i>
+                                                </button>
+                                                <button type="button" onClick={handleCancelEdit} title="Cancel">
+                                                    <i className="fas fa-times"></i>
+                                                </button>
+                                            </form>
+                                        ) : (
+                                            <div className="message-content">
+                                                {message.isDeleted ? (
+                                                    <span className="message-tombstone">
+                                                        <i className="fas fa-ban"></i>
+                                                        This message was deleted
+                                                    </span>
+                                                ) : (
+                                                    <>
+                                                        {message.forwardedFrom && (
+                                                            <button
+                                                                type="button"
+                                                                className="message-forwarded"
+                                                                onClick={() => handleJumpToMessage({
+                                                                    _id: message.forwardedFrom.messageId,
+                                                                    room: message.forwardedFrom.room
+                                                                })}
+                                                                title="Go to the original message"
+                                                            >
+                                                                <i className="fas fa-share"></i>
+                                                                Forwarded from #{message.forwardedFrom.room} · {message.forwardedFrom.username}
+                                                            </button>
+                                                        )}
+                                                        {message.quote && (
+                                                            <QuotedMessage
+                                                                quote={message.quote}
+                                                                currentRoom={currentRoom}
+                                                                onJump={message._id ? handleJumpToQuote : null}
+                                                            />
+                                                        )}
+                                                        {message.message && message.isAction && (
+                                                            <div className="message-action-text">
+                                                                <span className="message-action-name">* {(message.forwardedFrom || message).username}</span>
+                                                                <MessageText text={message.message} currentUsername={user.username} />
+                                                            </div>
+                                                        )}
+                                                        {message.message && !message.isAction && (
+                                                            <MessageText text={message.message} currentUsername={user.username} />
+                                                        )}
+                                                        {message.attachment && (
+                                                            <MessageAttachment attachment={message.attachment} />
+                                                        )}
+                                                        {message.poll && (
+                                                            <PollCard message={message} currentUser={user} canModerate={canModerate} />
+                                                        )}
+                                                    </>
+                                                )}
+                                            </div>
+                                        )}
+                                        {message.status === 'failed' && (
+                                            <div className="message-send-error">
+                                                <i className="fas fa-exclamation-circle"></i>
+                                                <span>{message.error}</span>
+                                                <button onClick={() => handleRetryMessage(message)}>Retry</button>
+                                                <button onClick={() => handleDiscardMessage(message.clientMessageId)}>Discard</button>
+                                            </div>
+                                        )}
+                                        {message._id && !message.isDeleted && (
+                                            <MessageReactions message={message} currentUser={user} />
+                                        )}
+                                        {message.replyCount > 0 && (
+                                            <button
+                                                className="thread-summary"
+                                                onClick={() => setActiveThreadId(message._id)}
+                                            >
+                                                <i className="fas fa-comments"></i>
+                                                {message.replyCount} repl{message.replyCount === 1 ? 'y' : 'ies'}
+                                                {message.lastReplyAt && (
+                                                    <span className="thread-summary-time">
+                                                        Last reply {formatTime(message.lastReplyAt)}
+                                                    </span>
+                                                )}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </React.Fragment>
                         ))}
                         <div ref={messagesEndRef} />
                     </div>
 
+                    {hasNewerHistory && (
+                        <button className="jump-to-latest" onClick={handleJumpToLatest}>
+                            <i className="fas fa-arrow-down"></i>
+                            You're viewing older messages. Jump to latest
+                        </button>
+                    )}
+
                     {/* Typing Indicator */}
                     {typingUsers.length > 0 && (
                         <div className="typing-indicator">
@@ -322,21 +2223,255 @@ const Chat = () => {
 
                     {/* Message Input */}
                     <div className="message-input-container">
+                        {!isConnected && (
+                            <div className="offline-notice">
+                                <i className="fas fa-plug"></i>
+                                You're offline. Messages you send will be delivered when you reconnect.
+                            </div>
+                        )}
+                        {ttlMenu === 'message' && (
+                            <DisappearingTimerMenu
+                                title="Disappear after"
+                                value={messageTtlSeconds}
+                                maxSeconds={roomTtlSeconds}
+                                onSelect={handleMessageTtlChange}
+                                onClose={() => setTtlMenu(null)}
+                            />
+                        )}
+                        {showScheduleMenu && (
+                            <ScheduleSendMenu
+                                onSchedule={handleScheduleMessage}
+                                onClose={() => setShowScheduleMenu(false)}
+                            />
+                        )}
+                        <CommandSuggestions
+                            suggestions={commandSuggestions}
+                            activeIndex={commandIndex}
+                            onSelect={handleSelectCommand}
+                        />
+                        <MentionSuggestions
+                            suggestions={mentionSuggestions}
+                            activeIndex={mentionIndex}
+                            onSelect={handleSelectMention}
+                        />
+                        {quoteForRoom && (
+                            <div className="composer-quote">
+                                <QuotedMessage
+                                    quote={{
+                                        messageId: quoteForRoom._id,
+                                        room: quoteForRoom.room,
+                                        username: quoteForRoom.username,
+                                        message: quoteForRoom.message,
+                                        timestamp: quoteForRoom.timestamp
+                                    }}
+                                    currentRoom={currentRoom}
+                                />
+                                <button type="button" onClick={() => setQuoting(null)} title="Cancel quote">
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            </div>
+                        )}
+                        {showPreview && messageInput.trim() && (
+                            <div className="message-preview">
+                                <span className="message-preview-label">Preview</span>
+                                <MessageText text={messageInput} currentUsername={user.username} />
+                            </div>
+                        )}
+                        {(attachmentForRoom || uploading) && (
+                            <div className="staged-attachment">
+                                {uploading ? (
+                                    <>
+                                        <i className="fas fa-spinner fa-spin"></i>
+                                        <span>Uploading...</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <i className="fas fa-paperclip"></i>
+                                        <span className="staged-attachment-name">{attachmentForRoom.filename}</span>
+                                        <span className="staged-attachment-size">{formatFileSize(attachmentForRoom.size)}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => setStagedAttachment(null)}
+                                            title="Remove attachment"
+                                        >
+                                            <i className="fas fa-times"></i>
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
                         <form onSubmit={handleSendMessage} className="message-input">
                             <input
-                                type="text"
+                                ref={fileInputRef}
+                                type="file"
+                                className="file-input"
+                                onChange={handleFileSelected}
+                            />
+                            <button
+                                type="button"
+                                className="attach-btn"
+                                onClick={() => fileInputRef.current && fileInputRef.current.click()}
+                                disabled={uploading}
+                                title="Attach a file (or drop or paste one)"
+                            >
+                                <i className="fas fa-paperclip"></i>
+                            </button>
+                            <button
+                                type="button"
+                                className="poll-btn"
+                                onClick={() => setShowPollModal(true)}
+                                title="Create a poll"
+                            >
+                                <i className="fas fa-poll"></i>
+                            </button>
+                            <textarea
+                                ref={inputRef}
+                                rows={1}
                                 value={messageInput}
                                 onChange={handleInputChange}
-                                placeholder="Type your message..."
-                                disabled={!isConnected}
+                                onKeyDown={handleInputKeyDown}
+                                onPaste={handleInputPaste}
+                                onBlur={() => setMentionQuery(null)}
+                                placeholder="Type your message... (Markdown supported, Shift+Enter for a new line, / for commands)"
                             />
-                            <button type="submit" disabled={!isConnected || !messageInput.trim()}>
+                            <button
+                                type="button"
+                                className={`preview-toggle ${showPreview ? 'active' : ''}`}
+                                onClick={() => setShowPreview(prev => !prev)}
+                                title={showPreview ? 'Hide preview' : 'Show preview'}
+                            >
+                                <i className={`fas ${showPreview ? 'fa-eye-slash' : 'fa-eye'}`}></i>
+                            </button>
+                            <button
+                                type="button"
+                                className={`ttl-btn ${composerTtlSeconds ? 'active' : ''}`}
+                                onClick={() => setTtlMenu(ttlMenu === 'message' ? null : 'message')}
+                                title={composerTtlSeconds
+                                    ? `Disappears ${formatTtl(composerTtlSeconds)} after sending`
+                                    : 'Send as a disappearing message'}
+                            >
+                                <i className="fas fa-hourglass-half"></i>
+                                {composerTtlSeconds && <span>{formatTtl(composerTtlSeconds)}</span>}
+                            </button>
+                            <button
+                                type="button"
+                                className={`schedule-btn ${showScheduleMenu ? 'active' : ''}`}
+                                onClick={() => setShowScheduleMenu(prev => !prev)}
+                                disabled={!messageInput.trim() || !!attachmentForRoom}
+                                title={attachmentForRoom ? 'Messages with attachments cannot be scheduled' : 'Schedule send'}
+                            >
+                                <i className="far fa-clock"></i>
+                            </button>
+                            <button type="submit" disabled={(!messageInput.trim() && !attachmentForRoom) || uploading}>
                                 <i className="fas fa-paper-plane"></i>
                             </button>
                         </form>
                     </div>
                 </div>
+
+                {/* Search Panel */}
+                {sidePanel === 'search' && (
+                    <SearchPanel
+                        onJumpToMessage={handleJumpToMessage}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {/* Mentions Panel */}
+                {sidePanel === 'mentions' && (
+                    <MentionsPanel
+                        mentions={unreadMentions}
+                        onJumpToMessage={handleJumpToMessage}
+                        onMarkAllRead={() => markMentionsRead()}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {/* Pinned Messages Drawer */}
+                {sidePanel === 'pins' && (
+                    <PinnedDrawer
+                        pins={pins}
+                        loading={loadingPins}
+                        canPin={canManage}
+                        currentUsername={user.username}
+                        onJumpToMessage={handleJumpToMessage}
+                        onUnpin={(messageId) => socketService.unpinMessage(messageId)}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {/* Scheduled Messages Panel */}
+                {sidePanel === 'scheduled' && (
+                    <ScheduledMessagesPanel
+                        scheduledMessages={scheduledMessages}
+                        onScheduledMessageChange={(scheduledMessage) => (
+                            setScheduledMessages(prev => applyScheduledMessage(prev, scheduledMessage))
+                        )}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {/* Saved Messages Panel */}
+                {sidePanel === 'saved' && (
+                    <SavedMessagesPanel
+                        bookmarks={bookmarks}
+                        onJumpToMessage={handleJumpToMessage}
+                        onBookmarkChange={(bookmark) => setBookmarks(prev => applyBookmark(prev, bookmark))}
+                        onBookmarkRemove={(bookmarkId) => (
+                            setBookmarks(prev => prev.filter(bookmark => bookmark._id !== bookmarkId))
+                        )}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {/* Thread Panel */}
+                {!sidePanel && activeThreadId && (
+                    <ThreadPanel
+                        messageId={activeThreadId}
+                        onClose={() => setActiveThreadId(null)}
+                    />
+                )}
             </div>
+
+            {forwardingMessage && (
+                <ForwardMessageModal
+                    message={forwardingMessage}
+                    onForward={handleForwardMessage}
+                    onClose={() => setForwardingMessage(null)}
+                />
+            )}
+
+            {membersModal === 'newGroup' && (
+                <ConversationMembersModal
+                    title="New group conversation"
+                    submitLabel="Start conversation"
+                    minPeople={2}
+                    maxPeople={MAX_GROUP_SIZE - 1}
+                    onSubmit={handleCreateGroup}
+                    onClose={() => setMembersModal(null)}
+                />
+            )}
+
+            {membersModal === 'addPeople' && currentConversation && (
+                <ConversationMembersModal
+                    title={`Add people to ${currentConversation.title}`}
+                    submitLabel="Add"
+                    maxPeople={MAX_GROUP_SIZE - currentConversation.participants.length}
+                    showHistoryOption
+                    onSubmit={handleAddPeople}
+                    onClose={() => setMembersModal(null)}
+                />
+            )}
+
+            {showPollModal && (
+                <CreatePollModal
+                    room={currentRoom}
+                    onCreate={handleCreatePoll}
+                    onClose={() => setShowPollModal(false)}
+                />
+            )}
+
+            <NotificationContainer notifications={notifications} />
         </div>
     );
 };
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import CreateChatRoomForm from './CreateChatRoomForm';
+import authService from '../services/authService';
+import socketService from '../services/socketService';
 import './ChatRoomList.css';
 
-const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
+const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined, drafts = {} }) => {
     const [rooms, setRooms] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -13,6 +15,39 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
         fetchRooms();
     }, []);
 
+    useEffect(() => {
+        // The open room is being read, so it has nothing unread
+        setRooms(prevRooms => prevRooms.map(room =>
+            room.name === currentRoom ? { ...room, unreadCount: 0, mentionCount: 0 } : room
+        ));
+
+        const currentUser = authService.getUser();
+
+        const handleRoomActivity = (data) => {
+            if (data.room === currentRoom || (currentUser && data.userId === currentUser.id)) return;
+            setRooms(prevRooms => prevRooms.map(room =>
+                room.name === data.room
+                    ? { ...room, unreadCount: room.unreadCount + 1, lastActivity: data.timestamp }
+                    : room
+            ));
+        };
+
+        // Another tab or device caught up with a room
+        const handleReadMarkerUpdated = (data) => {
+            setRooms(prevRooms => prevRooms.map(room =>
+                room.name === data.room ? { ...room, unreadCount: 0 } : room
+            ));
+        };
+
+        socketService.onRoomActivity(handleRoomActivity);
+        socketService.onReadMarkerUpdated(handleReadMarkerUpdated);
+
+        return () => {
+            socketService.off('roomActivity', handleRoomActivity);
+            socketService.off('readMarkerUpdated', handleReadMarkerUpdated);
+        };
+    }, [currentRoom]);
+
     const fetchRooms = async () => {
         try {
             setLoading(true);
@@ -26,7 +61,9 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
             const data = await response.json();
 
             if (response.ok) {
-                setRooms(data.rooms);
+                setRooms(data.rooms.map(room =>
+                    room.name === currentRoom ? { ...room, unreadCount: 0, mentionCount: 0 } : room
+                ));
                 setError('');
             } else {
                 setError(data.error || 'Failed to fetch rooms');
@@ -59,7 +96,7 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
                 setRooms(prevRooms => 
                     prevRooms.map(room => 
                         room._id === roomId 
-                            ? { ...room, memberCount: room.memberCount + 1 }
+                            ? { ...room, memberCount: room.memberCount + 1, isMember: true }
                             : room
                     )
                 );
@@ -99,7 +136,7 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
                 setRooms(prevRooms => 
                     prevRooms.map(room => 
                         room._id === roomId 
-                            ? { ...room, memberCount: Math.max(0, room.memberCount - 1) }
+                            ? { ...room, memberCount: Math.max(0, room.memberCount - 1), isMember: false, unreadCount: 0, mentionCount: 0 }
                             : room
                     )
                 );
@@ -194,7 +231,11 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
                             key={room._id}
                             className={`room-item ${currentRoom === room.name ? 'active' : ''}`}
                             onClick={() => {
-                                if (currentRoom !== room.name) {
+                                if (currentRoom === room.name) return;
+                                // Members just switch rooms; joining is only for new rooms
+                                if (room.isMember) {
+                                    onRoomChange(room.name);
+                                } else {
                                     handleJoinRoom(room._id, room.name);
                                 }
                             }}
@@ -202,9 +243,24 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
                         >
                             <div className="room-info">
                                 <div className="room-header">
-                                    <h5 className="room-name">
+                                    <h5 className={`room-name ${room.unreadCount > 0 ? 'unread' : ''}`}>
                                         <i className={`fas ${room.isPrivate ? 'fa-lock' : 'fa-hashtag'}`}></i>
                                         {room.name}
+                                        {drafts[room.name] && room.name !== currentRoom && (
+                                            <span className="room-draft" title={`Draft: ${drafts[room.name].message}`}>
+                                                <i className="fas fa-pen"></i>
+                                            </span>
+                                        )}
+                                        {room.mentionCount > 0 && (
+                                            <span className="room-mention-badge" title={`${room.mentionCount} unread mention${room.mentionCount !== 1 ? 's' : ''}`}>
+                                                @{room.mentionCount > 99 ? '99+' : room.mentionCount}
+                                            </span>
+                                        )}
+                                        {room.unreadCount > 0 && (
+                                            <span className="room-unread-badge" title={`${room.unreadCount} unread message${room.unreadCount !== 1 ? 's' : ''}`}>
+                                                {room.unreadCount > 99 ? '99+' : room.unreadCount}
+                                            </span>
+                                        )}
                                     </h5>
                                     <div className="room-stats">
                                         <span className="member-count">
@@ -251,11 +307,20 @@ const ChatRoomList = ({ currentRoom, onRoomChange, onRoomJoined }) => {
                                         className="btn btn-primary btn-sm"
                                         onClick={(e) => {
                                             e.stopPropagation();
-                                            handleJoinRoom(room._id, room.name);
+                                            if (room.isMember) {
+                                                onRoomChange(room.name);
+                                            } else {
+                                                handleJoinRoom(room._id, room.name);
+                                            }
                                         }}
                                         disabled={joiningRoom === room._id}
                                     >
-                                        {joiningRoom === room._id ? (
+                                        {room.isMember ? (
+                                            <>
+                                                <i className="fas fa-door-open"></i>
+                                                Open
+                                            </>
+                                        ) : joiningRoom === room._id ? (
                                             <>
                                                 <i className="fas fa-spinner fa-spin"></i>
                                                 Joining...
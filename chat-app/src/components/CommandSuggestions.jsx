@@ -0,0 +1,33 @@
+import React from 'react';
+import './CommandSuggestions.css';
+
+// Slash commands matching what has been typed after "/"
+const CommandSuggestions = ({ suggestions, activeIndex, onSelect }) => {
+    if (suggestions.length === 0) return null;
+
+    return (
+        <ul className="command-suggestions" role="listbox">
+            {suggestions.map((command, index) => (
+                <li
+                    key={command.name}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`command-suggestion ${index === activeIndex ? 'active' : ''}`}
+                    // Keep focus in the message input while picking
+                    onMouseDown={(e) => {
+                        e.preventDefault();
+                        onSelect(command);
+                    }}
+                >
+                    <span className="command-suggestion-usage">{command.usage}</span>
+                    <span className="command-suggestion-description">
+                        {command.description}
+                        {command.moderatorOnly && <span className="command-suggestion-badge">Moderators</span>}
+                    </span>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default CommandSuggestions;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import './ConversationMembersModal.css';
+
+// Pick people by username, to start a group conversation or add them to one.
+// With showHistoryOption the user also chooses whether newcomers see earlier messages.
+const ConversationMembersModal = ({
+    title,
+    submitLabel,
+    minPeople = 1,
+    maxPeople,
+    showHistoryOption = false,
+    onSubmit,
+    onClose
+}) => {
+    const [usernames, setUsernames] = useState([]);
+    const [input, setInput] = useState('');
+    const [includeHistory, setIncludeHistory] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    // Typed names that have not been added with Enter yet still count
+    const pending = input.trim().replace(/^@/, '');
+    const picked = pending && !usernames.includes(pending) ? [...usernames, pending] : usernames;
+    const canSubmit = picked.length >= minPeople && picked.length <= maxPeople && !submitting;
+
+    const handleAdd = () => {
+        if (!pending) return;
+        if (!usernames.includes(pending)) {
+            if (usernames.length >= maxPeople) {
+                setError(`You can pick at most ${maxPeople} people`);
+                return;
+            }
+            setUsernames(prev => [...prev, pending]);
+        }
+        setInput('');
+        setError('');
+    };
+
+    const handleInputKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            handleAdd();
+        } else if (e.key === 'Backspace' && !input && usernames.length > 0) {
+            setUsernames(prev => prev.slice(0, -1));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        setSubmitting(true);
+        setError('');
+
+        // On success the modal is closed by the parent
+        const submitError = await onSubmit(picked, includeHistory);
+        if (submitError) {
+            setError(submitError);
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="members-modal-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="members-modal" role="dialog" aria-label={title}>
+                <div className="members-modal-header">
+                    <h4>
+                        <i className="fas fa-user-plus"></i>
+                        {title}
+                    </h4>
+                    <button className="members-modal-close" onClick={onClose} title="Close">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <form className="members-modal-form" onSubmit={handleSubmit}>
+                    <label className="members-modal-label" htmlFor="members-modal-input">
+                        People <span>({picked.length}/{maxPeople})</span>
+                    </label>
+                    <div className="members-modal-picker">
+                        {usernames.map(username => (
+                            <span key={username} className="members-modal-chip">
+                                @{username}
+                                <button
+                                    type="button"
+                                    onClick={() => setUsernames(prev => prev.filter(name => name !== username))}
+                                    title={`Remove ${username}`}
+                                >
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            </span>
+                        ))}
+                        <input
+                            id="members-modal-input"
+                            type="text"
+                            value={input}
+                            onChange={(e) => setInput(e.target.value)}
+                            onKeyDown={handleInputKeyDown}
+                            onBlur={handleAdd}
+                            placeholder={usernames.length === 0 ? 'Type a username and press Enter' : ''}
+                            maxLength={21}
+                            autoFocus
+                        />
+                    </div>
+
+                    {showHistoryOption && (
+                        <label className="members-modal-option">
+                            <input
+                                type="checkbox"
+                                checked={includeHistory}
+                                onChange={(e) => setIncludeHistory(e.target.checked)}
+                            />
+                            Let them see earlier messages
+                        </label>
+                    )}
+
+                    {error && (
+                        <div className="members-modal-error">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="members-modal-actions">
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={!canSubmit}>
+                            {submitting ? 'Saving...' : submitLabel}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default ConversationMembersModal;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import './CreatePollModal.css';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// How long a new poll stays open, in hours (null = until someone closes it)
+const DURATION_CHOICES = [
+    { label: 'No end time', hours: null },
+    { label: '1 hour', hours: 1 },
+    { label: '1 day', hours: 24 },
+    { label: '3 days', hours: 72 },
+    { label: '1 week', hours: 168 }
+];
+
+const CreatePollModal = ({ room, onCreate, onClose }) => {
+    const [question, setQuestion] = useState('');
+    const [options, setOptions] = useState(['', '']);
+    const [multipleChoice, setMultipleChoice] = useState(false);
+    const [anonymous, setAnonymous] = useState(false);
+    const [durationHours, setDurationHours] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const filledOptions = options.map(option => option.trim()).filter(Boolean);
+    const canSubmit = question.trim() && filledOptions.length >= MIN_OPTIONS && !submitting;
+
+    const handleOptionChange = (index, value) => {
+        setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+    };
+
+    const handleRemoveOption = (index) => {
+        setOptions(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        setSubmitting(true);
+        setError('');
+
+        const createError = await onCreate(question.trim(), {
+            options: filledOptions,
+            multipleChoice,
+            anonymous,
+            closesAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000).toISOString() : null
+        });
+
+        // On success the modal is closed by the parent
+        if (createError) {
+            setError(createError);
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="poll-modal-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="poll-modal" role="dialog" aria-label="Create poll">
+                <div className="poll-modal-header">
+                    <h4>
+                        <i className="fas fa-poll"></i>
+                        New poll in #{room}
+                    </h4>
+                    <button className="poll-modal-close" onClick={onClose} title="Close">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <form className="poll-modal-form" onSubmit={handleSubmit}>
+                    <label className="poll-modal-label" htmlFor="poll-question">Question</label>
+                    <input
+                        id="poll-question"
+                        type="text"
+                        value={question}
+                        onChange={(e) => setQuestion(e.target.value)}
+                        placeholder="What should we decide?"
+                        maxLength={300}
+                        autoFocus
+                    />
+
+                    <span className="poll-modal-label">Options</span>
+                    {options.map((option, index) => (
+                        <div key={index} className="poll-modal-option">
+                            <input
+                                type="text"
+                                value={option}
+                                onChange={(e) => handleOptionChange(index, e.target.value)}
+                                placeholder={`Option ${index + 1}`}
+                                maxLength={100}
+                            />
+                            {options.length > MIN_OPTIONS && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleRemoveOption(index)}
+                                    title="Remove option"
+                                >
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    {options.length < MAX_OPTIONS && (
+                        <button
+                            type="button"
+                            className="poll-modal-add"
+                            onClick={() => setOptions(prev => [...prev, ''])}
+                        >
+                            <i className="fas fa-plus"></i>
+                            Add option
+                        </button>
+                    )}
+
+                    <div className="poll-modal-settings">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={multipleChoice}
+                                onChange={(e) => setMultipleChoice(e.target.checked)}
+                            />
+                            Allow multiple choices
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={anonymous}
+                                onChange={(e) => setAnonymous(e.target.checked)}
+                            />
+                            Anonymous votes
+                        </label>
+                        <label>
+                            Closes
+                            <select
+                                value={durationHours ?? ''}
+                                onChange={(e) => setDurationHours(e.target.value ? Number(e.target.value) : null)}
+                            >
+                                {DURATION_CHOICES.map(choice => (
+                                    <option key={choice.label} value={choice.hours ?? ''}>
+                                        {choice.hours ? `After ${choice.label}` : choice.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+
+                    {error && (
+                        <div className="poll-modal-error">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="poll-modal-actions">
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={!canSubmit}>
+                            {submitting ? 'Posting...' : 'Post poll'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CreatePollModal;
@@ -0,0 +1,97 @@
+import React from 'react';
+import Avatar, { AvatarGroup } from './Avatar';
+import { CustomStatus, avatarStatus } from './StatusMenu';
+import './DirectMessageList.css';
+
+// Direct and group conversations, shown under the room list
+const DirectMessageList = ({ conversations, currentRoom, currentUserId, drafts = {}, presence = {}, onOpen, onNewGroup }) => {
+    // The person on the other side of a conversation
+    const otherParticipant = (conversation) => (
+        conversation.participants.find(participant => participant._id !== currentUserId) || conversation.participants[0]
+    );
+
+    // Live presence when it has changed since the list loaded
+    const presenceOf = (participant) => presence[participant._id] || participant.presence || null;
+
+    return (
+        <div className="direct-message-list">
+            <div className="dm-list-header">
+                <h4 className="dm-list-title">
+                    <i className="fas fa-comments"></i>
+                    Direct Messages
+                </h4>
+                <button
+                    type="button"
+                    className="dm-list-new"
+                    onClick={onNewGroup}
+                    title="New group conversation"
+                >
+                    <i className="fas fa-user-plus"></i>
+                </button>
+            </div>
+
+            {conversations.length === 0 ? (
+                <p className="dm-list-empty">
+                    Pick someone from Online Users to start a conversation.
+                </p>
+            ) : (
+                conversations.map(conversation => {
+                    const other = otherParticipant(conversation);
+                    const otherPresence = other ? presenceOf(other) : null;
+                    const isActive = conversation.name === currentRoom;
+
+                    return (
+                        <button
+                            key={conversation._id}
+                            type="button"
+                            className={`dm-item ${isActive ? 'active' : ''} ${conversation.unreadCount > 0 ? 'unread' : ''}`}
+                            onClick={() => !isActive && onOpen(conversation.name)}
+                            title={`Conversation with ${conversation.title}`}
+                        >
+                            {conversation.type === 'group' ? (
+                                <AvatarGroup
+                                    avatars={conversation.participants
+                                        .filter(participant => participant._id !== currentUserId)
+                                        .map(participant => ({
+                                            id: participant._id,
+                                            name: participant.username,
+                                            status: avatarStatus(presenceOf(participant) && presenceOf(participant).status)
+                                        }))}
+                                    max={2}
+                                    size="xs"
+                                />
+                            ) : (
+                                <Avatar
+                                    name={conversation.title}
+                                    size="sm"
+                                    status={avatarStatus(otherPresence && otherPresence.status)}
+                                />
+                            )}
+                            <span className="dm-item-title">
+                                {conversation.title}
+                                {conversation.type === 'direct' && otherPresence && (
+                                    <CustomStatus customStatus={otherPresence.customStatus} />
+                                )}
+                            </span>
+                            {drafts[conversation.name] && !isActive && (
+                                <span className="dm-item-draft" title={`Draft: ${drafts[conversation.name].message}`}>
+                                    <i className="fas fa-pen"></i>
+                                </span>
+                            )}
+                            {conversation.unreadCount > 0 && !isActive && (
+                                <span
+                                    className="dm-item-badge"
+                                    title={`${conversation.unreadCount} unread message${conversation.unreadCount !== 1 ? 's' : ''}`}
+                                >
+                                    {conversation.unreadCount > 99 ? '99+' : conversation.unreadCount}
+                                </span>
+                            )}
+                        </button>
+                    );
+                })
+            )}
+        </div>
+    );
+};
+
+export default DirectMessageList;
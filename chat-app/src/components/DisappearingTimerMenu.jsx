@@ -0,0 +1,85 @@
+import React, { useEffect, useRef } from 'react';
+import './DisappearingTimerMenu.css';
+
+// Timers offered for disappearing messages, in seconds (the server accepts 10s to 1 week)
+export const MESSAGE_TTL_OPTIONS = [
+    30,
+    5 * 60,
+    60 * 60,
+    24 * 60 * 60,
+    7 * 24 * 60 * 60
+];
+
+const TTL_UNITS = [
+    { seconds: 7 * 24 * 60 * 60, label: 'w' },
+    { seconds: 24 * 60 * 60, label: 'd' },
+    { seconds: 60 * 60, label: 'h' },
+    { seconds: 60, label: 'm' },
+    { seconds: 1, label: 's' }
+];
+
+// Short label for a timer, e.g. 300 -> "5m"
+export const formatTtl = (seconds) => {
+    const unit = TTL_UNITS.find(item => seconds >= item.seconds && seconds % item.seconds === 0)
+        || TTL_UNITS[TTL_UNITS.length - 1];
+    return `${seconds / unit.seconds}${unit.label}`;
+};
+
+// The timer that applies when a sender and a room both set one: the shorter wins
+export const effectiveTtl = (ttlSeconds, roomTtlSeconds) => {
+    const timers = [ttlSeconds, roomTtlSeconds].filter(Boolean);
+    return timers.length > 0 ? Math.min(...timers) : null;
+};
+
+// Popover for picking a disappearing-message timer. Options longer than
+// maxSeconds (the room's timer) are not offered, since they would not apply.
+const DisappearingTimerMenu = ({ title, value, maxSeconds = null, className = '', onSelect, onClose }) => {
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                onClose();
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [onClose]);
+
+    const options = MESSAGE_TTL_OPTIONS.filter(seconds => !maxSeconds || seconds < maxSeconds);
+
+    return (
+        <div className={`disappearing-menu ${className}`} ref={menuRef}>
+            <div className="disappearing-menu-title">{title}</div>
+            <button
+                type="button"
+                className={`disappearing-menu-option ${!value ? 'selected' : ''}`}
+                onClick={() => onSelect(null)}
+            >
+                <span>{maxSeconds ? `Room default (${formatTtl(maxSeconds)})` : 'Off'}</span>
+                {!value && <i className="fas fa-check"></i>}
+            </button>
+            {options.map(seconds => (
+                <button
+                    key={seconds}
+                    type="button"
+                    className={`disappearing-menu-option ${value === seconds ? 'selected' : ''}`}
+                    onClick={() => onSelect(seconds)}
+                >
+                    <span>{formatTtl(seconds)}</span>
+                    {value === seconds && <i className="fas fa-check"></i>}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default DisappearingTimerMenu;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import './ForwardMessageModal.css';
+
+// Pick a room to copy a message into. Only rooms the user is a member of are listed.
+const ForwardMessageModal = ({ message, onForward, onClose }) => {
+    const [rooms, setRooms] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filter, setFilter] = useState('');
+    const [forwardingTo, setForwardingTo] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    useEffect(() => {
+        const fetchRooms = async () => {
+            try {
+                const token = localStorage.getItem('token');
+                const response = await fetch('/api/rooms', {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+
+                const data = await response.json();
+
+                if (response.ok) {
+                    const memberRooms = data.rooms.filter(room => room.isMember).map(room => room.name);
+                    // general is open to everyone even without a room record
+                    const names = data.rooms.some(room => room.name === 'general')
+                        ? memberRooms
+                        : ['general', ...memberRooms];
+                    setRooms(names.filter(name => name !== message.room));
+                } else {
+                    setError(data.error || 'Failed to fetch rooms');
+                }
+            } catch (error) {
+                console.error('Error fetching rooms:', error);
+                setError('Network error. Please try again.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchRooms();
+    }, [message.room]);
+
+    const handleForward = async (room) => {
+        if (forwardingTo) return;
+
+        setForwardingTo(room);
+        setError('');
+
+        // On success the modal is closed by the parent
+        const forwardError = await onForward(room);
+        if (forwardError) {
+            setError(forwardError);
+            setForwardingTo(null);
+        }
+    };
+
+    const visibleRooms = rooms.filter(name => name.toLowerCase().includes(filter.trim().toLowerCase()));
+    const author = message.forwardedFrom ? message.forwardedFrom.username : message.username;
+
+    return (
+        <div className="forward-modal-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="forward-modal" role="dialog" aria-label="Forward message">
+                <div className="forward-modal-header">
+                    <h4>
+                        <i className="fas fa-share"></i>
+                        Forward message
+                    </h4>
+                    <button className="forward-modal-close" onClick={onClose} title="Close">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <div className="forward-modal-body">
+                    <div className="forward-modal-preview">
+                        <span className="forward-modal-author">{author}</span>
+                        {/* Plain text, like the mentions list */}
+                        <span className="forward-modal-text">
+                            {message.message || (message.attachment && message.attachment.filename)}
+                        </span>
+                    </div>
+
+                    <input
+                        type="text"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        placeholder="Find a room"
+                        autoFocus
+                    />
+
+                    {error && (
+                        <div className="forward-modal-error">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="forward-modal-rooms">
+                        {loading ? (
+                            <div className="forward-modal-empty">
+                                <i className="fas fa-spinner fa-spin"></i>
+                                Loading rooms...
+                            </div>
+                        ) : visibleRooms.length === 0 ? (
+                            <div className="forward-modal-empty">
+                                {rooms.length === 0 ? 'Join another room to forward messages to it' : 'No rooms match'}
+                            </div>
+                        ) : (
+                            visibleRooms.map(name => (
+                                <button
+                                    key={name}
+                                    type="button"
+                                    className="forward-modal-room"
+                                    onClick={() => handleForward(name)}
+                                    disabled={!!forwardingTo}
+                                >
+                                    <i className="fas fa-hashtag"></i>
+                                    <span>{name}</span>
+                                    {forwardingTo === name && <i className="fas fa-spinner fa-spin"></i>}
+                                </button>
+                            ))
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForwardMessageModal;
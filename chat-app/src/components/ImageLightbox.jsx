@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import attachmentService, { formatFileSize } from '../services/attachmentService';
+import './ImageLightbox.css';
+
+// Full-size viewer for an image attachment. The thumbnail already on screen
+// is shown until the original has loaded. Rendered on the body so message
+// hover transforms cannot trap the fixed overlay.
+const ImageLightbox = ({ attachment, previewUrl, onClose }) => {
+    const [imageUrl, setImageUrl] = useState(null);
+    const [loadError, setLoadError] = useState(false);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+
+        attachmentService.fetchBlob(attachment.url)
+            .then((blob) => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(blob);
+                setImageUrl(objectUrl);
+            })
+            .catch((error) => {
+                console.error('Error loading image:', error);
+                if (!cancelled) setLoadError(true);
+            });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachment.url]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const handleDownload = () => {
+        attachmentService.download(attachment).catch(error => console.error('Error downloading file:', error));
+    };
+
+    return createPortal(
+        <div className="lightbox-overlay" onClick={onClose}>
+            <div className="lightbox-toolbar" onClick={(e) => e.stopPropagation()}>
+                <span className="lightbox-title" title={attachment.filename}>
+                    {attachment.filename}
+                </span>
+                <span className="lightbox-meta">
+                    {attachment.width && attachment.height && `${attachment.width} × ${attachment.height} · `}
+                    {formatFileSize(attachment.size)}
+                </span>
+                <button onClick={handleDownload} title="Download">
+                    <i className="fas fa-download"></i>
+                </button>
+                <button onClick={onClose} title="Close">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            <div className="lightbox-content">
+                {loadError && !previewUrl ? (
+                    <div className="lightbox-error">
+                        <i className="fas fa-exclamation-triangle"></i>
+                        Could not load this image
+                    </div>
+                ) : (imageUrl || previewUrl) ? (
+                    <img
+                        src={imageUrl || previewUrl}
+                        alt={attachment.filename}
+                        className={imageUrl ? '' : 'loading'}
+                        onClick={(e) => e.stopPropagation()}
+                    />
+                ) : (
+                    <i className="fas fa-spinner fa-spin lightbox-spinner"></i>
+                )}
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default ImageLightbox;
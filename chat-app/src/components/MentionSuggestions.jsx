@@ -0,0 +1,37 @@
+import React from 'react';
+import './MentionSuggestions.css';
+
+const GROUP_DESCRIPTIONS = {
+    here: 'Notify everyone online in this room',
+    room: 'Notify every member of this room'
+};
+
+const MentionSuggestions = ({ suggestions, activeIndex, onSelect }) => {
+    if (suggestions.length === 0) return null;
+
+    return (
+        <ul className="mention-suggestions" role="listbox">
+            {suggestions.map((name, index) => (
+                <li
+                    key={name}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`mention-suggestion ${index === activeIndex ? 'active' : ''}`}
+                    // Keep focus in the message input while picking
+                    onMouseDown={(e) => {
+                        e.preventDefault();
+                        onSelect(name);
+                    }}
+                >
+                    <i className={`fas ${GROUP_DESCRIPTIONS[name] ? 'fa-bullhorn' : 'fa-user'}`}></i>
+                    <span className="mention-suggestion-name">@{name}</span>
+                    {GROUP_DESCRIPTIONS[name] && (
+                        <span className="mention-suggestion-hint">{GROUP_DESCRIPTIONS[name]}</span>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default MentionSuggestions;
@@ -0,0 +1,67 @@
+import React from 'react';
+import './MentionsPanel.css';
+
+const MentionsPanel = ({ mentions, onJumpToMessage, onMarkAllRead, onClose }) => {
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="mentions-panel">
+            <div className="mentions-panel-header">
+                <h4>
+                    <i className="fas fa-at"></i>
+                    Mentions
+                </h4>
+                <div className="mentions-panel-actions">
+                    {mentions.length > 0 && (
+                        <button onClick={onMarkAllRead} title="Mark all as read">
+                            <i className="fas fa-check-double"></i>
+                        </button>
+                    )}
+                    <button onClick={onClose} title="Close mentions">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+
+            <div className="mentions-list">
+                {mentions.length === 0 ? (
+                    <div className="mentions-empty">
+                        <i className="fas fa-bell-slash"></i>
+                        <p>No unread mentions</p>
+                    </div>
+                ) : (
+                    mentions.map(mention => (
+                        <button
+                            key={mention._id || mention.message._id}
+                            className="mention-item"
+                            onClick={() => onJumpToMessage(mention.message)}
+                            title="Show in conversation"
+                        >
+                            <div className="mention-item-meta">
+                                <span className="mention-item-room">
+                                    <i className="fas fa-hashtag"></i>
+                                    {mention.room}
+                                </span>
+                                <span className="mention-item-user">{mention.message.username}</span>
+                                <span className="mention-item-time">
+                                    {formatDate(mention.message.timestamp)}
+                                </span>
+                            </div>
+                            {/* Plain text: rendered Markdown could put links inside this button */}
+                            <div className="mention-item-text">{mention.message.message}</div>
+                        </button>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MentionsPanel;
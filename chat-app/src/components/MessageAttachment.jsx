@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useRef } from 'react';
+import attachmentService, { isImageAttachment, formatFileSize } from '../services/attachmentService';
+import ImageLightbox from './ImageLightbox';
+import './MessageAttachment.css';
+
+// Largest size an image takes up in the conversation
+const MAX_IMAGE_WIDTH = 320;
+const MAX_IMAGE_HEIGHT = 240;
+
+// Start loading images a little before they scroll into view
+const LAZY_LOAD_MARGIN = '200px';
+
+// Fit the image in the message while keeping its shape, so the
+// conversation does not jump when it loads
+const displaySize = (attachment) => {
+    if (!attachment.width || !attachment.height) return null;
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / attachment.width, MAX_IMAGE_HEIGHT / attachment.height);
+    return {
+        width: Math.round(attachment.width * scale),
+        height: Math.round(attachment.height * scale)
+    };
+};
+
+// Sharp screens get the larger thumbnail; older uploads only have the original
+const thumbnailUrl = (attachment) => {
+    const thumbnails = attachment.thumbnails || {};
+    const preferred = window.devicePixelRatio > 1
+        ? thumbnails.medium || thumbnails.small
+        : thumbnails.small || thumbnails.medium;
+    return preferred ? preferred.url : attachment.url;
+};
+
+// Attachments without a url are still being sent from the outbox
+const MessageAttachment = ({ attachment }) => {
+    const [imageUrl, setImageUrl] = useState(null);
+    const [loadError, setLoadError] = useState(false);
+    const [downloading, setDownloading] = useState(false);
+    const [isVisible, setIsVisible] = useState(false);
+    const [showLightbox, setShowLightbox] = useState(false);
+    const containerRef = useRef(null);
+
+    const showImage = isImageAttachment(attachment) && !!attachment.url;
+    const size = showImage ? displaySize(attachment) : null;
+
+    // Images are only fetched once they are about to be seen
+    useEffect(() => {
+        if (!showImage || isVisible) return;
+
+        const element = containerRef.current;
+        if (!element || typeof IntersectionObserver === 'undefined') {
+            setIsVisible(true);
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                setIsVisible(true);
+                observer.disconnect();
+            }
+        }, { rootMargin: LAZY_LOAD_MARGIN });
+
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [showImage, isVisible]);
+
+    useEffect(() => {
+        if (!showImage || !isVisible) return;
+
+        let objectUrl = null;
+        let cancelled = false;
+
+        attachmentService.fetchBlob(thumbnailUrl(attachment))
+            .then((blob) => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(blob);
+                setImageUrl(objectUrl);
+            })
+            .catch((error) => {
+                console.error('Error loading image:', error);
+                if (!cancelled) setLoadError(true);
+            });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [showImage, isVisible, attachment.url]);
+
+    const handleDownload = async () => {
+        try {
+            setDownloading(true);
+            await attachmentService.download(attachment);
+        } catch (error) {
+            console.error('Error downloading file:', error);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    if (showImage && !loadError) {
+        return (
+            <div className="message-attachment image" ref={containerRef}>
+                <button
+                    type="button"
+                    className="attachment-image"
+                    style={size || undefined}
+                    onClick={() => setShowLightbox(true)}
+                    title={attachment.filename}
+                >
+                    {attachment.placeholder && !imageUrl && (
+                        <img src={attachment.placeholder} alt="" className="attachment-placeholder" />
+                    )}
+                    {imageUrl ? (
+                        <img src={imageUrl} alt={attachment.filename} />
+                    ) : !attachment.placeholder && (
+                        <i className="fas fa-spinner fa-spin attachment-image-spinner"></i>
+                    )}
+                </button>
+                {showLightbox && (
+                    <ImageLightbox
+                        attachment={attachment}
+                        previewUrl={imageUrl || attachment.placeholder}
+                        onClose={() => setShowLightbox(false)}
+                    />
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="message-attachment file">
+            <i className={`fas ${isImageAttachment(attachment) ? 'fa-file-image' : 'fa-file'} attachment-icon`}></i>
+            <div className="attachment-details">
+                <span className="attachment-name" title={attachment.filename}>{attachment.filename}</span>
+                <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+            </div>
+            {attachment.url && (
+                <button
+                    className="attachment-download"
+                    onClick={handleDownload}
+                    disabled={downloading}
+                    title="Download"
+                >
+                    <i className={`fas ${downloading ? 'fa-spinner fa-spin' : 'fa-download'}`}></i>
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default MessageAttachment;
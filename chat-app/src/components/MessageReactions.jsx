@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import socketService from '../services/socketService';
+import './MessageReactions.css';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '🙏', '👀'];
+
+const MessageReactions = ({ message, currentUser }) => {
+    const [showPicker, setShowPicker] = useState(false);
+    const reactions = message.reactions || [];
+
+    const hasReacted = (reaction) => reaction.userIds.includes(currentUser.id);
+
+    const handleToggleReaction = (emoji) => {
+        const existing = reactions.find(reaction => reaction.emoji === emoji);
+
+        if (existing && hasReacted(existing)) {
+            socketService.removeReaction(message._id, emoji);
+        } else {
+            socketService.addReaction(message._id, emoji);
+        }
+        setShowPicker(false);
+    };
+
+    const formatReactors = (reaction) => {
+        const names = reaction.users.map(name => (name === currentUser.username ? 'You' : name));
+        return `${names.join(', ')} reacted with ${reaction.emoji}`;
+    };
+
+    return (
+        <div className="message-reactions">
+            {reactions.map(reaction => (
+                <button
+                    key={reaction.emoji}
+                    className={`reaction-chip ${hasReacted(reaction) ? 'reacted' : ''}`}
+                    onClick={() => handleToggleReaction(reaction.emoji)}
+                    title={formatReactors(reaction)}
+                >
+                    <span className="reaction-emoji">{reaction.emoji}</span>
+                    <span className="reaction-count">{reaction.count}</span>
+                </button>
+            ))}
+
+            <div className="reaction-picker-wrapper">
+                <button
+                    className="reaction-add-btn"
+                    onClick={() => setShowPicker(!showPicker)}
+                    title="Add reaction"
+                >
+                    <i className="far fa-smile"></i>
+                </button>
+
+                {showPicker && (
+                    <div className="reaction-picker">
+                        {QUICK_REACTIONS.map(emoji => (
+                            <button
+                                key={emoji}
+                                onClick={() => handleToggleReaction(emoji)}
+                                title={`React with ${emoji}`}
+                            >
+                                {emoji}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MessageReactions;
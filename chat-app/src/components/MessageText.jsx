@@ -0,0 +1,21 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+import 'highlight.js/styles/github.css';
+import './MessageText.css';
+
+const MessageText = ({ text = '', currentUsername }) => {
+    // Output is sanitized by renderMarkdown before it reaches the DOM
+    const html = useMemo(
+        () => renderMarkdown(text, { currentUsername }),
+        [text, currentUsername]
+    );
+
+    return (
+        <div
+            className="message-markdown"
+            dangerouslySetInnerHTML={{ __html: html }}
+        />
+    );
+};
+
+export default MessageText;
@@ -0,0 +1,77 @@
+import React from 'react';
+import MessageText from './MessageText';
+import './PinnedDrawer.css';
+
+const PinnedDrawer = ({ pins, loading, canPin, currentUsername, onJumpToMessage, onUnpin, onClose }) => {
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="pinned-drawer">
+            <div className="pinned-drawer-header">
+                <h4>
+                    <i className="fas fa-thumbtack"></i>
+                    Pinned
+                </h4>
+                <button className="pinned-close-btn" onClick={onClose} title="Close pinned messages">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            <div className="pinned-list">
+                {loading ? (
+                    <div className="pinned-empty">
+                        <i className="fas fa-spinner fa-spin"></i>
+                    </div>
+                ) : pins.length === 0 ? (
+                    <div className="pinned-empty">
+                        <i className="fas fa-thumbtack"></i>
+                        <p>No pinned messages yet</p>
+                        {canPin && <p className="pinned-hint">Pin important messages from their actions menu.</p>}
+                    </div>
+                ) : (
+                    pins.map(pin => (
+                        <div key={pin.messageId} className="pinned-item">
+                            <div className="pinned-item-meta">
+                                <span className="pinned-item-user">{pin.message.username}</span>
+                                <span className="pinned-item-time">{formatDate(pin.message.timestamp)}</span>
+                            </div>
+                            <div className="pinned-item-text">
+                                <MessageText text={pin.message.message} currentUsername={currentUsername} />
+                                {pin.message.attachment && (
+                                    <span className="pinned-item-attachment">
+                                        <i className="fas fa-paperclip"></i>
+                                        {pin.message.attachment.filename}
+                                    </span>
+                                )}
+                            </div>
+                            <div className="pinned-item-footer">
+                                <span className="pinned-item-by">
+                                    Pinned by {pin.pinnedBy ? pin.pinnedBy.username : 'unknown'}
+                                </span>
+                                <div className="pinned-item-actions">
+                                    <button onClick={() => onJumpToMessage(pin.message)} title="Show in conversation">
+                                        <i className="fas fa-arrow-right"></i>
+                                    </button>
+                                    {canPin && (
+                                        <button onClick={() => onUnpin(pin.messageId)} title="Unpin">
+                                            <i className="fas fa-times"></i>
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PinnedDrawer;
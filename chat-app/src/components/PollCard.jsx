@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import socketService from '../services/socketService';
+import './PollCard.css';
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Options the user voted for, read from the voter lists of a named poll
+const votedOptionIds = (poll, userId) => poll.options
+    .filter(option => option.voters && option.voters.some(voter => sameId(voter.userId, userId)))
+    .map(option => option._id);
+
+// Options and live results of a poll message. The question is the message text
+// and is rendered by the message itself.
+const PollCard = ({ message, currentUser, canModerate = false }) => {
+    const { poll } = message;
+    const [myOptionIds, setMyOptionIds] = useState(() => votedOptionIds(poll, currentUser.id));
+    const [voting, setVoting] = useState(false);
+    const [error, setError] = useState('');
+    const [closedByTime, setClosedByTime] = useState(
+        () => !!poll.closesAt && new Date(poll.closesAt) <= new Date()
+    );
+
+    useEffect(() => {
+        // Named polls list who voted, so the user's choice can be read from the results
+        if (!poll.anonymous) {
+            setMyOptionIds(votedOptionIds(poll, currentUser.id));
+        }
+    }, [poll, currentUser.id]);
+
+    useEffect(() => {
+        // Anonymous results never say who voted, so ask for the user's own choice
+        if (!poll.anonymous) return;
+
+        const fetchMyVote = async () => {
+            try {
+                const token = localStorage.getItem('token');
+                const response = await fetch(`/api/polls/${message._id}/vote`, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+
+                const data = await response.json();
+
+                if (response.ok) {
+                    setMyOptionIds(data.optionIds);
+                }
+            } catch (error) {
+                console.error('Error fetching poll vote:', error);
+            }
+        };
+
+        fetchMyVote();
+    }, [message._id, poll.anonymous]);
+
+    useEffect(() => {
+        // Votes from the user's other tabs and devices
+        const handlePollVoted = (data) => {
+            if (sameId(data._id, message._id)) {
+                setMyOptionIds(data.optionIds);
+            }
+        };
+
+        socketService.onPollVoted(handlePollVoted);
+        return () => socketService.off('pollVoted', handlePollVoted);
+    }, [message._id]);
+
+    useEffect(() => {
+        // Close the poll on screen when its time is up
+        if (!poll.closesAt || closedByTime) return;
+
+        const delay = new Date(poll.closesAt).getTime() - Date.now();
+        const timeout = setTimeout(() => setClosedByTime(true), Math.max(0, delay));
+        return () => clearTimeout(timeout);
+    }, [poll.closesAt, closedByTime]);
+
+    const isClosed = poll.isClosed || closedByTime;
+    const isAuthor = sameId(message.userId, currentUser.id);
+
+    const handleVote = async (optionId) => {
+        if (isClosed || voting) return;
+
+        const isSelected = myOptionIds.some(id => sameId(id, optionId));
+        let optionIds;
+        if (poll.multipleChoice) {
+            optionIds = isSelected
+                ? myOptionIds.filter(id => !sameId(id, optionId))
+                : [...myOptionIds, optionId];
+        } else {
+            // Picking the chosen option again takes the vote back
+            optionIds = isSelected ? [] : [optionId];
+        }
+
+        setVoting(true);
+        setError('');
+        const response = await socketService.votePoll(message._id, optionIds);
+        setVoting(false);
+
+        if (response && response.success) {
+            setMyOptionIds(response.optionIds);
+        } else {
+            setError((response && response.error) || 'Failed to vote');
+        }
+    };
+
+    const handleClosePoll = () => {
+        if (window.confirm('Close this poll? No one will be able to vote after that.')) {
+            socketService.closePoll(message._id);
+        }
+    };
+
+    const formatClosingTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+        weekday: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+
+    return (
+        <div className={`poll-card ${isClosed ? 'closed' : ''}`}>
+            <div className="poll-options">
+                {poll.options.map(option => {
+                    const isSelected = myOptionIds.some(id => sameId(id, option._id));
+                    const percent = poll.totalVoters > 0
+                        ? Math.round((option.count / poll.totalVoters) * 100)
+                        : 0;
+                    const voterNames = option.voters ? option.voters.map(voter => voter.username) : [];
+
+                    return (
+                        <button
+                            key={option._id}
+                            type="button"
+                            className={`poll-option ${isSelected ? 'selected' : ''}`}
+                            onClick={() => handleVote(option._id)}
+                            disabled={isClosed || voting}
+                            title={voterNames.length > 0 ? `Voted by ${voterNames.join(', ')}` : undefined}
+                        >
+                            <span className="poll-option-bar" style={{ width: `${percent}%` }} />
+                            <span className="poll-option-check">
+                                <i className={`${poll.multipleChoice ? 'far fa-square' : 'far fa-circle'} ${isSelected ? 'selected' : ''}`}></i>
+                            </span>
+                            <span className="poll-option-text">{option.text}</span>
+                            {voterNames.length > 0 && (
+                                <span className="poll-option-voters">
+                                    {voterNames.slice(0, 3).join(', ')}
+                                    {voterNames.length > 3 && ` +${voterNames.length - 3}`}
+                                </span>
+                            )}
+                            <span className="poll-option-count">
+                                {option.count} · {percent}%
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {error && (
+                <div className="poll-error">
+                    <i className="fas fa-exclamation-circle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="poll-footer">
+                <span>
+                    {poll.totalVoters} voter{poll.totalVoters !== 1 ? 's' : ''}
+                </span>
+                {poll.multipleChoice && <span>Multiple choice</span>}
+                {poll.anonymous && (
+                    <span>
+                        <i className="fas fa-user-secret"></i>
+                        Anonymous
+                    </span>
+                )}
+                <span className="poll-status">
+                    {isClosed
+                        ? 'Closed'
+                        : poll.closesAt ? `Closes ${formatClosingTime(poll.closesAt)}` : 'Open'}
+                </span>
+                {!isClosed && (isAuthor || canModerate) && (
+                    <button type="button" className="poll-close-btn" onClick={handleClosePoll}>
+                        Close poll
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PollCard;
@@ -0,0 +1,37 @@
+import React from 'react';
+import './QuotedMessage.css';
+
+// Excerpt of the message a quote reply answers. Clicking it jumps to the original.
+const QuotedMessage = ({ quote, currentRoom, onJump }) => {
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleString([], {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    const canJump = !!onJump && !quote.isDeleted;
+
+    return (
+        <button
+            type="button"
+            className={`quoted-message ${quote.isDeleted ? 'deleted' : ''}`}
+            onClick={() => canJump && onJump(quote)}
+            disabled={!canJump}
+            title={canJump ? 'Go to the original message' : undefined}
+        >
+            <span className="quoted-message-meta">
+                <i className="fas fa-quote-left"></i>
+                <span className="quoted-message-author">{quote.username}</span>
+                {quote.room !== currentRoom && <span>in #{quote.room}</span>}
+                <span>{formatDate(quote.timestamp)}</span>
+            </span>
+            {/* Plain text, like the mentions list */}
+            <span className="quoted-message-text">
+                {quote.isDeleted ? 'This message was deleted' : quote.message || 'Attachment'}
+            </span>
+        </button>
+    );
+};
+
+export default QuotedMessage;
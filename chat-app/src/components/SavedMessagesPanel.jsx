@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import './SavedMessagesPanel.css';
+
+const MAX_NOTE_LENGTH = 500;
+
+// The user's bookmarked messages from every room, newest first
+const SavedMessagesPanel = ({ bookmarks, onJumpToMessage, onBookmarkChange, onBookmarkRemove, onClose }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [editNote, setEditNote] = useState('');
+    const [savingId, setSavingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const request = async (bookmark, method, body) => {
+        try {
+            setSavingId(bookmark._id);
+            setError('');
+            const token = localStorage.getItem('token');
+            const response = await fetch(`/api/bookmarks/${bookmark._id}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.error || 'Failed to update bookmark');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Error updating bookmark:', error);
+            setError('Network error. Please try again.');
+            return null;
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleStartEdit = (bookmark) => {
+        setEditingId(bookmark._id);
+        setEditNote(bookmark.note);
+        setError('');
+    };
+
+    const handleSaveNote = async (e, bookmark) => {
+        e.preventDefault();
+
+        const data = await request(bookmark, 'PUT', { note: editNote });
+        if (data) {
+            onBookmarkChange(data.bookmark);
+            setEditingId(null);
+        }
+    };
+
+    const handleRemove = async (bookmark) => {
+        const data = await request(bookmark, 'DELETE');
+        if (data) {
+            onBookmarkRemove(bookmark._id);
+        }
+    };
+
+    const unavailableText = (bookmark) => {
+        if (bookmark.status === 'deleted') {
+            return 'This message was deleted';
+        }
+        if (bookmark.status === 'unavailable') {
+            return 'This message is from before you joined the conversation';
+        }
+        return `You are no longer a member of #${bookmark.room}`;
+    };
+
+    return (
+        <div className="saved-panel">
+            <div className="saved-panel-header">
+                <h4>
+                    <i className="fas fa-bookmark"></i>
+                    Saved
+                </h4>
+                <button className="saved-close-btn" onClick={onClose} title="Close saved messages">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            {error && (
+                <div className="saved-error">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="saved-list">
+                {bookmarks.length === 0 ? (
+                    <div className="saved-empty">
+                        <i className="far fa-bookmark"></i>
+                        <p>No saved messages</p>
+                        <p className="saved-hint">Use the bookmark on any message to keep it here.</p>
+                    </div>
+                ) : (
+                    bookmarks.map(bookmark => (
+                        <div
+                            key={bookmark._id}
+                            className={`saved-item ${bookmark.status !== 'available' ? 'unavailable' : ''}`}
+                        >
+                            <div className="saved-item-meta">
+                                <span className="saved-item-room">
+                                    <i className="fas fa-hashtag"></i>
+                                    {bookmark.room}
+                                </span>
+                                {bookmark.message && (
+                                    <>
+                                        <span className="saved-item-user">{bookmark.message.username}</span>
+                                        <span className="saved-item-time">
+                                            {formatDate(bookmark.message.timestamp)}
+                                        </span>
+                                    </>
+                                )}
+                            </div>
+
+                            {bookmark.message ? (
+                                <button
+                                    className="saved-item-text"
+                                    onClick={() => onJumpToMessage(bookmark.message)}
+                                    title="Show in conversation"
+                                >
+                                    {/* Plain text, like the mentions list */}
+                                    {bookmark.message.message || (bookmark.message.attachment && bookmark.message.attachment.filename)}
+                                </button>
+                            ) : (
+                                <div className="saved-item-unavailable">
+                                    <i className="fas fa-ban"></i>
+                                    {unavailableText(bookmark)}
+                                </div>
+                            )}
+
+                            {editingId === bookmark._id ? (
+                                <form className="saved-note-form" onSubmit={(e) => handleSaveNote(e, bookmark)}>
+                                    <textarea
+                                        rows={2}
+                                        value={editNote}
+                                        onChange={(e) => setEditNote(e.target.value)}
+                                        placeholder="Why did you save this?"
+                                        maxLength={MAX_NOTE_LENGTH}
+                                        autoFocus
+                                    />
+                                    <div className="saved-note-actions">
+                                        <button type="button" onClick={() => setEditingId(null)}>
+                                            Cancel
+                                        </button>
+                                        <button
+                                            type="submit"
+                                            className="primary"
+                                            disabled={savingId === bookmark._id}
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <>
+                                    {bookmark.note && (
+                                        <div className="saved-item-note">
+                                            <i className="far fa-sticky-note"></i>
+                                            {bookmark.note}
+                                        </div>
+                                    )}
+                                    <div className="saved-item-actions">
+                                        <button
+                                            onClick={() => handleStartEdit(bookmark)}
+                                            disabled={savingId === bookmark._id}
+                                            title={bookmark.note ? 'Edit note' : 'Add a note'}
+                                        >
+                                            <i className="fas fa-pen"></i>
+                                        </button>
+                                        <button
+                                            onClick={() => handleRemove(bookmark)}
+                                            disabled={savingId === bookmark._id}
+                                            title="Remove from saved messages"
+                                        >
+                                            <i className="fas fa-trash"></i>
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SavedMessagesPanel;
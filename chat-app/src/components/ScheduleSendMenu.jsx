@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ScheduleSendMenu.css';
+
+// Value for a datetime-local input, in the user's time zone
+export const toLocalInputValue = (date) => {
+    const offsetDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return offsetDate.toISOString().slice(0, 16);
+};
+
+const atNineAm = (daysFromToday) => {
+    const date = new Date();
+    date.setDate(date.getDate() + daysFromToday);
+    date.setHours(9, 0, 0, 0);
+    return date;
+};
+
+const nextMonday = () => {
+    const daysUntilMonday = ((8 - new Date().getDay()) % 7) || 7;
+    return atNineAm(daysUntilMonday);
+};
+
+const formatOption = (date) => date.toLocaleString([], {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
+// Popover next to the send button for picking when a message goes out
+const ScheduleSendMenu = ({ onSchedule, onClose }) => {
+    const [customTime, setCustomTime] = useState(() => toLocalInputValue(atNineAm(1)));
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                onClose();
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [onClose]);
+
+    const options = [
+        { label: 'In 1 hour', date: new Date(Date.now() + 60 * 60 * 1000) },
+        { label: 'Tomorrow morning', date: atNineAm(1) },
+        { label: 'Next Monday', date: nextMonday() }
+    ];
+
+    const customDate = customTime ? new Date(customTime) : null;
+    const customIsValid = customDate && !isNaN(customDate.getTime()) && customDate > new Date();
+
+    return (
+        <div className="schedule-send-menu" ref={menuRef}>
+            <div className="schedule-send-title">Schedule message</div>
+            {options.map(option => (
+                <button
+                    key={option.label}
+                    type="button"
+                    className="schedule-send-option"
+                    onClick={() => onSchedule(option.date)}
+                >
+                    <span>{option.label}</span>
+                    <span className="schedule-send-option-time">{formatOption(option.date)}</span>
+                </button>
+            ))}
+            <div className="schedule-send-custom">
+                <input
+                    type="datetime-local"
+                    value={customTime}
+                    min={toLocalInputValue(new Date())}
+                    onChange={(e) => setCustomTime(e.target.value)}
+                />
+                <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    disabled={!customIsValid}
+                    onClick={() => onSchedule(customDate)}
+                >
+                    Schedule
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ScheduleSendMenu;
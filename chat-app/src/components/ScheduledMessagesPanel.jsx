@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { toLocalInputValue } from './ScheduleSendMenu';
+import './ScheduledMessagesPanel.css';
+
+const ScheduledMessagesPanel = ({ scheduledMessages, onScheduledMessageChange, onClose }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [editMessage, setEditMessage] = useState('');
+    const [editSendAt, setEditSendAt] = useState('');
+    const [savingId, setSavingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString([], {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const request = async (scheduledMessage, method, body) => {
+        try {
+            setSavingId(scheduledMessage._id);
+            setError('');
+            const token = localStorage.getItem('token');
+            const response = await fetch(`/api/scheduled-messages/${scheduledMessage._id}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.error || 'Failed to update scheduled message');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Error updating scheduled message:', error);
+            setError('Network error. Please try again.');
+            return null;
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleStartEdit = (scheduledMessage) => {
+        setEditingId(scheduledMessage._id);
+        setEditMessage(scheduledMessage.message);
+        setEditSendAt(toLocalInputValue(new Date(scheduledMessage.sendAt)));
+        setError('');
+    };
+
+    const handleSaveEdit = async (e, scheduledMessage) => {
+        e.preventDefault();
+
+        const data = await request(scheduledMessage, 'PUT', {
+            message: editMessage,
+            sendAt: new Date(editSendAt).toISOString()
+        });
+
+        if (data) {
+            onScheduledMessageChange(data.scheduledMessage);
+            setEditingId(null);
+        }
+    };
+
+    const handleCancelMessage = async (scheduledMessage) => {
+        if (!window.confirm('Cancel this scheduled message?')) return;
+
+        const data = await request(scheduledMessage, 'DELETE');
+        if (data) {
+            onScheduledMessageChange({ ...scheduledMessage, status: 'cancelled' });
+        }
+    };
+
+    const editSendAtIsValid = editSendAt && new Date(editSendAt) > new Date();
+
+    return (
+        <div className="scheduled-panel">
+            <div className="scheduled-panel-header">
+                <h4>
+                    <i className="far fa-clock"></i>
+                    Scheduled
+                </h4>
+                <button className="scheduled-close-btn" onClick={onClose} title="Close scheduled messages">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            {error && (
+                <div className="scheduled-error">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="scheduled-list">
+                {scheduledMessages.length === 0 ? (
+                    <div className="scheduled-empty">
+                        <i className="far fa-calendar"></i>
+                        <p>No scheduled messages</p>
+                        <p className="scheduled-hint">Use the clock next to the send button to post a message later.</p>
+                    </div>
+                ) : (
+                    scheduledMessages.map(scheduledMessage => (
+                        <div
+                            key={scheduledMessage._id}
+                            className={`scheduled-item ${scheduledMessage.status}`}
+                        >
+                            <div className="scheduled-item-meta">
+                                <span className="scheduled-item-room">
+                                    <i className="fas fa-hashtag"></i>
+                                    {scheduledMessage.room}
+                                </span>
+                                {scheduledMessage.kind === 'reminder' && (
+                                    <span className="scheduled-item-kind" title="Only you will see this">
+                                        <i className="fas fa-bell"></i>
+                                        Reminder
+                                    </span>
+                                )}
+                                <span className="scheduled-item-time">
+                                    {scheduledMessage.status === 'sending' ? 'Sending...' : formatDate(scheduledMessage.sendAt)}
+                                </span>
+                            </div>
+
+                            {editingId === scheduledMessage._id ? (
+                                <form
+                                    className="scheduled-edit-form"
+                                    onSubmit={(e) => handleSaveEdit(e, scheduledMessage)}
+                                >
+                                    <textarea
+                                        rows={3}
+                                        value={editMessage}
+                                        onChange={(e) => setEditMessage(e.target.value)}
+                                        autoFocus
+                                    />
+                                    <input
+                                        type="datetime-local"
+                                        value={editSendAt}
+                                        min={toLocalInputValue(new Date())}
+                                        onChange={(e) => setEditSendAt(e.target.value)}
+                                    />
+                                    <div className="scheduled-edit-actions">
+                                        <button type="button" onClick={() => setEditingId(null)}>
+                                            Cancel
+                                        </button>
+                                        <button
+                                            type="submit"
+                                            className="primary"
+                                            disabled={!editMessage.trim() || !editSendAtIsValid || savingId === scheduledMessage._id}
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <>
+                                    {/* Plain text, like the mentions list */}
+                                    <div className="scheduled-item-text">{scheduledMessage.message}</div>
+                                    {scheduledMessage.status === 'failed' && (
+                                        <div className="scheduled-item-error">
+                                            <i className="fas fa-exclamation-circle"></i>
+                                            {scheduledMessage.error || 'Could not be sent'}
+                                        </div>
+                                    )}
+                                    {scheduledMessage.status !== 'sending' && (
+                                        <div className="scheduled-item-actions">
+                                            <button
+                                                onClick={() => handleStartEdit(scheduledMessage)}
+                                                disabled={savingId === scheduledMessage._id}
+                                                title={scheduledMessage.status === 'failed' ? 'Edit and reschedule' : 'Edit'}
+                                            >
+                                                <i className="fas fa-pen"></i>
+                                            </button>
+                                            <button
+                                                onClick={() => handleCancelMessage(scheduledMessage)}
+                                                disabled={savingId === scheduledMessage._id}
+                                                title="Cancel scheduled message"
+                                            >
+                                                <i className="fas fa-trash"></i>
+                                            </button>
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ScheduledMessagesPanel;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import './SearchPanel.css';
+
+const SearchPanel = ({ onJumpToMessage, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [from, setFrom] = useState('');
+    const [inRoom, setInRoom] = useState('');
+    const [after, setAfter] = useState('');
+    const [before, setBefore] = useState('');
+    const [hasAttachment, setHasAttachment] = useState(false);
+    const [showFilters, setShowFilters] = useState(false);
+    const [results, setResults] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [hasSearched, setHasSearched] = useState(false);
+
+    const runSearch = async (pageNumber = 1) => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const params = new URLSearchParams({ q: query, page: pageNumber });
+            if (from.trim()) params.set('from', from.trim());
+            if (inRoom.trim()) params.set('in', inRoom.trim());
+            if (after) params.set('after', after);
+            if (before) params.set('before', before);
+            if (hasAttachment) params.set('hasAttachment', 'true');
+
+            const token = localStorage.getItem('token');
+            const response = await fetch(`/api/search/messages?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setResults(prev => (pageNumber === 1 ? data.results : [...prev, ...data.results]));
+                setPage(data.page);
+                setHasMore(data.hasMore);
+                setHasSearched(true);
+            } else {
+                setError(data.error || 'Search failed');
+            }
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        runSearch(1);
+    };
+
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="search-panel">
+            <div className="search-panel-header">
+                <h4>
+                    <i className="fas fa-search"></i>
+                    Search
+                </h4>
+                <button className="search-close-btn" onClick={onClose} title="Close search">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="search-form">
+                <div className="search-input-row">
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search, e.g. deploy from:alice in:general"
+                        autoFocus
+                    />
+                    <button type="submit" disabled={loading} title="Search">
+                        <i className={`fas ${loading ? 'fa-spinner fa-spin' : 'fa-search'}`}></i>
+                    </button>
+                </div>
+
+                <button
+                    type="button"
+                    className="search-filters-toggle"
+                    onClick={() => setShowFilters(!showFilters)}
+                >
+                    <i className={`fas fa-chevron-${showFilters ? 'up' : 'down'}`}></i>
+                    Filters
+                </button>
+
+                {showFilters && (
+                    <div className="search-filters">
+                        <label>
+                            From
+                            <input
+                                type="text"
+                                value={from}
+                                onChange={(e) => setFrom(e.target.value)}
+                                placeholder="username"
+                            />
+                        </label>
+                        <label>
+                            In room
+                            <input
+                                type="text"
+                                value={inRoom}
+                                onChange={(e) => setInRoom(e.target.value)}
+                                placeholder="room name"
+                            />
+                        </label>
+                        <label>
+                            After
+                            <input
+                                type="date"
+                                value={after}
+                                onChange={(e) => setAfter(e.target.value)}
+                            />
+                        </label>
+                        <label>
+                            Before
+                            <input
+                                type="date"
+                                value={before}
+                                onChange={(e) => setBefore(e.target.value)}
+                            />
+                        </label>
+                        <label className="search-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={hasAttachment}
+                                onChange={(e) => setHasAttachment(e.target.checked)}
+                            />
+                            Has attachment
+                        </label>
+                    </div>
+                )}
+            </form>
+
+            {error && (
+                <div className="search-error">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="search-results">
+                {hasSearched && results.length === 0 && !loading && (
+                    <div className="search-empty">
+                        <i className="fas fa-search"></i>
+                        <p>No messages found</p>
+                    </div>
+                )}
+
+                {results.map(result => (
+                    <button
+                        key={result._id}
+                        className="search-result"
+                        onClick={() => onJumpToMessage(result)}
+                        title="Show in conversation"
+                    >
+                        <div className="search-result-meta">
+                            <span className="search-result-room">
+                                <i className="fas fa-hashtag"></i>
+                                {result.room}
+                            </span>
+                            <span className="search-result-user">{result.username}</span>
+                            <span className="search-result-time">{formatDate(result.timestamp)}</span>
+                        </div>
+                        <div className="search-result-text">{result.message}</div>
+                        {result.parentId && (
+                            <div className="search-result-thread">
+                                <i className="fas fa-comments"></i>
+                                In a thread
+                            </div>
+                        )}
+                    </button>
+                ))}
+
+                {hasMore && (
+                    <button
+                        className="search-more-btn"
+                        onClick={() => runSearch(page + 1)}
+                        disabled={loading}
+                    >
+                        Load more results
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SearchPanel;
@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ActiveSessions from './ActiveSessions';
+import './StatusMenu.css';
+
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_STATUS_EMOJI_LENGTH = 16;
+
+// How long a custom status stays up; null keeps it until it is cleared
+const STATUS_DURATIONS = [
+    { value: 'never', label: "Don't clear" },
+    { value: '30m', label: '30 minutes', ms: 30 * 60 * 1000 },
+    { value: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+    { value: '4h', label: '4 hours', ms: 4 * 60 * 60 * 1000 },
+    { value: 'today', label: 'Today' }
+];
+
+const expiryFor = (duration) => {
+    if (duration === 'today') {
+        const endOfDay = new Date();
+        endOfDay.setHours(23, 59, 59, 999);
+        return endOfDay.toISOString();
+    }
+    const option = STATUS_DURATIONS.find(item => item.value === duration);
+    return option && option.ms ? new Date(Date.now() + option.ms).toISOString() : null;
+};
+
+const PRESENCE_LABELS = {
+    online: 'Online',
+    away: 'Away',
+    dnd: 'Do not disturb',
+    offline: 'Offline'
+};
+
+// The server's presence status as one of Avatar's status dots
+export const avatarStatus = (status) => (status === 'dnd' ? 'busy' : status || 'offline');
+
+export const presenceLabel = (status) => PRESENCE_LABELS[status] || PRESENCE_LABELS.offline;
+
+// A custom status past its expiry is not shown; the server stops sending it too
+export const activeCustomStatus = (customStatus, now = Date.now()) => {
+    if (!customStatus || (!customStatus.text && !customStatus.emoji)) {
+        return null;
+    }
+    if (customStatus.expiresAt && new Date(customStatus.expiresAt).getTime() <= now) {
+        return null;
+    }
+    return customStatus;
+};
+
+// A custom status as shown next to a name
+export const CustomStatus = ({ customStatus, className = '' }) => {
+    const status = activeCustomStatus(customStatus);
+    if (!status) {
+        return null;
+    }
+
+    return (
+        <span className={`custom-status ${className}`} title={[status.emoji, status.text].filter(Boolean).join(' ')}>
+            {status.emoji && <span className="custom-status-emoji">{status.emoji}</span>}
+            {status.text && <span className="custom-status-text">{status.text}</span>}
+        </span>
+    );
+};
+
+// Popover for the user's own status: do not disturb and a custom status.
+// onSave resolves to an error message, or null once the change is saved.
+const StatusMenu = ({ presence, currentSessionId, onSave, onClose }) => {
+    const current = activeCustomStatus(presence && presence.customStatus);
+    const doNotDisturb = !!presence && presence.status === 'dnd';
+
+    const [emoji, setEmoji] = useState(current ? current.emoji || '' : '');
+    const [text, setText] = useState(current ? current.text || '' : '');
+    const [duration, setDuration] = useState('never');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [showSessions, setShowSessions] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                onClose();
+            }
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [onClose]);
+
+    const save = async (changes, closeAfter) => {
+        setSaving(true);
+        setError(null);
+        const saveError = await onSave(changes);
+        setSaving(false);
+
+        if (saveError) {
+            setError(saveError);
+        } else if (closeAfter) {
+            onClose();
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!text.trim() && !emoji.trim()) {
+            save({ customStatus: null }, true);
+            return;
+        }
+        save({
+            customStatus: {
+                text: text.trim(),
+                emoji: emoji.trim(),
+                expiresAt: expiryFor(duration)
+            }
+        }, true);
+    };
+
+    const handleClear = () => {
+        setEmoji('');
+        setText('');
+        save({ customStatus: null }, false);
+    };
+
+    return (
+        <div className="status-menu" ref={menuRef}>
+            <div className="status-menu-title">Set a status</div>
+            <form className="status-menu-form" onSubmit={handleSubmit}>
+                <div className="status-menu-inputs">
+                    <input
+                        type="text"
+                        className="status-menu-emoji"
+                        value={emoji}
+                        onChange={(e) => setEmoji(e.target.value)}
+                        placeholder="🙂"
+                        maxLength={MAX_STATUS_EMOJI_LENGTH}
+                        aria-label="Status emoji"
+                    />
+                    <input
+                        type="text"
+                        className="status-menu-text"
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        placeholder="What's your status?"
+                        maxLength={MAX_STATUS_TEXT_LENGTH}
+                        autoFocus
+                    />
+                </div>
+                <label className="status-menu-duration">
+                    <span>Clear after</span>
+                    <select value={duration} onChange={(e) => setDuration(e.target.value)}>
+                        {STATUS_DURATIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                {error && <div className="status-menu-error">{error}</div>}
+                <div className="status-menu-actions">
+                    {current && (
+                        <button type="button" className="status-menu-clear" onClick={handleClear} disabled={saving}>
+                            Clear status
+                        </button>
+                    )}
+                    <button type="submit" className="status-menu-save" disabled={saving}>
+                        Save
+                    </button>
+                </div>
+            </form>
+            <button
+                type="button"
+                className={`status-menu-dnd ${doNotDisturb ? 'active' : ''}`}
+                onClick={() => save({ doNotDisturb: !doNotDisturb }, false)}
+                disabled={saving}
+            >
+                <i className={`fas ${doNotDisturb ? 'fa-bell-slash' : 'fa-bell'}`}></i>
+                <span className="status-menu-dnd-label">
+                    Do not disturb
+                    <small>{doNotDisturb ? 'Notifications are paused' : 'Pause notifications and show as busy'}</small>
+                </span>
+                <span className="status-menu-switch"></span>
+            </button>
+            <button
+                type="button"
+                className="status-menu-sessions-toggle"
+                onClick={() => setShowSessions(!showSessions)}
+            >
+                <span>Active sessions</span>
+                <i className={`fas fa-chevron-${showSessions ? 'up' : 'down'}`}></i>
+            </button>
+            {showSessions && <ActiveSessions currentSessionId={currentSessionId} />}
+        </div>
+    );
+};
+
+export default StatusMenu;
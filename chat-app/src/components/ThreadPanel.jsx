@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useRef } from 'react';
+import socketService from '../services/socketService';
+import authService from '../services/authService';
+import MessageReactions from './MessageReactions';
+import MessageText from './MessageText';
+import MessageAttachment from './MessageAttachment';
+import PollCard from './PollCard';
+import QuotedMessage from './QuotedMessage';
+import './ThreadPanel.css';
+
+const ThreadPanel = ({ messageId, onClose }) => {
+    const [parent, setParent] = useState(null);
+    const [replies, setReplies] = useState([]);
+    const [replyInput, setReplyInput] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const repliesEndRef = useRef(null);
+    const currentUser = authService.getUser();
+
+    useEffect(() => {
+        fetchThread();
+        socketService.joinThread(messageId);
+
+        const handleThreadReply = (reply) => {
+            if (reply.parentId === messageId) {
+                setReplies(prev => [...prev, reply]);
+            }
+        };
+
+        const handleThreadUpdated = (data) => {
+            if (data._id === messageId) {
+                setParent(prev => prev && { ...prev, ...data });
+            }
+        };
+
+        const handleMessageEdited = (editedMessage) => {
+            if (editedMessage._id === messageId) {
+                setParent(prev => prev && { ...prev, ...editedMessage });
+            }
+            setReplies(prev => prev.map(r =>
+                r._id === editedMessage._id ? { ...r, ...editedMessage } : r
+            ));
+        };
+
+        const handleMessageDeleted = (data) => {
+            if (data._id === messageId) {
+                setParent(prev => prev && { ...prev, message: '', isDeleted: true });
+            }
+            setReplies(prev => prev.map(r =>
+                r._id === data._id ? { ...r, message: '', isDeleted: true } : r
+            ));
+        };
+
+        // Only top-level messages can be polls
+        const handlePollUpdated = (data) => {
+            if (data._id === messageId) {
+                setParent(prev => prev && { ...prev, poll: data.poll });
+            }
+        };
+
+        // Disappearing replies leave the thread; an expired parent closes it from Chat
+        const handleMessageExpired = (data) => {
+            setReplies(prev => prev.filter(r => r._id !== data._id));
+        };
+
+        const handleReactionsUpdated = (data) => {
+            if (data._id === messageId) {
+                setParent(prev => prev && { ...prev, reactions: data.reactions });
+            }
+            setReplies(prev => prev.map(r =>
+                r._id === data._id ? { ...r, reactions: data.reactions } : r
+            ));
+        };
+
+        socketService.onThreadReply(handleThreadReply);
+        socketService.onThreadUpdated(handleThreadUpdated);
+        socketService.onMessageEdited(handleMessageEdited);
+        socketService.onMessageDeleted(handleMessageDeleted);
+        socketService.onPollUpdated(handlePollUpdated);
+        socketService.onMessageExpired(handleMessageExpired);
+        socketService.onReactionsUpdated(handleReactionsUpdated);
+
+        return () => {
+            socketService.off('threadReply', handleThreadReply);
+            socketService.off('threadUpdated', handleThreadUpdated);
+            socketService.off('messageEdited', handleMessageEdited);
+            socketService.off('messageDeleted', handleMessageDeleted);
+            socketService.off('pollUpdated', handlePollUpdated);
+            socketService.off('messageExpired', handleMessageExpired);
+            socketService.off('reactionsUpdated', handleReactionsUpdated);
+            socketService.leaveThread();
+        };
+    }, [messageId]);
+
+    useEffect(() => {
+        repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [replies]);
+
+    useEffect(() => {
+        // Hide disappearing replies on time even if the server's notice is late
+        const expiries = replies
+            .filter(r => r.expiresAt)
+            .map(r => new Date(r.expiresAt).getTime());
+        if (expiries.length === 0) return;
+
+        const timeout = setTimeout(() => {
+            const now = Date.now();
+            setReplies(prev => prev.filter(r => !r.expiresAt || new Date(r.expiresAt).getTime() > now));
+        }, Math.max(0, Math.min(...expiries) - Date.now()));
+        return () => clearTimeout(timeout);
+    }, [replies]);
+
+    const fetchThread = async () => {
+        try {
+            setLoading(true);
+            const token = localStorage.getItem('token');
+            const response = await fetch(`/api/messages/${messageId}/thread`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setParent(data.parent);
+                setReplies(data.replies);
+                setError('');
+            } else {
+                setError(data.error || 'Failed to load thread');
+            }
+        } catch (error) {
+            console.error('Error fetching thread:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSendReply = (e) => {
+        e.preventDefault();
+
+        if (!replyInput.trim()) return;
+
+        socketService.sendMessage(replyInput.trim(), { parentId: messageId });
+        setReplyInput('');
+    };
+
+    const formatTime = (timestamp) => {
+        return new Date(timestamp).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const renderMessage = (message) => (
+        <div
+            key={message._id}
+            className={`thread-message ${message.isDeleted ? 'deleted-message' : ''}`}
+        >
+            <div className="message-header">
+                <span className="message-username">{message.username}</span>
+                <span className="message-time">{formatTime(message.timestamp)}</span>
+                {message.editedAt && !message.isDeleted && (
+                    <span className="message-edited">(edited)</span>
+                )}
+                {message.expiresAt && (
+                    <span
+                        className="message-expiry"
+                        title={`Disappears ${new Date(message.expiresAt).toLocaleString()}`}
+                    >
+                        <i className="fas fa-hourglass-half"></i>
+                    </span>
+                )}
+            </div>
+            <div className="message-content">
+                {message.isDeleted ? (
+                    <span className="message-tombstone">
+                        <i className="fas fa-ban"></i>
+                        This message was deleted
+                    </span>
+                ) : (
+                    <>
+                        {message.quote && (
+                            <QuotedMessage quote={message.quote} currentRoom={message.room} />
+                        )}
+                        {message.message && (
+                            <MessageText text={message.message} currentUsername={currentUser.username} />
+                        )}
+                        {message.attachment && (
+                            <MessageAttachment attachment={message.attachment} />
+                        )}
+                        {message.poll && (
+                            <PollCard message={message} currentUser={currentUser} />
+                        )}
+                    </>
+                )}
+            </div>
+            {!message.isDeleted && (
+                <MessageReactions message={message} currentUser={currentUser} />
+            )}
+        </div>
+    );
+
+    return (
+        <div className="thread-panel">
+            <div className="thread-panel-header">
+                <h4>
+                    <i className="fas fa-comments"></i>
+                    Thread
+                </h4>
+                <button className="thread-close-btn" onClick={onClose} title="Close thread">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="thread-loading">
+                    <i className="fas fa-spinner fa-spin"></i>
+                    <span>Loading thread...</span>
+                </div>
+            ) : error ? (
+                <div className="thread-error">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    {error}
+                    <button onClick={fetchThread} className="retry-btn">
+                        <i className="fas fa-redo"></i>
+                    </button>
+                </div>
+            ) : (
+                <div className="thread-messages">
+                    {parent && (
+                        <div className="thread-parent">
+                            {renderMessage(parent)}
+                            <div className="thread-reply-count">
+                                {parent.replyCount} repl{parent.replyCount === 1 ? 'y' : 'ies'}
+                            </div>
+                        </div>
+                    )}
+                    {replies.map(renderMessage)}
+                    <div ref={repliesEndRef} />
+                </div>
+            )}
+
+            <form onSubmit={handleSendReply} className="thread-input">
+                <input
+                    type="text"
+                    value={replyInput}
+                    onChange={(e) => setReplyInput(e.target.value)}
+                    placeholder="Reply in thread..."
+                    disabled={loading || !!error}
+                />
+                <button type="submit" disabled={!replyInput.trim()}>
+                    <i className="fas fa-paper-plane"></i>
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,74 @@
+import authService from './authService';
+
+// Must match MAX_ATTACHMENT_BYTES on the server
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Shown inline in messages; other files get a download card
+export const isImageAttachment = (attachment) => (
+    !!attachment && /^image\/(png|jpeg|gif|webp)$/.test(attachment.mimeType)
+);
+
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+class AttachmentService {
+    // Upload a file for a room. Resolves with { uploadToken, filename, mimeType, size },
+    // which is sent along with the message.
+    async upload(file, room) {
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            throw new Error(`Files can be at most ${formatFileSize(MAX_ATTACHMENT_BYTES)}`);
+        }
+
+        const formData = new FormData();
+        formData.append('room', room);
+        formData.append('file', file);
+
+        const response = await fetch('/api/attachments', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authService.getToken()}`
+            },
+            body: formData
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to upload file');
+        }
+
+        return { uploadToken: data.uploadToken, ...data.attachment };
+    }
+
+    // Downloads need the auth header, so files are fetched and handed out as blobs
+    async fetchBlob(url) {
+        const response = await fetch(url, {
+            headers: {
+                'Authorization': `Bearer ${authService.getToken()}`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load file');
+        }
+
+        return response.blob();
+    }
+
+    // Save an attachment to the user's downloads folder
+    async download(attachment) {
+        const blob = await this.fetchBlob(attachment.url);
+        const objectUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = attachment.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
+export default new AttachmentService();
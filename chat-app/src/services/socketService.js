@@ -1,10 +1,37 @@
 import { io } from 'socket.io-client';
 import authService from './authService';
 
+// How long to wait for the server to confirm a sent message
+const SEND_TIMEOUT_MS = 10000;
+
+// Messages waiting to be sent are kept here so they survive reloads
+const OUTBOX_STORAGE_KEY = 'chatOutbox';
+
+// Delay before trying the outbox again after the server did not answer
+const OUTBOX_RETRY_MS = 5000;
+
+// How often to tell the server this tab is still here; it drops connections that go quiet
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Unique id for a message being sent, kept across retries
+export const createClientMessageId = () => {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
 class SocketService {
     constructor() {
         this.socket = null;
         this.isConnected = false;
+        this.currentRoom = null; // Room the user asked to be in
+        this.joinedRoom = null; // Room the server has confirmed for this connection
+        this.flushingOutbox = false;
+        this.outboxRetryTimeout = null;
+        this.outboxListeners = new Set();
+        this.heartbeatInterval = null;
+        this.idle = false; // Last idle state reported, resent with each heartbeat
     }
 
     // Connect to socket with authentication
@@ -33,11 +60,27 @@ class SocketService {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.isConnected = true;
+            this.startHeartbeat();
         });
 
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.isConnected = false;
+            this.joinedRoom = null;
+            clearInterval(this.heartbeatInterval);
+        });
+
+        // A new connection starts outside any room, so go back to the one we were in
+        this.socket.io.on('reconnect', () => {
+            if (this.currentRoom) {
+                this.socket.emit('join', { room: this.currentRoom });
+            }
+        });
+
+        // Queued messages for a room go out once the server has us in it
+        this.socket.on('roomChanged', (data) => {
+            this.joinedRoom = data.room;
+            this.flushOutbox();
         });
 
         this.socket.on('connect_error', (error) => {
@@ -51,17 +94,306 @@ class SocketService {
         });
     }
 
+    startHeartbeat() {
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = setInterval(() => {
+            if (this.socket) {
+                this.socket.emit('heartbeat', { idle: this.idle });
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
     // Join a chat room
     joinRoom(room) {
+        this.currentRoom = room;
+        this.joinedRoom = null;
         if (this.socket) {
             this.socket.emit('join', { room });
         }
     }
 
-    // Send a message
-    sendMessage(message) {
+    // Send a message right away (pass a parentId to reply in a thread). Resolves with
+    // the server's ack: { success, message } or { success: false, error }.
+    // Reuse the clientMessageId when retrying so the server saves it only once, and
+    // pass the room it was written in so it is never posted to another one.
+    // Files are uploaded first and sent as the attachmentToken from the upload.
+    // A ttlSeconds makes the message disappear after that long, a poll
+    // ({ options, multipleChoice, anonymous, closesAt }) asks the message as a question,
+    // and a quoteId quotes another message.
+    sendMessage(message, {
+        parentId = null,
+        clientMessageId = createClientMessageId(),
+        room = null,
+        attachmentToken = null,
+        ttlSeconds = null,
+        poll = null,
+        quoteId = null
+    } = {}) {
+        return new Promise((resolve) => {
+            if (!this.socket) {
+                resolve({
+                    success: false,
+                    error: { code: 'NOT_CONNECTED', message: 'Not connected', retryable: true }
+                });
+                return;
+            }
+
+            this.socket.timeout(SEND_TIMEOUT_MS).emit(
+                'sendMessage',
+                { message, parentId, clientMessageId, room, attachmentToken, ttlSeconds, poll, quoteId },
+                (err, response) => {
+                    if (err) {
+                        resolve({
+                            success: false,
+                            error: { code: 'TIMEOUT', message: 'The server did not respond', retryable: true }
+                        });
+                        return;
+                    }
+                    resolve(response);
+                }
+            );
+        });
+    }
+
+    // React to a message
+    addReaction(messageId, emoji) {
+        if (this.socket) {
+            this.socket.emit('addReaction', { messageId, emoji });
+        }
+    }
+
+    // Remove your reaction from a message
+    removeReaction(messageId, emoji) {
+        if (this.socket) {
+            this.socket.emit('removeReaction', { messageId, emoji });
+        }
+    }
+
+    // Vote in a poll; optionIds replaces any earlier choice and an empty list takes it back.
+    // Resolves with { success, optionIds } or { success: false, error }.
+    votePoll(messageId, optionIds) {
+        return new Promise((resolve) => {
+            if (!this.socket) {
+                resolve({ success: false, error: 'Not connected' });
+                return;
+            }
+
+            this.socket.timeout(SEND_TIMEOUT_MS).emit('votePoll', { messageId, optionIds }, (err, response) => {
+                resolve(err ? { success: false, error: 'The server did not respond' } : response);
+            });
+        });
+    }
+
+    // Copy a message into another room the user is a member of. Resolves with
+    // the server's ack, like sendMessage.
+    forwardMessage(messageId, room) {
+        return new Promise((resolve) => {
+            if (!this.socket) {
+                resolve({
+                    success: false,
+                    error: { code: 'NOT_CONNECTED', message: 'Not connected', retryable: true }
+                });
+                return;
+            }
+
+            this.socket.timeout(SEND_TIMEOUT_MS).emit(
+                'forwardMessage',
+                { messageId, room, clientMessageId: createClientMessageId() },
+                (err, response) => {
+                    if (err) {
+                        resolve({
+                            success: false,
+                            error: { code: 'TIMEOUT', message: 'The server did not respond', retryable: true }
+                        });
+                        return;
+                    }
+                    resolve(response);
+                }
+            );
+        });
+    }
+
+    // Stop a poll from taking votes
+    closePoll(messageId) {
         if (this.socket) {
-            this.socket.emit('sendMessage', { message });
+            this.socket.emit('closePoll', { messageId });
+        }
+    }
+
+    // Start receiving replies for a thread
+    joinThread(messageId) {
+        if (this.socket) {
+            this.socket.emit('joinThread', { messageId });
+        }
+    }
+
+    // Stop receiving replies for the open thread
+    leaveThread() {
+        if (this.socket) {
+            this.socket.emit('leaveThread');
+        }
+    }
+
+    // Edit one of your messages
+    editMessage(messageId, message) {
+        if (this.socket) {
+            this.socket.emit('editMessage', { messageId, message });
+        }
+    }
+
+    // Delete one of your messages
+    deleteMessage(messageId) {
+        if (this.socket) {
+            this.socket.emit('deleteMessage', { messageId });
+        }
+    }
+
+    // Outbox entries belong to the user who wrote them
+    getOutboxKey() {
+        const user = authService.getUser();
+        return user ? `${OUTBOX_STORAGE_KEY}:${user.id}` : OUTBOX_STORAGE_KEY;
+    }
+
+    // Messages not yet confirmed by the server, oldest first
+    getOutbox() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getOutboxKey())) || [];
+        } catch (error) {
+            console.error('Error reading outbox:', error);
+            return [];
+        }
+    }
+
+    // Store the outbox and tell listeners, with the saved message when one was just sent
+    saveOutbox(entries, sentMessage = null) {
+        localStorage.setItem(this.getOutboxKey(), JSON.stringify(entries));
+        this.outboxListeners.forEach(callback => callback(entries, sentMessage));
+    }
+
+    updateOutboxEntry(clientMessageId, changes) {
+        this.saveOutbox(this.getOutbox().map(entry => (
+            entry.clientMessageId === clientMessageId ? { ...entry, ...changes } : entry
+        )));
+    }
+
+    // Queue a top-level message for a room. It is sent now if possible,
+    // otherwise when the connection (or the page) comes back. An uploaded
+    // attachment is { uploadToken, filename, mimeType, size }, and a quote is the
+    // quoted message's { messageId, room, parentId, username, message, timestamp }.
+    queueMessage(room, message, attachment = null, ttlSeconds = null, quote = null) {
+        const user = authService.getUser();
+        const entry = {
+            clientMessageId: createClientMessageId(),
+            room,
+            message,
+            attachment,
+            ttlSeconds,
+            quote,
+            userId: user ? user.id : null,
+            username: user ? user.username : null,
+            timestamp: new Date().toISOString(),
+            status: 'pending',
+            error: null
+        };
+
+        this.saveOutbox([...this.getOutbox(), entry]);
+        this.flushOutbox();
+        return entry;
+    }
+
+    // Send queued messages for the joined room one at a time, in the order they were written
+    async flushOutbox() {
+        if (this.flushingOutbox) return;
+        this.flushingOutbox = true;
+        clearTimeout(this.outboxRetryTimeout);
+
+        try {
+            while (this.socket && this.socket.connected && this.joinedRoom) {
+                const room = this.joinedRoom;
+                const entry = this.getOutbox().find(item => item.room === room && item.status === 'pending');
+                if (!entry) break;
+
+                const response = await this.sendMessage(entry.message, {
+                    clientMessageId: entry.clientMessageId,
+                    room,
+                    attachmentToken: entry.attachment ? entry.attachment.uploadToken : null,
+                    ttlSeconds: entry.ttlSeconds || null,
+                    quoteId: entry.quote ? entry.quote.messageId : null
+                });
+
+                if (response && response.success) {
+                    this.saveOutbox(
+                        this.getOutbox().filter(item => item.clientMessageId !== entry.clientMessageId),
+                        response.message
+                    );
+                    continue;
+                }
+
+                const error = (response && response.error) || { message: 'Failed to send message', retryable: true };
+
+                // Connection trouble keeps the message queued and stops here to preserve order
+                if (error.retryable !== false) {
+                    this.outboxRetryTimeout = setTimeout(() => this.flushOutbox(), OUTBOX_RETRY_MS);
+                    break;
+                }
+
+                // The server rejected it; it stays visible until retried or discarded
+                this.updateOutboxEntry(entry.clientMessageId, { status: 'failed', error: error.message });
+            }
+        } finally {
+            this.flushingOutbox = false;
+        }
+    }
+
+    retryOutboxMessage(clientMessageId) {
+        this.updateOutboxEntry(clientMessageId, { status: 'pending', error: null });
+        this.flushOutbox();
+    }
+
+    discardOutboxMessage(clientMessageId) {
+        this.saveOutbox(this.getOutbox().filter(entry => entry.clientMessageId !== clientMessageId));
+    }
+
+    // Listen for outbox changes: callback(entries, sentMessage)
+    onOutboxChange(callback) {
+        this.outboxListeners.add(callback);
+    }
+
+    offOutboxChange(callback) {
+        this.outboxListeners.delete(callback);
+    }
+
+    // Pin a message to the current room (moderators only)
+    pinMessage(messageId) {
+        if (this.socket) {
+            this.socket.emit('pinMessage', { messageId });
+        }
+    }
+
+    // Remove a message from the room's pins
+    unpinMessage(messageId) {
+        if (this.socket) {
+            this.socket.emit('unpinMessage', { messageId });
+        }
+    }
+
+    // Move the read marker for a room up to a message
+    markRead(room, messageId) {
+        if (this.socket) {
+            this.socket.emit('markRead', { room, messageId });
+        }
+    }
+
+    // Identifies this tab among the user's active sessions
+    getSocketId() {
+        return this.socket ? this.socket.id : null;
+    }
+
+    // Tell the server the user has gone idle or come back, shown to others as away
+    setIdle(idle) {
+        this.idle = idle;
+        if (this.socket) {
+            this.socket.emit('setIdle', { idle });
         }
     }
 
@@ -79,6 +411,172 @@ class SocketService {
         }
     }
 
+    // Listen for edited messages
+    onMessageEdited(callback) {
+        if (this.socket) {
+            this.socket.on('messageEdited', callback);
+        }
+    }
+
+    // Listen for deleted messages
+    onMessageDeleted(callback) {
+        if (this.socket) {
+            this.socket.on('messageDeleted', callback);
+        }
+    }
+
+    // Listen for replies in the open thread
+    onThreadReply(callback) {
+        if (this.socket) {
+            this.socket.on('threadReply', callback);
+        }
+    }
+
+    // Listen for thread summary updates in the room
+    onThreadUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('threadUpdated', callback);
+        }
+    }
+
+    // Listen for new poll results
+    onPollUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('pollUpdated', callback);
+        }
+    }
+
+    // Listen for the user's own votes, including ones made on other devices
+    onPollVoted(callback) {
+        if (this.socket) {
+            this.socket.on('pollVoted', callback);
+        }
+    }
+
+    // Listen for disappearing messages that have expired
+    onMessageExpired(callback) {
+        if (this.socket) {
+            this.socket.on('messageExpired', callback);
+        }
+    }
+
+    // Listen for reaction count updates
+    onReactionsUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('reactionsUpdated', callback);
+        }
+    }
+
+    // Listen for messages pinned in the current room
+    onMessagePinned(callback) {
+        if (this.socket) {
+            this.socket.on('messagePinned', callback);
+        }
+    }
+
+    // Listen for messages unpinned in the current room
+    onMessageUnpinned(callback) {
+        if (this.socket) {
+            this.socket.on('messageUnpinned', callback);
+        }
+    }
+
+    // Listen for changes to the current room's settings
+    onRoomSettingsUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('roomSettingsUpdated', callback);
+        }
+    }
+
+    // Listen for topic changes in the current room
+    onRoomTopicChanged(callback) {
+        if (this.socket) {
+            this.socket.on('roomTopicChanged', callback);
+        }
+    }
+
+    // Listen for rooms being muted or unmuted from any of the user's connections
+    onRoomMuteChanged(callback) {
+        if (this.socket) {
+            this.socket.on('roomMuteChanged', callback);
+        }
+    }
+
+    // Listen for notices only this user sees (reminders, invitations from commands)
+    onEphemeralMessage(callback) {
+        if (this.socket) {
+            this.socket.on('ephemeralMessage', callback);
+        }
+    }
+
+    // Listen for new messages in member rooms other than the current one
+    onRoomActivity(callback) {
+        if (this.socket) {
+            this.socket.on('roomActivity', callback);
+        }
+    }
+
+    // Listen for read markers moved by any of the user's connections
+    onReadMarkerUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('readMarkerUpdated', callback);
+        }
+    }
+
+    // Listen for bookmarks saved or changed from any of the user's connections
+    onBookmarkUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('bookmarkUpdated', callback);
+        }
+    }
+
+    // Listen for bookmarks removed, by the user or because their message disappeared
+    onBookmarkRemoved(callback) {
+        if (this.socket) {
+            this.socket.on('bookmarkRemoved', callback);
+        }
+    }
+
+    onDraftUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('draftUpdated', callback);
+        }
+    }
+
+    onConversationUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('conversationUpdated', callback);
+        }
+    }
+
+    // Direct messages arrive wherever the user is, not just in the conversation
+    onDirectMessage(callback) {
+        if (this.socket) {
+            this.socket.on('directMessage', callback);
+        }
+    }
+
+    // Listen for status changes of people the user shares a room with, and of the user's own status
+    onPresenceUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('presenceUpdated', callback);
+        }
+    }
+
+    // Listen for changes to the user's scheduled messages (sent, failed, edited elsewhere)
+    onScheduledMessageUpdated(callback) {
+        if (this.socket) {
+            this.socket.on('scheduledMessageUpdated', callback);
+        }
+    }
+
+    // Listen for mentions of the current user in any room
+    onMentioned(callback) {
+        if (this.socket) {
+            this.socket.on('mentioned', callback);
+        }
+    }
+
     // Listen for previous messages
     onPreviousMessages(callback) {
         if (this.socket) {
@@ -130,6 +628,10 @@ class SocketService {
 
     // Disconnect socket
     disconnect() {
+        clearTimeout(this.outboxRetryTimeout);
+        clearInterval(this.heartbeatInterval);
+        this.currentRoom = null;
+        this.joinedRoom = null;
         if (this.socket) {
             this.socket.disconnect();
             this.socket = null;
@@ -0,0 +1,136 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import python from 'highlight.js/lib/languages/python';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Languages available for fenced code blocks (aliases like `js` and `sh` come with them)
+hljs.registerLanguage('bash', bash);
+hljs.registerLanguage('css', css);
+hljs.registerLanguage('go', go);
+hljs.registerLanguage('java', java);
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('json', json);
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('sql', sql);
+hljs.registerLanguage('typescript', typescript);
+hljs.registerLanguage('xml', xml);
+hljs.registerLanguage('yaml', yaml);
+
+// Everything the renderer may produce. Anything else is removed by the sanitizer.
+const SANITIZE_CONFIG = {
+    ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote', 'a', 'span', 'hr'],
+    ALLOWED_ATTR: ['href', 'title', 'class', 'start'],
+    ALLOWED_URI_REGEXP: /^(?:https?:|mailto:)/i,
+    ALLOW_DATA_ATTR: false,
+    ALLOW_ARIA_ATTR: false
+};
+
+const ALLOWED_CLASS = /^(?:hljs(?:-[\w-]+)?|language-[\w-]+|mention|mention-self)$/;
+
+const GROUP_MENTIONS = ['here', 'room'];
+
+const escapeHtml = (text = '') => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Links open in a new tab without access to this window, and only known classes survive
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A') {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+
+    if (node.hasAttribute('class')) {
+        const classes = node.getAttribute('class').split(/\s+/).filter(name => ALLOWED_CLASS.test(name));
+        if (classes.length > 0) {
+            node.setAttribute('class', classes.join(' '));
+        } else {
+            node.removeAttribute('class');
+        }
+    }
+});
+
+// `@name` mentions, but not the middle of an email address
+const mentionExtension = {
+    name: 'mention',
+    level: 'inline',
+    start(src) {
+        const match = src.match(/(^|[^\w@.])@[\w.-]*\w/);
+        return match ? match.index + match[1].length : undefined;
+    },
+    tokenizer(src, tokens) {
+        const previous = tokens[tokens.length - 1];
+        if (previous && /[\w@.]$/.test(previous.raw)) {
+            return undefined;
+        }
+
+        const match = /^@([\w.-]*\w)/.exec(src);
+        if (match) {
+            return { type: 'mention', raw: match[0], name: match[1] };
+        }
+        return undefined;
+    },
+    renderer(token) {
+        const className = token.isSelf ? 'mention mention-self' : 'mention';
+        return `<span class="${className}">@${escapeHtml(token.name)}</span>`;
+    }
+};
+
+const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    extensions: [mentionExtension],
+    renderer: {
+        // Raw HTML is shown as typed, never interpreted
+        html({ text }) {
+            return escapeHtml(text);
+        },
+        // Headings, tables and images are outside the chat subset
+        heading({ tokens }) {
+            return `<p><strong>${this.parser.parseInline(tokens)}</strong></p>`;
+        },
+        table({ raw }) {
+            return `<p>${escapeHtml(raw)}</p>`;
+        },
+        image({ href, text }) {
+            return `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`;
+        },
+        code({ text, lang }) {
+            const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+
+            if (language && hljs.getLanguage(language)) {
+                const highlighted = hljs.highlight(text, { language, ignoreIllegals: true }).value;
+                return `<pre><code class="hljs language-${escapeHtml(language)}">${highlighted}</code></pre>`;
+            }
+
+            return `<pre><code class="hljs">${escapeHtml(text)}</code></pre>`;
+        }
+    }
+});
+
+// Render chat Markdown to sanitized HTML. Mentions of the current user
+// (and @here/@room) get the `mention-self` class.
+export const renderMarkdown = (text = '', { currentUsername } = {}) => {
+    const tokens = marked.lexer(text);
+
+    marked.walkTokens(tokens, (token) => {
+        if (token.type === 'mention') {
+            token.isSelf = token.name === currentUsername || GROUP_MENTIONS.includes(token.name);
+        }
+    });
+
+    return DOMPurify.sanitize(marked.parser(tokens), SANITIZE_CONFIG);
+};
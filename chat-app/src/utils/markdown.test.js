@@ -0,0 +1,96 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown } from './markdown';
+
+// Parse the rendered HTML so assertions look at elements, not at strings
+const render = (text, options) => {
+    const container = document.createElement('div');
+    container.innerHTML = renderMarkdown(text, options);
+    return container;
+};
+
+const eventHandlerAttributes = (container) => Array.from(container.querySelectorAll('*'))
+    .flatMap(element => Array.from(element.attributes))
+    .filter(attribute => /^on/i.test(attribute.name));
+
+describe('renderMarkdown', () => {
+    it('renders the chat subset of Markdown', () => {
+        const container = render('**bold** _italic_ `code`');
+
+        expect(container.querySelector('strong').textContent).toBe('bold');
+        expect(container.querySelector('em').textContent).toBe('italic');
+        expect(container.querySelector('code').textContent).toBe('code');
+    });
+
+    it('shows script tags as text instead of running them', () => {
+        const container = render('<script>alert(1)</script>');
+
+        expect(container.querySelector('script')).toBeNull();
+        expect(container.textContent).toContain('<script>alert(1)</script>');
+    });
+
+    it('shows raw HTML as typed', () => {
+        const container = render('<b>bold</b> and <div class="x">block</div>');
+
+        expect(container.querySelector('b')).toBeNull();
+        expect(container.querySelector('div')).toBeNull();
+        expect(container.textContent).toContain('<b>bold</b>');
+    });
+
+    it('drops javascript: links', () => {
+        const container = render('[click](javascript:alert(1))');
+
+        const hrefs = Array.from(container.querySelectorAll('a')).map(link => link.getAttribute('href'));
+        expect(hrefs.some(href => href && /^\s*javascript:/i.test(href))).toBe(false);
+        expect(container.innerHTML).not.toMatch(/href="\s*javascript:/i);
+    });
+
+    it('drops data: links', () => {
+        const container = render('[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)');
+
+        expect(container.innerHTML).not.toMatch(/href="\s*data:/i);
+    });
+
+    it('removes onerror and other event handler attributes', () => {
+        const container = render([
+            '<img src="x" onerror="alert(1)">',
+            '<a href="https://example.com" onclick="alert(1)">link</a>',
+            '<span onmouseover="alert(1)">hover</span>'
+        ].join('\n\n'));
+
+        expect(eventHandlerAttributes(container)).toEqual([]);
+    });
+
+    it('never renders images, even from Markdown image syntax', () => {
+        const container = render('![logo](https://example.com/logo.png)\n\n<img src="https://example.com/logo.png">');
+
+        expect(container.querySelector('img')).toBeNull();
+        expect(container.querySelector('a').getAttribute('href')).toBe('https://example.com/logo.png');
+    });
+
+    it('never renders iframes', () => {
+        const container = render('<iframe src="https://example.com"></iframe>');
+
+        expect(container.querySelector('iframe')).toBeNull();
+    });
+
+    it('opens links in a new tab without access to this window', () => {
+        const container = render('[site](https://example.com) and https://example.org');
+        const links = container.querySelectorAll('a');
+
+        expect(links).toHaveLength(2);
+        links.forEach(link => {
+            const rel = link.getAttribute('rel').split(/\s+/);
+            expect(rel).toContain('noopener');
+            expect(rel).toContain('noreferrer');
+            expect(link.getAttribute('target')).toBe('_blank');
+        });
+    });
+
+    it('keeps only known classes', () => {
+        const container = render('@alice says hi', { currentUsername: 'alice' });
+
+        expect(container.querySelector('.mention-self').textContent).toBe('@alice');
+        expect(render('<span class="evil">x</span>').querySelector('.evil')).toBeNull();
+    });
+});
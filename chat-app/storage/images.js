@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+
+// Thumbnail widths/heights (longest side) served from /api/attachments/:messageId/thumbnails/:size
+const THUMBNAIL_SIZES = {
+    small: 320,
+    medium: 960
+};
+
+// Longest side of the inline blur placeholder
+const PLACEHOLDER_SIZE = 16;
+
+// Refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Formats that may hold several frames
+const ANIMATED_MIME_TYPES = ['image/gif', 'image/webp'];
+
+const encoders = {
+    'image/jpeg': (image) => image.jpeg({ quality: 90 }),
+    'image/png': (image) => image.png(),
+    'image/gif': (image) => image.gif(),
+    'image/webp': (image) => image.webp({ quality: 90 })
+};
+
+const isProcessableImage = (mimeType) => !!encoders[mimeType];
+
+// Re-encode an uploaded image so only pixel data is kept. EXIF (GPS, camera,
+// timestamps), XMP and comments are dropped; orientation is applied to the
+// pixels first so photos still display upright. Returns the cleaned original,
+// its dimensions, a tiny blur placeholder as a data URL and WebP thumbnails.
+// Thumbnails of animated images show the first frame.
+const processImage = async (buffer, mimeType) => {
+    const animated = ANIMATED_MIME_TYPES.includes(mimeType);
+
+    const original = await encoders[mimeType](
+        sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS })
+            .autoOrient()
+            .keepIccProfile()
+    ).toBuffer({ resolveWithObject: true });
+
+    const width = original.info.width;
+    const height = original.info.pageHeight || original.info.height;
+
+    const thumbnails = await Promise.all(Object.entries(THUMBNAIL_SIZES).map(async ([name, size]) => {
+        const { data, info } = await sharp(original.data)
+            .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+
+        return { name, buffer: data, width: info.width, height: info.height, size: data.length };
+    }));
+
+    const placeholder = await sharp(original.data)
+        .resize({ width: PLACEHOLDER_SIZE, height: PLACEHOLDER_SIZE, fit: 'inside' })
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        buffer: original.data,
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        thumbnails
+    };
+};
+
+module.exports = { processImage, isProcessableImage, THUMBNAIL_SIZES };
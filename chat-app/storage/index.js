@@ -0,0 +1,34 @@
+const path = require('path');
+const { createLocalDiskStorage } = require('./localDisk');
+
+// Pick the attachment storage backend from the environment.
+// Every backend has the same interface:
+//   save(key, buffer, { contentType })  -> Promise
+//   createReadStream(key)               -> Promise<Readable> (rejects if missing)
+//   remove(key)                         -> Promise
+const createStorage = (env = process.env) => {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        // Only load the AWS SDK when it is actually used
+        const { createS3Storage } = require('./s3');
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+
+    if (driver !== 'local') {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+    }
+
+    return createLocalDiskStorage({
+        directory: env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+    });
+};
+
+module.exports = { createStorage };
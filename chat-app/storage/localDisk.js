@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the server's filesystem. Keys are relative paths under the upload directory.
+const createLocalDiskStorage = ({ directory }) => {
+    const root = path.resolve(directory);
+
+    // Keys come from the server, but never let one escape the upload directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async createReadStream(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,40 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Stores files in an S3 bucket or any S3-compatible service (MinIO, R2, Spaces, ...)
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!forcePathStyle,
+        // Fall back to the SDK's default credential chain (env, instance role, ...)
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async save(key, buffer, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        async createReadStream(key) {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return response.Body;
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+};
+
+module.exports = { createS3Storage };